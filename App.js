@@ -22,15 +22,54 @@ const API = {
       body: JSON.stringify(data)
     });
     return response.json();
+  },
+
+  async patch(endpoint, data) {
+    const response = await fetch(`${this.baseURL}${endpoint}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    return response.json();
+  },
+
+  async delete(endpoint) {
+    const response = await fetch(`${this.baseURL}${endpoint}`, { method: 'DELETE' });
+    return response.json();
   }
 };
 
+const CAMPAIGN_STATUSES = ['ACTIVE', 'PAUSED', 'ARCHIVED'];
+
+// Budget inputs are strings; the API wants numbers or null
+const toAmount = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
 // Dashboard Header Component
-const Header = ({ title }) => {
+const Header = ({ title, view, onViewChange }) => {
   return (
     <header className="dashboard-header">
       <div className="container">
         <h1>🎯 {title}</h1>
+        <nav className="header-nav">
+          <button
+            className={`btn btn-link ${view === 'dashboard' ? 'active' : ''}`}
+            onClick={() => onViewChange('dashboard')}
+          >
+            Dashboard
+          </button>
+          <button
+            className={`btn btn-link ${view === 'campaigns' ? 'active' : ''}`}
+            onClick={() => onViewChange('campaigns')}
+          >
+            Campaigns
+          </button>
+          <button
+            className={`btn btn-link ${view === 'journeys' ? 'active' : ''}`}
+            onClick={() => onViewChange('journeys')}
+          >
+            Journeys
+          </button>
+        </nav>
         <div className="header-actions">
           <button className="btn btn-primary">Sync Meta Data</button>
           <button className="btn btn-secondary">Settings</button>
@@ -40,8 +79,21 @@ const Header = ({ title }) => {
   );
 };
 
+// Percentage change badge; null when the comparison period had nothing to compare against
+const MetricChange = ({ change }) => {
+  if (change === null || change === undefined) {
+    return <div className="metric-change neutral">n/a</div>;
+  }
+
+  return (
+    <div className={`metric-change ${change >= 0 ? 'positive' : 'negative'}`}>
+      {change >= 0 ? '+' : ''}{change.toFixed(1)}%
+    </div>
+  );
+};
+
 // Metrics Cards Component
-const MetricsCards = ({ metrics, loading }) => {
+const MetricsCards = ({ metrics, loading, compare, onCompareChange }) => {
   if (loading) {
     return (
       <div className="metrics-grid">
@@ -55,38 +107,54 @@ const MetricsCards = ({ metrics, loading }) => {
   }
 
   return (
-    <div className="metrics-grid">
-      <div className="metric-card">
-        <div className="metric-value">{metrics.totalClicks?.toLocaleString() || '0'}</div>
-        <div className="metric-label">Total Clicks</div>
-        <div className="metric-change positive">+{metrics.clicksChange || '0'}%</div>
+    <>
+      <div className="compare-controls">
+        <span>Compared with</span>
+        <select value={compare} onChange={(e) => onCompareChange(e.target.value)}>
+          <option value="previous_period">Previous period</option>
+          <option value="previous_year">Same period last year</option>
+        </select>
+        {metrics.comparisonRange && (
+          <span className="compare-range">
+            ({metrics.comparisonRange.start_date} to {metrics.comparisonRange.end_date})
+          </span>
+        )}
       </div>
 
-      <div className="metric-card">
-        <div className="metric-value">{metrics.totalConversions?.toLocaleString() || '0'}</div>
-        <div className="metric-label">Conversions</div>
-        <div className="metric-change positive">+{metrics.conversionsChange || '0'}%</div>
-      </div>
+      <div className="metrics-grid">
+        <div className="metric-card">
+          <div className="metric-value">{metrics.totalClicks?.toLocaleString() || '0'}</div>
+          <div className="metric-label">Total Clicks</div>
+          <MetricChange change={metrics.clicksChange} />
+        </div>
 
-      <div className="metric-card">
-        <div className="metric-value">${metrics.totalRevenue?.toLocaleString() || '0'}</div>
-        <div className="metric-label">Revenue</div>
-        <div className="metric-change positive">+{metrics.revenueChange || '0'}%</div>
-      </div>
+        <div className="metric-card">
+          <div className="metric-value">{metrics.totalConversions?.toLocaleString() || '0'}</div>
+          <div className="metric-label">Conversions</div>
+          <MetricChange change={metrics.conversionsChange} />
+        </div>
+
+        <div className="metric-card">
+          <div className="metric-value">${metrics.totalRevenue?.toLocaleString() || '0'}</div>
+          <div className="metric-label">Revenue</div>
+          <MetricChange change={metrics.revenueChange} />
+        </div>
 
-      <div className="metric-card">
-        <div className="metric-value">{metrics.averageROAS?.toFixed(2) || '0.00'}x</div>
-        <div className="metric-label">Average ROAS</div>
-        <div className="metric-change negative">-{metrics.roasChange || '0'}%</div>
+        <div className="metric-card">
+          <div className="metric-value">{metrics.averageROAS?.toFixed(2) || '0.00'}x</div>
+          <div className="metric-label">Average ROAS</div>
+          <MetricChange change={metrics.roasChange} />
+        </div>
       </div>
-    </div>
+    </>
   );
 };
 
 // Campaign Table Component
-const CampaignTable = ({ campaigns, loading }) => {
+const CampaignTable = ({ campaigns, loading, onNewCampaign, onEditCampaign, onExport }) => {
   const [sortField, setSortField] = useState('revenue');
   const [sortDirection, setSortDirection] = useState('desc');
+  const [exportFormat, setExportFormat] = useState('csv');
 
   const handleSort = (field) => {
     if (sortField === field) {
@@ -116,8 +184,12 @@ const CampaignTable = ({ campaigns, loading }) => {
       <div className="table-header">
         <h2>Campaign Performance</h2>
         <div className="table-actions">
-          <button className="btn btn-sm">Export CSV</button>
-          <button className="btn btn-sm btn-primary">New Campaign</button>
+          <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+            <option value="csv">CSV</option>
+            <option value="xlsx">Excel</option>
+          </select>
+          <button className="btn btn-sm" onClick={() => onExport(exportFormat)}>Export</button>
+          <button className="btn btn-sm btn-primary" onClick={onNewCampaign}>New Campaign</button>
         </div>
       </div>
 
@@ -175,7 +247,346 @@ const CampaignTable = ({ campaigns, loading }) => {
                 <td>
                   <div className="action-buttons">
                     <button className="btn btn-xs">View</button>
-                    <button className="btn btn-xs">Edit</button>
+                    <button className="btn btn-xs" onClick={() => onEditCampaign(campaign.campaign_id)}>Edit</button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// Campaign create/edit form; the campaign ID is fixed once created. A status
+// the form can't set (e.g. UNKNOWN) stays selectable and is left unchanged.
+const CampaignForm = ({ campaign, onSaved, onCancel }) => {
+  const statuses = campaign?.status && !CAMPAIGN_STATUSES.includes(campaign.status)
+    ? [campaign.status, ...CAMPAIGN_STATUSES]
+    : CAMPAIGN_STATUSES;
+  const [form, setForm] = useState({
+    campaign_id: campaign?.campaign_id || '',
+    name: campaign?.name || '',
+    status: campaign?.status || 'ACTIVE',
+    daily_budget: campaign?.daily_budget ?? '',
+    total_budget: campaign?.total_budget ?? '',
+    meta_campaign_id: campaign?.meta_campaign_id || ''
+  });
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    const data = {
+      name: form.name,
+      status: CAMPAIGN_STATUSES.includes(form.status) ? form.status : undefined,
+      daily_budget: toAmount(form.daily_budget),
+      total_budget: toAmount(form.total_budget),
+      meta_campaign_id: form.meta_campaign_id || null
+    };
+
+    try {
+      const response = campaign
+        ? await API.patch(`/campaigns/${encodeURIComponent(campaign.campaign_id)}`, data)
+        : await API.post('/campaigns', { ...data, campaign_id: form.campaign_id });
+
+      if (response.success) {
+        onSaved(response.data);
+      } else {
+        setError(response.error);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="campaign-form" onSubmit={handleSubmit}>
+      <h3>{campaign ? `Edit ${campaign.name}` : 'New Campaign'}</h3>
+      {error && <div className="form-error">{error}</div>}
+      {campaign?.meta_synced_at && (
+        <div className="form-note">Imported from Meta: name, status and budgets are overwritten on the next import.</div>
+      )}
+
+      <label>
+        Campaign ID
+        <input value={form.campaign_id} onChange={update('campaign_id')} disabled={Boolean(campaign)} required />
+      </label>
+      <label>
+        Name
+        <input value={form.name} onChange={update('name')} required />
+      </label>
+      <label>
+        Status
+        <select value={form.status} onChange={update('status')}>
+          {statuses.map(status => <option key={status} value={status}>{status}</option>)}
+        </select>
+      </label>
+      <label>
+        Daily Budget
+        <input type="number" min="0" step="0.01" value={form.daily_budget} onChange={update('daily_budget')} />
+      </label>
+      <label>
+        Total Budget
+        <input type="number" min="0" step="0.01" value={form.total_budget} onChange={update('total_budget')} />
+      </label>
+      <label>
+        Meta Campaign ID
+        <input value={form.meta_campaign_id} onChange={update('meta_campaign_id')} />
+      </label>
+
+      <div className="form-actions">
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+};
+
+// Inline form for a new ad set or ad
+const ChildForm = ({ idField, label, onCreate }) => {
+  const [id, setId] = useState('');
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const response = await onCreate({ [idField]: id, name });
+    if (response.success) {
+      setId('');
+      setName('');
+      setError(null);
+    } else {
+      setError(response.error);
+    }
+  };
+
+  return (
+    <form className="child-form" onSubmit={handleSubmit}>
+      <input placeholder={`${label} ID`} value={id} onChange={(e) => setId(e.target.value)} required />
+      <input placeholder={`${label} name`} value={name} onChange={(e) => setName(e.target.value)} required />
+      <button type="submit" className="btn btn-xs">Add {label}</button>
+      {error && <span className="form-error">{error}</span>}
+    </form>
+  );
+};
+
+// One campaign with its ad sets and ads
+const CampaignDetail = ({ campaignId, onEdit, onBack }) => {
+  const [campaign, setCampaign] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = async () => {
+    try {
+      const response = await API.get(`/campaigns/${encodeURIComponent(campaignId)}`);
+      if (response.success) {
+        setCampaign(response.data);
+      } else {
+        setError(response.error);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [campaignId]);
+
+  const toggleStatus = async (endpoint, status) => {
+    await API.patch(endpoint, { status: status === 'ACTIVE' ? 'PAUSED' : 'ACTIVE' });
+    load();
+  };
+
+  const createChild = async (endpoint, data) => {
+    const response = await API.post(endpoint, data);
+    if (response.success) load();
+    return response;
+  };
+
+  if (error) return <div className="form-error">{error}</div>;
+  if (!campaign) return <div className="loading-table">Loading campaign...</div>;
+
+  return (
+    <div className="campaign-detail">
+      <div className="table-header">
+        <h2>{campaign.name} <span className={`status status-${campaign.status.toLowerCase()}`}>{campaign.status}</span></h2>
+        <div className="table-actions">
+          <button className="btn btn-sm" onClick={onBack}>Back</button>
+          <button className="btn btn-sm btn-primary" onClick={() => onEdit(campaign)}>Edit</button>
+        </div>
+      </div>
+
+      <div className="campaign-meta">
+        <span>ID: {campaign.campaign_id}</span>
+        {campaign.meta_campaign_id && <span>Meta ID: {campaign.meta_campaign_id}</span>}
+        {campaign.daily_budget && <span>Daily budget: ${Number(campaign.daily_budget).toLocaleString()}</span>}
+        {campaign.total_budget && <span>Total budget: ${Number(campaign.total_budget).toLocaleString()}</span>}
+      </div>
+
+      {campaign.adsets.map(adset => (
+        <div key={adset.adset_id} className="adset-block">
+          <div className="adset-header">
+            <strong>{adset.name}</strong> <span className="id">{adset.adset_id}</span>
+            <span className={`status status-${(adset.status || '').toLowerCase()}`}>{adset.status}</span>
+            <button className="btn btn-xs" onClick={() => toggleStatus(`/adsets/${encodeURIComponent(adset.adset_id)}`, adset.status)}>
+              {adset.status === 'ACTIVE' ? 'Pause' : 'Activate'}
+            </button>
+          </div>
+          <ul className="ad-list">
+            {adset.ads.map(ad => (
+              <li key={ad.ad_id}>
+                {ad.name} <span className="id">{ad.ad_id}</span>
+                <span className={`status status-${(ad.status || '').toLowerCase()}`}>{ad.status}</span>
+                <button className="btn btn-xs" onClick={() => toggleStatus(`/ads/${encodeURIComponent(ad.ad_id)}`, ad.status)}>
+                  {ad.status === 'ACTIVE' ? 'Pause' : 'Activate'}
+                </button>
+              </li>
+            ))}
+          </ul>
+          <ChildForm
+            idField="ad_id"
+            label="Ad"
+            onCreate={(data) => createChild(`/adsets/${encodeURIComponent(adset.adset_id)}/ads`, data)}
+          />
+        </div>
+      ))}
+
+      <ChildForm
+        idField="adset_id"
+        label="Ad Set"
+        onCreate={(data) => createChild(`/campaigns/${encodeURIComponent(campaign.campaign_id)}/adsets`, data)}
+      />
+    </div>
+  );
+};
+
+// Campaign management: list, create, edit, pause and archive
+const CampaignManager = ({ initialCampaignId, startWithForm }) => {
+  const [campaignList, setCampaignList] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [search, setSearch] = useState('');
+  const [selectedId, setSelectedId] = useState(initialCampaignId || null);
+  const [editing, setEditing] = useState(startWithForm ? { campaign: null } : null);
+
+  const loadCampaigns = async () => {
+    const params = new URLSearchParams();
+    if (statusFilter) params.set('status', statusFilter);
+    if (search) params.set('search', search);
+
+    try {
+      const response = await API.get(`/campaigns?${params}`);
+      if (response.success) setCampaignList(response.data);
+    } catch (error) {
+      console.error('Error loading campaigns:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadCampaigns();
+  }, [statusFilter, search]);
+
+  const setStatus = async (campaign, status) => {
+    const endpoint = `/campaigns/${encodeURIComponent(campaign.campaign_id)}`;
+    await (status === 'ARCHIVED' ? API.delete(endpoint) : API.patch(endpoint, { status }));
+    loadCampaigns();
+  };
+
+  const handleSaved = (campaign) => {
+    setEditing(null);
+    setSelectedId(campaign.campaign_id);
+    loadCampaigns();
+  };
+
+  if (editing) {
+    return (
+      <div className="campaign-manager">
+        <CampaignForm campaign={editing.campaign} onSaved={handleSaved} onCancel={() => setEditing(null)} />
+      </div>
+    );
+  }
+
+  if (selectedId) {
+    return (
+      <div className="campaign-manager">
+        <CampaignDetail
+          campaignId={selectedId}
+          onEdit={(campaign) => setEditing({ campaign })}
+          onBack={() => setSelectedId(null)}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="campaign-manager campaign-table-container">
+      <div className="table-header">
+        <h2>Campaigns</h2>
+        <div className="table-actions">
+          <input
+            className="search-input"
+            placeholder="Search campaigns"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="">Active and paused</option>
+            {CAMPAIGN_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+          <button className="btn btn-sm btn-primary" onClick={() => setEditing({ campaign: null })}>New Campaign</button>
+        </div>
+      </div>
+
+      <div className="table-responsive">
+        <table className="campaign-table">
+          <thead>
+            <tr>
+              <th>Campaign</th>
+              <th>Status</th>
+              <th>Daily Budget</th>
+              <th>Total Budget</th>
+              <th>Ad Sets</th>
+              <th>Ads</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {campaignList.map(campaign => (
+              <tr key={campaign.campaign_id}>
+                <td className="campaign-name">
+                  <div className="campaign-info">
+                    <span className="name">{campaign.name}</span>
+                    <span className="id">{campaign.campaign_id}</span>
+                  </div>
+                </td>
+                <td><span className={`status status-${campaign.status.toLowerCase()}`}>{campaign.status}</span></td>
+                <td>{campaign.daily_budget ? `$${Number(campaign.daily_budget).toLocaleString()}` : '—'}</td>
+                <td>{campaign.total_budget ? `$${Number(campaign.total_budget).toLocaleString()}` : '—'}</td>
+                <td>{campaign.adset_count}</td>
+                <td>{campaign.ad_count}</td>
+                <td>
+                  <div className="action-buttons">
+                    <button className="btn btn-xs" onClick={() => setSelectedId(campaign.campaign_id)}>View</button>
+                    <button className="btn btn-xs" onClick={() => setEditing({ campaign })}>Edit</button>
+                    {campaign.status === 'ACTIVE' && (
+                      <button className="btn btn-xs" onClick={() => setStatus(campaign, 'PAUSED')}>Pause</button>
+                    )}
+                    {campaign.status !== 'ACTIVE' && (
+                      <button className="btn btn-xs" onClick={() => setStatus(campaign, 'ACTIVE')}>Activate</button>
+                    )}
+                    {campaign.status !== 'ARCHIVED' && (
+                      <button className="btn btn-xs" onClick={() => setStatus(campaign, 'ARCHIVED')}>Archive</button>
+                    )}
                   </div>
                 </td>
               </tr>
@@ -187,6 +598,629 @@ const CampaignTable = ({ campaigns, loading }) => {
   );
 };
 
+const TREND_METRICS = [
+  { key: 'clicks', label: 'Clicks', format: (v) => v.toLocaleString() },
+  { key: 'conversions', label: 'Conversions', format: (v) => v.toLocaleString(undefined, { maximumFractionDigits: 1 }) },
+  { key: 'revenue', label: 'Revenue', format: (v) => `$${v.toLocaleString(undefined, { maximumFractionDigits: 0 })}` },
+  { key: 'spend', label: 'Spend', format: (v) => `$${v.toLocaleString(undefined, { maximumFractionDigits: 0 })}` },
+  { key: 'cpa', label: 'CPA', format: (v) => `$${v.toFixed(2)}` },
+  { key: 'roas', label: 'ROAS', format: (v) => `${v.toFixed(2)}x` }
+];
+
+const SERIES_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2'];
+
+const LOCAL_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// One SVG line chart per metric; gaps (null CPA/ROAS) break the line
+const TrendPanel = ({ metric, buckets, series }) => {
+  const width = 640;
+  const height = 160;
+  const padding = { top: 10, right: 10, bottom: 20, left: 60 };
+  const values = series.flatMap(s => s.points.map(p => p[metric.key])).filter(v => v !== null);
+  const max = Math.max(...values, 0) || 1;
+
+  const x = (i) => padding.left + (buckets.length > 1 ? i / (buckets.length - 1) : 0.5) * (width - padding.left - padding.right);
+  const y = (v) => height - padding.bottom - (v / max) * (height - padding.top - padding.bottom);
+
+  const path = (points) => points.reduce((d, p, i) => {
+    const value = p[metric.key];
+    if (value === null) return d;
+    const previous = i > 0 ? points[i - 1][metric.key] : null;
+    return `${d}${previous === null ? 'M' : 'L'}${x(i).toFixed(1)},${y(value).toFixed(1)} `;
+  }, '');
+
+  const labelEvery = Math.max(1, Math.ceil(buckets.length / 8));
+
+  return (
+    <div className="trend-panel">
+      <div className="trend-panel-title">{metric.label}</div>
+      {values.length === 0 ? (
+        <div className="trend-empty">No {metric.label} data for this grain</div>
+      ) : (
+        <svg viewBox={`0 0 ${width} ${height}`} className="trend-svg">
+          <line x1={padding.left} x2={width - padding.right} y1={y(0)} y2={y(0)} stroke="#e5e7eb" />
+          <line x1={padding.left} x2={width - padding.right} y1={y(max)} y2={y(max)} stroke="#f3f4f6" />
+          <text x={padding.left - 6} y={y(max) + 4} textAnchor="end" fontSize="10">{metric.format(max)}</text>
+          <text x={padding.left - 6} y={y(0) + 4} textAnchor="end" fontSize="10">{metric.format(0)}</text>
+          {buckets.map((bucket, i) => (i % labelEvery === 0 ? (
+            <text key={bucket} x={x(i)} y={height - 4} textAnchor="middle" fontSize="10">{bucket}</text>
+          ) : null))}
+          {series.map((s, index) => (
+            <path key={s.campaign_id || 'all'} d={path(s.points)} fill="none" strokeWidth="2"
+              stroke={SERIES_COLORS[index % SERIES_COLORS.length]}>
+              <title>{s.name}</title>
+            </path>
+          ))}
+        </svg>
+      )}
+    </div>
+  );
+};
+
+// Trend Chart Component: metrics over time for all campaigns or an overlay of several
+const TrendChart = ({ campaigns, startDate, endDate }) => {
+  const [grain, setGrain] = useState('day');
+  const [timezone, setTimezone] = useState('UTC');
+  const [selectedMetrics, setSelectedMetrics] = useState(['clicks', 'revenue', 'roas']);
+  const [overlayIds, setOverlayIds] = useState([]);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const params = new URLSearchParams({ start_date: startDate, end_date: endDate, grain, timezone });
+    if (overlayIds.length > 0) {
+      params.set('campaign_ids', overlayIds.join(','));
+      params.set('group_by', 'campaign');
+    }
+
+    API.get(`/reports/timeseries?${params}`)
+      .then((response) => {
+        if (response.success) {
+          setData(response.data);
+          setError(null);
+        } else {
+          setError(response.error);
+        }
+      })
+      .catch(() => setError('Could not load trends'));
+  }, [startDate, endDate, grain, timezone, overlayIds]);
+
+  const toggleMetric = (key) => setSelectedMetrics(current => (
+    current.includes(key) ? current.filter(k => k !== key) : [...current, key]
+  ));
+
+  const toggleOverlay = (campaignId) => setOverlayIds(current => (
+    current.includes(campaignId) ? current.filter(id => id !== campaignId) : [...current, campaignId]
+  ));
+
+  return (
+    <div className="trend-chart">
+      <div className="table-header">
+        <h2>Trends</h2>
+        <div className="trend-controls">
+          <select value={grain} onChange={(e) => setGrain(e.target.value)}>
+            <option value="hour">Hourly</option>
+            <option value="day">Daily</option>
+            <option value="week">Weekly</option>
+            <option value="month">Monthly</option>
+          </select>
+          <select value={timezone} onChange={(e) => setTimezone(e.target.value)}>
+            <option value="UTC">UTC</option>
+            {LOCAL_TIMEZONE !== 'UTC' && <option value={LOCAL_TIMEZONE}>{LOCAL_TIMEZONE}</option>}
+          </select>
+        </div>
+      </div>
+
+      <div className="trend-toggles">
+        {TREND_METRICS.map(metric => (
+          <label key={metric.key}>
+            <input
+              type="checkbox"
+              checked={selectedMetrics.includes(metric.key)}
+              onChange={() => toggleMetric(metric.key)}
+            />
+            {metric.label}
+          </label>
+        ))}
+      </div>
+
+      <div className="trend-toggles">
+        <span>Compare:</span>
+        {campaigns.map(campaign => (
+          <label key={campaign.campaign_id}>
+            <input
+              type="checkbox"
+              checked={overlayIds.includes(campaign.campaign_id)}
+              onChange={() => toggleOverlay(campaign.campaign_id)}
+            />
+            {campaign.name}
+          </label>
+        ))}
+      </div>
+
+      {error && <div className="form-error">{error}</div>}
+
+      {data && !error && (
+        <>
+          {data.series.length > 1 && (
+            <div className="trend-legend">
+              {data.series.map((s, index) => (
+                <span key={s.campaign_id} style={{ color: SERIES_COLORS[index % SERIES_COLORS.length] }}>● {s.name}</span>
+              ))}
+            </div>
+          )}
+          {data.series.length === 0 ? (
+            <div className="trend-empty">No activity for the selected campaigns</div>
+          ) : (
+            TREND_METRICS.filter(metric => selectedMetrics.includes(metric.key)).map(metric => (
+              <TrendPanel key={metric.key} metric={metric} buckets={data.buckets} series={data.series} />
+            ))
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const BREAKDOWN_DIMENSIONS = [
+  { key: 'campaign', label: 'Campaign' },
+  { key: 'adset', label: 'Ad Set' },
+  { key: 'ad', label: 'Ad' },
+  { key: 'utm_source', label: 'Source' },
+  { key: 'utm_medium', label: 'Medium' },
+  { key: 'utm_campaign', label: 'UTM Campaign' },
+  { key: 'utm_content', label: 'Content' },
+  { key: 'utm_term', label: 'Term' },
+  { key: 'device_type', label: 'Device' },
+  { key: 'browser', label: 'Browser' },
+  { key: 'os', label: 'OS' },
+  { key: 'in_app_browser', label: 'In-App Browser' },
+  { key: 'country_code', label: 'Country' },
+  { key: 'region', label: 'Region' },
+  { key: 'city', label: 'City' },
+  { key: 'link_id', label: 'Tracking Link' }
+];
+
+const SPEND_DIMENSIONS = ['campaign', 'adset', 'ad'];
+
+const BREAKDOWN_METRICS = [
+  ...TREND_METRICS.slice(0, 3),
+  { key: 'conversion_rate', label: 'CVR', format: (v) => `${v.toFixed(2)}%` },
+  ...TREND_METRICS.slice(3)
+];
+
+const PAGE_SIZE = 25;
+
+// Pivots are built from one page of pairs, so fetch a large page
+const PIVOT_LIMIT = 500;
+
+const dimensionLabel = (row, dimension) => {
+  const value = row[dimension];
+  if (value === null || value === undefined) return '(none)';
+  return row[`${dimension}_name`] ? `${row[`${dimension}_name`]} (${value})` : value;
+};
+
+const formatMetric = (metric, value) => (value === null || value === undefined ? '-' : metric.format(value));
+
+// Breakdown Component: metrics by one dimension, or a pivot of two
+const BreakdownReport = ({ campaigns, startDate, endDate }) => {
+  const [rowDimension, setRowDimension] = useState('ad');
+  const [columnDimension, setColumnDimension] = useState('');
+  const [pivotMetric, setPivotMetric] = useState('revenue');
+  const [campaignFilter, setCampaignFilter] = useState('');
+  const [sort, setSort] = useState({ field: 'revenue', order: 'desc' });
+  const [offset, setOffset] = useState(0);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  const dimensions = columnDimension ? [rowDimension, columnDimension] : [rowDimension];
+  const hasSpend = dimensions.every(d => SPEND_DIMENSIONS.includes(d));
+  const metrics = BREAKDOWN_METRICS.filter(m => hasSpend || !['spend', 'cpa', 'roas'].includes(m.key));
+
+  useEffect(() => {
+    const sortField = columnDimension ? pivotMetric : sort.field;
+    const params = new URLSearchParams({
+      start_date: startDate,
+      end_date: endDate,
+      dimensions: dimensions.join(','),
+      sort: metrics.some(m => m.key === sortField) || dimensions.includes(sortField) ? sortField : 'clicks',
+      order: columnDimension ? 'desc' : sort.order,
+      limit: columnDimension ? PIVOT_LIMIT : PAGE_SIZE,
+      offset: columnDimension ? 0 : offset
+    });
+    if (campaignFilter) params.set('filter[campaign]', campaignFilter);
+
+    API.get(`/reports/breakdown?${params}`)
+      .then((response) => {
+        if (response.success) {
+          setData(response.data);
+          setError(null);
+        } else {
+          setError(response.error);
+        }
+      })
+      .catch(() => setError('Could not load breakdown'));
+  }, [startDate, endDate, rowDimension, columnDimension, pivotMetric, campaignFilter, sort, offset]);
+
+  const changeDimensions = (row, column) => {
+    setRowDimension(row);
+    setColumnDimension(column === row ? '' : column);
+    setOffset(0);
+  };
+
+  const handleSort = (field) => {
+    setSort(current => ({
+      field,
+      order: current.field === field && current.order === 'desc' ? 'asc' : 'desc'
+    }));
+    setOffset(0);
+  };
+
+  const renderFlat = () => (
+    <>
+      <table className="campaign-table">
+        <thead>
+          <tr>
+            <th onClick={() => handleSort(rowDimension)} className="sortable">
+              {BREAKDOWN_DIMENSIONS.find(d => d.key === rowDimension).label}
+            </th>
+            {metrics.map(metric => (
+              <th key={metric.key} onClick={() => handleSort(metric.key)} className="sortable">
+                {metric.label} {sort.field === metric.key && (sort.order === 'asc' ? '↑' : '↓')}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {data.rows.map((row, index) => (
+            <tr key={`${row[rowDimension]}:${index}`}>
+              <td>{dimensionLabel(row, rowDimension)}</td>
+              {metrics.map(metric => <td key={metric.key}>{formatMetric(metric, row[metric.key])}</td>)}
+            </tr>
+          ))}
+          <tr className="totals-row">
+            <td>Total</td>
+            {metrics.map(metric => <td key={metric.key}>{formatMetric(metric, data.totals[metric.key])}</td>)}
+          </tr>
+        </tbody>
+      </table>
+      <div className="pagination">
+        <button className="btn btn-sm" disabled={offset === 0} onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}>
+          Previous
+        </button>
+        <span>
+          {data.total_rows === 0 ? 0 : offset + 1}-{Math.min(offset + PAGE_SIZE, data.total_rows)} of {data.total_rows}
+        </span>
+        <button className="btn btn-sm" disabled={offset + PAGE_SIZE >= data.total_rows} onClick={() => setOffset(offset + PAGE_SIZE)}>
+          Next
+        </button>
+      </div>
+    </>
+  );
+
+  const renderPivot = () => {
+    const metric = metrics.find(m => m.key === pivotMetric) || metrics[0];
+    const rowKeys = [];
+    const columnKeys = [];
+    const labels = new Map();
+    const cells = new Map();
+
+    for (const row of data.rows) {
+      const rowKey = String(row[rowDimension]);
+      const columnKey = String(row[columnDimension]);
+      if (!labels.has(`r:${rowKey}`)) {
+        rowKeys.push(rowKey);
+        labels.set(`r:${rowKey}`, dimensionLabel(row, rowDimension));
+      }
+      if (!labels.has(`c:${columnKey}`)) {
+        columnKeys.push(columnKey);
+        labels.set(`c:${columnKey}`, dimensionLabel(row, columnDimension));
+      }
+      cells.set(`${rowKey}|${columnKey}`, row[metric.key]);
+    }
+
+    return (
+      <>
+        <table className="campaign-table pivot-table">
+          <thead>
+            <tr>
+              <th>
+                {BREAKDOWN_DIMENSIONS.find(d => d.key === rowDimension).label} / {BREAKDOWN_DIMENSIONS.find(d => d.key === columnDimension).label}
+              </th>
+              {columnKeys.map(key => <th key={key}>{labels.get(`c:${key}`)}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rowKeys.map(rowKey => (
+              <tr key={rowKey}>
+                <td>{labels.get(`r:${rowKey}`)}</td>
+                {columnKeys.map(columnKey => (
+                  <td key={columnKey}>{formatMetric(metric, cells.get(`${rowKey}|${columnKey}`))}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {data.total_rows > data.rows.length && (
+          <div className="form-hint">
+            Showing the top {data.rows.length} of {data.total_rows} combinations by {metric.label}
+          </div>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="breakdown-report">
+      <div className="table-header">
+        <h2>Breakdown</h2>
+        <div className="breakdown-controls">
+          <select value={rowDimension} onChange={(e) => changeDimensions(e.target.value, columnDimension)}>
+            {BREAKDOWN_DIMENSIONS.map(d => <option key={d.key} value={d.key}>{d.label}</option>)}
+          </select>
+          <span>by</span>
+          <select value={columnDimension} onChange={(e) => changeDimensions(rowDimension, e.target.value)}>
+            <option value="">(no pivot)</option>
+            {BREAKDOWN_DIMENSIONS.filter(d => d.key !== rowDimension).map(d => (
+              <option key={d.key} value={d.key}>{d.label}</option>
+            ))}
+          </select>
+          {columnDimension && (
+            <select value={pivotMetric} onChange={(e) => setPivotMetric(e.target.value)}>
+              {metrics.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+            </select>
+          )}
+          <select value={campaignFilter} onChange={(e) => { setCampaignFilter(e.target.value); setOffset(0); }}>
+            <option value="">All campaigns</option>
+            {campaigns.map(c => <option key={c.campaign_id} value={c.campaign_id}>{c.name}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {error && <div className="form-error">{error}</div>}
+      {data && !error && data.dimensions.join(',') === dimensions.join(',') && (columnDimension ? renderPivot() : renderFlat())}
+    </div>
+  );
+};
+
+const MODEL_LABELS = {
+  first_click: 'First Click',
+  last_click: 'Last Click',
+  linear: 'Linear',
+  time_decay: 'Time Decay',
+  position_based: 'Position Based',
+  algorithmic: 'Algorithmic',
+  markov: 'Markov',
+  shapley: 'Shapley'
+};
+
+const MATCH_LABELS = {
+  direct: 'Converting click',
+  session: 'Same session',
+  fbclid: 'Same fbclid',
+  browser_id: 'Same browser',
+  identity: 'Identity graph',
+  ip: 'IP match'
+};
+
+// Seconds before the conversion as "2d 4h", "3h 10m" or "45m"
+const formatDuration = (seconds) => {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+const formatWeight = (weight) => (weight === null || weight === undefined ? '-' : `${(weight * 100).toFixed(1)}%`);
+
+// Journey Timeline Component: why each touchpoint got (or would get) credit
+const JourneyTimeline = ({ conversionId, onBack }) => {
+  const [journey, setJourney] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    API.get(`/conversions/${encodeURIComponent(conversionId)}/journey`)
+      .then((response) => {
+        if (response.success) {
+          setJourney(response.data);
+        } else {
+          setError(response.error);
+        }
+      })
+      .catch(() => setError('Could not load journey'));
+  }, [conversionId]);
+
+  if (error) return <div className="form-error">{error}</div>;
+  if (!journey) return <div className="loading-table">Loading journey...</div>;
+
+  const { conversion, touchpoints, models } = journey;
+
+  return (
+    <div className="journey-timeline">
+      <div className="table-header">
+        <h2>Conversion {conversion.conversion_id}</h2>
+        <button className="btn btn-sm" onClick={onBack}>Back to conversions</button>
+      </div>
+
+      <div className="journey-summary">
+        <span>{conversion.conversion_type}</span>
+        <span>{conversion.currency} {conversion.conversion_value.toLocaleString()}</span>
+        <span>{new Date(conversion.timestamp).toLocaleString()}</span>
+        <span>Attributed with {journey.stored_model ? MODEL_LABELS[journey.stored_model] || journey.stored_model : 'nothing yet'}</span>
+      </div>
+
+      {Object.entries(journey.unavailable_models).map(([model, reason]) => (
+        <div key={model} className="form-hint">{MODEL_LABELS[model] || model}: {reason}</div>
+      ))}
+
+      {touchpoints.length === 0 ? (
+        <div className="trend-empty">No touchpoints matched this conversion</div>
+      ) : (
+        <ol className="timeline">
+          {touchpoints.map(touchpoint => (
+            <li key={touchpoint.click_id} className={`timeline-item ${touchpoint.stored_weight > 0 ? 'credited' : ''}`}>
+              <div className="timeline-time">
+                {formatDuration(touchpoint.time_to_conversion)} before
+                <span className="id">{new Date(touchpoint.timestamp).toLocaleString()}</span>
+              </div>
+              <div className="timeline-body">
+                <div className="campaign-info">
+                  <span className="name">{touchpoint.campaign_name || touchpoint.campaign_id || 'No campaign'}</span>
+                  <span className="id">
+                    {touchpoint.interaction_type === 'view' ? 'View' : 'Click'} {touchpoint.click_id}
+                    {touchpoint.ad_id && ` · ad ${touchpoint.ad_id}`}
+                  </span>
+                </div>
+                <div className="timeline-details">
+                  {['utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term']
+                    .filter(field => touchpoint[field])
+                    .map(field => <span key={field}>{field.replace('utm_', '')}: {touchpoint[field]}</span>)}
+                  {touchpoint.device_type && <span>device: {touchpoint.device_type}</span>}
+                  {touchpoint.browser && (
+                    <span>browser: {[touchpoint.browser, touchpoint.os].filter(Boolean).join(' on ')}</span>
+                  )}
+                  {touchpoint.in_app_browser && <span>in-app: {touchpoint.in_app_browser}</span>}
+                  {touchpoint.country_code && (
+                    <span>geo: {[touchpoint.city, touchpoint.region, touchpoint.country_code].filter(Boolean).join(', ')}</span>
+                  )}
+                </div>
+                <div className="timeline-match">
+                  Matched by {MATCH_LABELS[touchpoint.match_type] || touchpoint.match_type || 'unknown'}
+                  {touchpoint.match_confidence !== null && touchpoint.match_confidence < 1 &&
+                    ` (${Math.round(touchpoint.match_confidence * 100)}% confidence)`}
+                  {!touchpoint.in_stored_attribution && ' · found after attribution ran'}
+                  {!touchpoint.in_current_journey && ' · no longer in the journey'}
+                  {touchpoint.is_bot && ' · flagged as a bot'}
+                </div>
+              </div>
+              <div className="timeline-weight">
+                <strong>{formatWeight(touchpoint.stored_weight)}</strong>
+                <span className="id">credited</span>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {models.length > 0 && (
+        <table className="campaign-table">
+          <thead>
+            <tr>
+              <th>Touchpoint</th>
+              {models.map(model => (
+                <th key={model}>
+                  {MODEL_LABELS[model] || model}{model === journey.stored_model ? ' *' : ''}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {touchpoints.map(touchpoint => (
+              <tr key={touchpoint.click_id}>
+                <td>{touchpoint.campaign_name || touchpoint.campaign_id || touchpoint.click_id}</td>
+                {models.map(model => <td key={model}>{formatWeight(touchpoint.weights[model])}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+// Journey Explorer Component: conversion list with a drill-down timeline
+const JourneyExplorer = ({ campaigns, startDate, endDate }) => {
+  const [conversionList, setConversionList] = useState({ total: 0, conversions: [] });
+  const [campaignFilter, setCampaignFilter] = useState('');
+  const [search, setSearch] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [selectedId, setSelectedId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const params = new URLSearchParams({ start_date: startDate, end_date: endDate, limit: PAGE_SIZE, offset });
+    if (campaignFilter) params.set('campaign_id', campaignFilter);
+    if (search) params.set('search', search);
+
+    API.get(`/conversions?${params}`)
+      .then((response) => {
+        if (response.success) {
+          setConversionList(response.data);
+          setError(null);
+        } else {
+          setError(response.error);
+        }
+      })
+      .catch(() => setError('Could not load conversions'));
+  }, [startDate, endDate, campaignFilter, search, offset]);
+
+  if (selectedId) {
+    return <JourneyTimeline conversionId={selectedId} onBack={() => setSelectedId(null)} />;
+  }
+
+  return (
+    <div className="campaign-table-container">
+      <div className="table-header">
+        <h2>Conversions</h2>
+        <div className="table-actions">
+          <input
+            type="text"
+            placeholder="Conversion or click ID"
+            value={search}
+            onChange={(e) => { setSearch(e.target.value); setOffset(0); }}
+          />
+          <select value={campaignFilter} onChange={(e) => { setCampaignFilter(e.target.value); setOffset(0); }}>
+            <option value="">Credited to any campaign</option>
+            {campaigns.map(c => <option key={c.campaign_id} value={c.campaign_id}>{c.name}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {error && <div className="form-error">{error}</div>}
+
+      <table className="campaign-table">
+        <thead>
+          <tr>
+            <th>Conversion</th>
+            <th>Type</th>
+            <th>Value</th>
+            <th>Time</th>
+            <th>Model</th>
+            <th>Touchpoints</th>
+            <th>Credited Campaigns</th>
+          </tr>
+        </thead>
+        <tbody>
+          {conversionList.conversions.map(conversion => (
+            <tr key={conversion.conversion_id} className="clickable" onClick={() => setSelectedId(conversion.conversion_id)}>
+              <td>{conversion.conversion_id}</td>
+              <td>{conversion.conversion_type}</td>
+              <td>{conversion.currency} {conversion.conversion_value.toLocaleString()}</td>
+              <td>{new Date(conversion.timestamp).toLocaleString()}</td>
+              <td>{MODEL_LABELS[conversion.attribution_model] || conversion.attribution_model}</td>
+              <td>{conversion.touchpoints}</td>
+              <td>{conversion.credited_campaigns.join(', ') || '-'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="pagination">
+        <button className="btn btn-sm" disabled={offset === 0} onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}>
+          Previous
+        </button>
+        <span>
+          {conversionList.total === 0 ? 0 : offset + 1}-{Math.min(offset + PAGE_SIZE, conversionList.total)} of {conversionList.total}
+        </span>
+        <button className="btn btn-sm" disabled={offset + PAGE_SIZE >= conversionList.total} onClick={() => setOffset(offset + PAGE_SIZE)}>
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
 // Date Range Picker Component
 const DateRangePicker = ({ startDate, endDate, onChange }) => {
   return (
@@ -227,6 +1261,9 @@ const App = () => {
   const [campaigns, setCampaigns] = useState([]);
   const [metrics, setMetrics] = useState({});
   const [loading, setLoading] = useState(true);
+  const [view, setView] = useState('dashboard');
+  const [managerState, setManagerState] = useState({});
+  const [compare, setCompare] = useState('previous_period');
   const [dateRange, setDateRange] = useState({
     startDate: new Date(Date.now() - 30*24*60*60*1000).toISOString().split('T')[0],
     endDate: new Date().toISOString().split('T')[0]
@@ -245,22 +1282,24 @@ const App = () => {
 
       if (campaignResponse.success) {
         setCampaigns(campaignResponse.data);
+      }
+
+      // Totals and changes against the comparison period
+      const summaryResponse = await API.get(`/reports/summary?${campaignParams}&compare=${compare}`);
 
-        // Calculate aggregate metrics
-        const totalClicks = campaignResponse.data.reduce((sum, c) => sum + (c.clicks || 0), 0);
-        const totalConversions = campaignResponse.data.reduce((sum, c) => sum + (c.conversions || 0), 0);
-        const totalRevenue = campaignResponse.data.reduce((sum, c) => sum + (c.revenue || 0), 0);
-        const totalCost = campaignResponse.data.reduce((sum, c) => sum + (c.cost || 0), 0);
+      if (summaryResponse.success) {
+        const { kpis, comparison_range: comparisonRange } = summaryResponse.data;
 
         setMetrics({
-          totalClicks,
-          totalConversions,
-          totalRevenue,
-          averageROAS: totalCost > 0 ? totalRevenue / totalCost : 0,
-          clicksChange: Math.floor(Math.random() * 20), // Mock data
-          conversionsChange: Math.floor(Math.random() * 15),
-          revenueChange: Math.floor(Math.random() * 25),
-          roasChange: Math.floor(Math.random() * 5)
+          totalClicks: kpis.clicks.current,
+          totalConversions: kpis.conversions.current,
+          totalRevenue: kpis.revenue.current,
+          averageROAS: kpis.roas.current || 0,
+          clicksChange: kpis.clicks.change_percent,
+          conversionsChange: kpis.conversions.change_percent,
+          revenueChange: kpis.revenue.change_percent,
+          roasChange: kpis.roas.change_percent,
+          comparisonRange
         });
       }
     } catch (error) {
@@ -294,10 +1333,11 @@ const App = () => {
         totalConversions: 390,
         totalRevenue: 21200,
         averageROAS: 4.0,
-        clicksChange: 12,
-        conversionsChange: 8,
-        revenueChange: 15,
-        roasChange: 2
+        // No previous period to compare the sample data against
+        clicksChange: null,
+        conversionsChange: null,
+        revenueChange: null,
+        roasChange: null
       });
     } finally {
       setLoading(false);
@@ -306,11 +1346,71 @@ const App = () => {
 
   useEffect(() => {
     loadData();
-  }, [dateRange]);
+  }, [dateRange, compare]);
+
+  // Downloads stream straight from the API with the dashboard's date range
+  const exportCampaigns = (format) => {
+    const params = new URLSearchParams({
+      format,
+      start_date: dateRange.startDate,
+      end_date: dateRange.endDate
+    });
+    window.location.href = `${API.baseURL}/exports/campaigns?${params}`;
+  };
+
+  const openCampaigns = (state = {}) => {
+    setManagerState(state);
+    setView('campaigns');
+  };
+
+  const changeView = (nextView) => {
+    setManagerState({});
+    setView(nextView);
+    if (nextView === 'dashboard') loadData();
+  };
+
+  if (view === 'journeys') {
+    return (
+      <div className="app">
+        <Header title="Ad Tracking Dashboard" view={view} onViewChange={changeView} />
+
+        <main className="main-content">
+          <div className="container">
+            <div className="dashboard-controls">
+              <DateRangePicker
+                startDate={dateRange.startDate}
+                endDate={dateRange.endDate}
+                onChange={setDateRange}
+              />
+            </div>
+            <JourneyExplorer campaigns={campaigns} startDate={dateRange.startDate} endDate={dateRange.endDate} />
+          </div>
+        </main>
+      </div>
+    );
+  }
+
+  if (view === 'campaigns') {
+    return (
+      <div className="app">
+        <Header title="Ad Tracking Dashboard" view={view} onViewChange={changeView} />
+
+        <main className="main-content">
+          <div className="container">
+            <CampaignManager
+              key={`${managerState.campaignId || ''}:${Boolean(managerState.newCampaign)}`}
+              initialCampaignId={managerState.campaignId}
+              startWithForm={managerState.newCampaign}
+            />
+          </div>
+        </main>
+      </div>
+    );
+  }
 
   return (
     <div className="app">
-      <Header title="Ad Tracking Dashboard" />
+      <Header title="Ad Tracking Dashboard" view={view} onViewChange={changeView} />
 
       <main className="main-content">
         <div className="container">
@@ -329,12 +1429,28 @@ const App = () => {
           {/* Metrics Overview */}
           <section className="metrics-section">
             <h2>Performance Overview</h2>
-            <MetricsCards metrics={metrics} loading={loading} />
+            <MetricsCards metrics={metrics} loading={loading} compare={compare} onCompareChange={setCompare} />
+          </section>
+
+          {/* Trends */}
+          <section className="trends-section">
+            <TrendChart campaigns={campaigns} startDate={dateRange.startDate} endDate={dateRange.endDate} />
           </section>
 
           {/* Campaign Table */}
           <section className="campaigns-section">
-            <CampaignTable campaigns={campaigns} loading={loading} />
+            <CampaignTable
+              campaigns={campaigns}
+              loading={loading}
+              onNewCampaign={() => openCampaigns({ newCampaign: true })}
+              onEditCampaign={(campaignId) => openCampaigns({ campaignId })}
+              onExport={exportCampaigns}
+            />
+          </section>
+
+          {/* Breakdowns */}
+          <section className="breakdown-section">
+            <BreakdownReport campaigns={campaigns} startDate={dateRange.startDate} endDate={dateRange.endDate} />
           </section>
         </div>
       </main>
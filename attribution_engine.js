@@ -4,9 +4,49 @@
  * Handles complex multi-touch attribution models and customer journey analysis
  */
 
+const { trainMarkovModel, trainShapleyModel, OTHER_CHANNEL } = require('./data_driven_attribution');
+const AttributionWindows = require('./attribution_windows');
+const IdentityGraph = require('./identity_graph');
+const PerformanceRollups = require('./performance_rollups');
+
+// Models scored side by side by compareModels (custom needs rules, so it is opt-in)
+const COMPARISON_MODELS = ['first_click', 'last_click', 'linear', 'time_decay', 'position_based', 'algorithmic'];
+
+// Channel definitions the data-driven models can be trained at: the click
+// column each is read from, in SQL for training and in JS for scoring
+const CHANNEL_COLUMNS = {
+    utm_source: 'utm_source',
+    campaign: 'campaign_id',
+    adset: 'adset_id'
+};
+
+const CHANNEL_GRANULARITIES = Object.fromEntries(Object.entries(CHANNEL_COLUMNS).map(
+    ([granularity, column]) => [granularity, touchpoint => touchpoint[column] || '(none)']
+));
+
+const DATA_DRIVEN_TRAINERS = {
+    markov: trainMarkovModel,
+    shapley: trainShapleyModel
+};
+
+// How long a loaded trained model is reused before checking for a newer one
+const TRAINED_MODEL_TTL = 10 * 60 * 1000;
+
+// The comparison scores every conversion under every model within the request
+const MAX_COMPARISON_DAYS = 93;
+const MAX_COMPARISON_CONVERSIONS = 5000;
+
 class AttributionEngine {
-    constructor(dbPool) {
+    /**
+     * @param {object} dbPool - Database pool
+     * @param {object} options - windows: shared AttributionWindows instance,
+     *   identityGraph: shared IdentityGraph instance, rollups: shared PerformanceRollups instance
+     */
+    constructor(dbPool, options = {}) {
         this.db = dbPool;
+        this.windows = options.windows || new AttributionWindows(dbPool);
+        this.identity = options.identityGraph || new IdentityGraph(dbPool);
+        this.rollups = options.rollups || new PerformanceRollups(dbPool);
         this.models = {
             first_click: this.firstClickAttribution,
             last_click: this.lastClickAttribution,
@@ -14,15 +54,18 @@ class AttributionEngine {
             time_decay: this.timeDecayAttribution,
             position_based: this.positionBasedAttribution,
             algorithmic: this.algorithmicAttribution,
-            custom: this.customAttribution
+            custom: this.customAttribution,
+            markov: this.markovAttribution,
+            shapley: this.shapleyAttribution
         };
+        this.trainedModels = new Map();
     }
 
     /**
      * Main attribution processing method
      * @param {string} conversionId - The conversion to attribute
      * @param {string} model - Attribution model to use
-     * @param {object} options - Additional options
+     * @param {object} options - Additional options (dryRun: score without saving)
      */
     async processAttribution(conversionId, model = 'last_click', options = {}) {
         try {
@@ -44,11 +87,19 @@ class AttributionEngine {
 
             const attributedTouchpoints = await attributionModel.call(this, touchpoints, conversion, options);
 
-            // Save attribution results
-            await this.saveAttributionResults(conversionId, attributedTouchpoints, model);
+            // Dry run: report the scores without touching stored attribution
+            if (options.dryRun) {
+                return {
+                    success: true,
+                    dry_run: true,
+                    conversion_id: conversionId,
+                    model: model,
+                    touchpoints: attributedTouchpoints
+                };
+            }
 
-            // Update campaign performance
-            await this.updateCampaignPerformance(attributedTouchpoints, conversion);
+            // Save attribution results; campaign_performance picks them up on the next rollup
+            await this.saveAttributionResults(conversionId, attributedTouchpoints, model, conversion);
 
             return {
                 success: true,
@@ -64,6 +115,16 @@ class AttributionEngine {
         }
     }
 
+    /**
+     * Clicks used to be stored with fb_click_id '' when the visit had no
+     * fbclid; clear those so they can't join a journey as a shared ID
+     * @returns {Promise<number>} Clicks cleared
+     */
+    async clearEmptyFbClickIds() {
+        const result = await this.db.query("UPDATE clicks SET fb_click_id = NULL WHERE fb_click_id = ''");
+        return result.rowCount;
+    }
+
     /**
      * Get conversion data with customer information
      */
@@ -85,42 +146,97 @@ class AttributionEngine {
      * Get complete customer journey touchpoints
      */
     async getCustomerJourney(conversion) {
-        const lookbackWindow = 30 * 24 * 60 * 60 * 1000; // 30 days
+        // Query the longest window that could apply, then trim per campaign below
+        const windowSettings = await this.windows.getSettings();
+        const lookbackWindow = this.windows.maxLookback(windowSettings, conversion.conversion_type);
         const conversionTime = new Date(conversion.timestamp).getTime();
         const windowStart = new Date(conversionTime - lookbackWindow);
 
-        // Multiple methods to identify the same user
-        const identityQuery = `
-            WITH user_identity AS (
-                SELECT DISTINCT c.click_id, c.campaign_id, c.ad_id, c.adset_id,
-                       c.timestamp, c.utm_source, c.utm_medium, c.utm_campaign,
-                       c.user_ip, c.fb_click_id, c.browser_id, c.device_type,
-                       us.session_id
-                FROM clicks c
-                LEFT JOIN user_sessions us ON c.click_id = us.first_click_id OR c.click_id = us.last_click_id
-                WHERE c.timestamp >= $1 
-                  AND c.timestamp <= $2
-                  AND (
-                      c.user_ip = $3 OR
-                      c.fb_click_id = $4 OR
-                      c.browser_id = $5 OR
-                      us.session_id = $6
-                  )
-            )
-            SELECT * FROM user_identity
-            ORDER BY timestamp ASC
+        // Deterministic matches: everything the identity graph links to this person.
+        // Bot clicks are left out, except the click the conversion was reported
+        // against, which a person must have made.
+        const keys = await this.identity.getJourneyKeys(conversion);
+        const journeyQuery = `
+            SELECT DISTINCT ON (c.click_id) c.click_id, c.campaign_id, c.ad_id, c.adset_id,
+                   c.timestamp, c.utm_source, c.utm_medium, c.utm_campaign,
+                   c.user_ip, c.user_agent, c.fb_click_id, c.browser_id, c.device_type,
+                   c.interaction_type, us.session_id
+            FROM clicks c
+            LEFT JOIN user_sessions us ON c.click_id = us.first_click_id OR c.click_id = us.last_click_id
+            WHERE c.timestamp >= $1
+              AND c.timestamp <= $2
+              AND (
+                  c.click_id = ANY($3) OR
+                  us.session_id = ANY($4) OR
+                  c.browser_id = ANY($5) OR
+                  ($6::varchar <> '' AND c.fb_click_id = $6)
+              )
+              AND (NOT c.is_bot OR c.click_id = $7)
+            ORDER BY c.click_id
         `;
 
-        const result = await this.db.query(identityQuery, [
+        const result = await this.db.query(journeyQuery, [
             windowStart.toISOString(),
             conversion.timestamp,
-            conversion.user_ip,
+            [...keys.click_ids],
+            [...keys.session_ids],
+            [...keys.browser_ids],
             conversion.fb_click_id,
-            conversion.browser_id,
-            conversion.session_id
+            conversion.click_id
         ]);
 
-        return result.rows;
+        const touchpoints = result.rows.map(touchpoint => ({
+            ...touchpoint,
+            person_id: keys.person_id,
+            match_type: this.identity.classifyMatch(touchpoint, conversion, keys),
+            match_confidence: 1
+        }));
+
+        // Probabilistic matches: same IP, scored rather than trusted
+        if (this.identity.ipMatching && conversion.user_ip) {
+            touchpoints.push(...await this.getIpMatchedTouchpoints(conversion, touchpoints));
+        }
+
+        return touchpoints
+            .filter(touchpoint => this.windows.isWithinWindow(windowSettings, touchpoint, conversion))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * Same-IP clicks near the conversion that the identity graph did not link,
+     * kept when their match confidence clears the configured minimum. The
+     * confidence only gates the click; models credit it like any other touch.
+     */
+    async getIpMatchedTouchpoints(conversion, matched) {
+        const windowMs = this.identity.ipWindowHours * 60 * 60 * 1000;
+        const windowStart = new Date(new Date(conversion.timestamp).getTime() - windowMs);
+
+        const result = await this.db.query(`
+            SELECT c.click_id, c.campaign_id, c.ad_id, c.adset_id,
+                   c.timestamp, c.utm_source, c.utm_medium, c.utm_campaign,
+                   c.user_ip, c.user_agent, c.fb_click_id, c.browser_id, c.device_type,
+                   c.interaction_type, NULL AS session_id,
+                   (SELECT COUNT(DISTINCT s.user_agent) FROM clicks s
+                    WHERE s.user_ip = $1 AND s.timestamp >= $2 AND s.timestamp <= $3
+                      AND NOT s.is_bot) AS shared_agents
+            FROM clicks c
+            WHERE c.user_ip = $1
+              AND c.timestamp >= $2
+              AND c.timestamp <= $3
+              AND NOT c.is_bot
+        `, [conversion.user_ip, windowStart.toISOString(), conversion.timestamp]);
+
+        const matchedIds = new Set(matched.map(touchpoint => touchpoint.click_id));
+
+        return result.rows
+            .filter(touchpoint => !matchedIds.has(touchpoint.click_id))
+            .map(({ shared_agents, ...touchpoint }) => ({
+                ...touchpoint,
+                person_id: null,
+                match_type: 'ip',
+                match_confidence: this.identity.scoreIpMatch(touchpoint, conversion, parseInt(shared_agents, 10))
+            }))
+            .filter(touchpoint => touchpoint.match_confidence >= this.identity.ipMinConfidence);
     }
 
     /**
@@ -248,13 +364,22 @@ class AttributionEngine {
     /**
      * Algorithmic attribution model using machine learning principles
      */
-    async algorithmicAttribution(touchpoints, conversion) {
+    async algorithmicAttribution(touchpoints, conversion, options = {}) {
         if (touchpoints.length === 0) return [];
 
+        // Reuse performance lookups across conversions when scoring in bulk
+        const cache = options.performanceCache || new Map();
+        const cached = (key, load) => {
+            if (!cache.has(key)) cache.set(key, load());
+            return cache.get(key);
+        };
+
         // Factors that influence attribution weight
         const factors = await Promise.all(touchpoints.map(async (touchpoint, index) => {
-            const campaignPerformance = await this.getCampaignPerformance(touchpoint.campaign_id);
-            const channelPerformance = await this.getChannelPerformance(touchpoint.utm_source);
+            const campaignPerformance = await cached(`campaign:${touchpoint.campaign_id}`,
+                () => this.getCampaignPerformance(touchpoint.campaign_id));
+            const channelPerformance = await cached(`channel:${touchpoint.utm_source}`,
+                () => this.getChannelPerformance(touchpoint.utm_source));
 
             return {
                 touchpoint,
@@ -273,8 +398,9 @@ class AttributionEngine {
                     // Position: first and last touches get bonus
                     position_bonus: (index === 0 || index === touchpoints.length - 1) ? 0.2 : 0,
 
-                    // Device type: mobile vs desktop performance
-                    device_score: this.getDeviceScore(touchpoint.device_type),
+                    // Device type: historical conversion rate relative to the best device
+                    device_score: await cached(`device:${touchpoint.device_type}`,
+                        () => this.getDeviceScore(touchpoint.device_type)),
 
                     // Time between touches (frequency)
                     frequency_score: this.calculateFrequencyScore(touchpoints, index)
@@ -304,6 +430,7 @@ class AttributionEngine {
 
         // Normalize scores to weights that sum to 1.0
         const totalScore = scoredTouchpoints.reduce((sum, tp) => sum + tp.composite_score, 0);
+        if (totalScore <= 0) return this.linearAttribution(touchpoints);
 
         return scoredTouchpoints.map(tp => ({
             ...tp,
@@ -341,6 +468,155 @@ class AttributionEngine {
         });
     }
 
+    /**
+     * Markov chain attribution using the stored removal-effect weights
+     */
+    async markovAttribution(touchpoints, conversion, options = {}) {
+        return this.dataDrivenAttribution('markov', touchpoints, options);
+    }
+
+    /**
+     * Shapley value attribution using the stored channel values
+     */
+    async shapleyAttribution(touchpoints, conversion, options = {}) {
+        return this.dataDrivenAttribution('shapley', touchpoints, options);
+    }
+
+    /**
+     * Split credit by the trained channel weights. Several touchpoints on the
+     * same channel share that channel's weight.
+     */
+    async dataDrivenAttribution(modelType, touchpoints, options = {}) {
+        if (touchpoints.length === 0) return [];
+
+        const granularity = options.granularity || 'campaign';
+        const trained = await this.getTrainedModel(modelType, granularity);
+        if (!trained) {
+            throw new Error(`No trained ${modelType} model for granularity '${granularity}'`);
+        }
+
+        const channelOf = CHANNEL_GRANULARITIES[granularity];
+        const weights = trained.channel_weights;
+        const channelWeight = channel => (channel in weights ? weights[channel] : (weights[OTHER_CHANNEL] || 0));
+
+        const perChannel = new Map();
+        for (const touchpoint of touchpoints) {
+            const channel = channelOf(touchpoint);
+            perChannel.set(channel, (perChannel.get(channel) || 0) + 1);
+        }
+
+        const rawWeights = touchpoints.map(touchpoint => {
+            const channel = channelOf(touchpoint);
+            return channelWeight(channel) / perChannel.get(channel);
+        });
+        const total = rawWeights.reduce((sum, weight) => sum + weight, 0);
+
+        // Journeys made only of channels the model gives no credit fall back to linear
+        if (total <= 0) return this.linearAttribution(touchpoints);
+
+        return touchpoints.map((touchpoint, index) => ({
+            ...touchpoint,
+            attribution_weight: rawWeights[index] / total,
+            channel: channelOf(touchpoint),
+            position: index + 1,
+            total_positions: touchpoints.length
+        }));
+    }
+
+    /**
+     * Train a data-driven model on converting and non-converting journeys and store it
+     * @param {string} modelType - 'markov' or 'shapley'
+     * @param {object} options - granularity, startDate, endDate, maxChannels
+     */
+    async trainDataDrivenModel(modelType, options = {}) {
+        const trainer = DATA_DRIVEN_TRAINERS[modelType];
+        if (!trainer) throw new Error(`Unknown data-driven model '${modelType}'`);
+
+        const granularity = options.granularity || 'campaign';
+        if (!CHANNEL_GRANULARITIES[granularity]) {
+            throw new Error(`Unknown channel granularity '${granularity}'`);
+        }
+
+        const endDate = options.endDate ? new Date(options.endDate) : new Date();
+        const startDate = options.startDate
+            ? new Date(options.startDate)
+            : new Date(endDate.getTime() - 90 * 24 * 60 * 60 * 1000);
+
+        const paths = await this.getTrainingPaths(granularity, startDate, endDate);
+        const { weights, details } = trainer(paths, options);
+        const conversions = paths.filter(path => path.converted).length;
+
+        const result = await this.db.query(`
+            INSERT INTO trained_attribution_models (
+                model_type, granularity, channel_weights, details,
+                paths, conversions, training_start, training_end
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+        `, [
+            modelType, granularity, JSON.stringify(weights), JSON.stringify(details),
+            paths.length, conversions, startDate.toISOString(), endDate.toISOString()
+        ]);
+
+        const trained = result.rows[0];
+        this.trainedModels.set(`${modelType}:${granularity}`, { model: trained, loadedAt: Date.now() });
+        return trained;
+    }
+
+    /**
+     * Journeys for training: clicks grouped by identity graph person (or session
+     * when unlinked) and ordered by time. A journey that converted ends at its
+     * first conversion, so later touches don't get credit for it. Paths are
+     * built in SQL so only one row per journey is loaded.
+     */
+    async getTrainingPaths(granularity, startDate, endDate) {
+        const query = `
+            WITH touches AS (
+                SELECT DISTINCT ON (c.click_id)
+                       COALESCE(il.person_id, us.session_id, c.click_id) as path_key,
+                       c.click_id, c.timestamp,
+                       COALESCE(NULLIF(c.${CHANNEL_COLUMNS[granularity]}, ''), '(none)') as channel,
+                       (SELECT MIN(co.timestamp) FROM conversions co WHERE co.click_id = c.click_id) as converted_at
+                FROM clicks c
+                LEFT JOIN identity_links il ON il.identifier_type = 'click_id' AND il.identifier_value = c.click_id
+                LEFT JOIN user_sessions us ON c.click_id = us.first_click_id OR c.click_id = us.last_click_id
+                WHERE c.timestamp >= $1 AND c.timestamp < ($2::date + 1) AND NOT c.is_bot
+                ORDER BY c.click_id, us.session_start ASC
+            ), journeys AS (
+                SELECT path_key, click_id, timestamp, channel,
+                       MIN(converted_at) OVER (PARTITION BY path_key) as converted_at
+                FROM touches
+            )
+            SELECT array_agg(channel ORDER BY timestamp, click_id) as channels,
+                   MIN(converted_at) IS NOT NULL as converted
+            FROM journeys
+            WHERE converted_at IS NULL OR timestamp <= converted_at
+            GROUP BY path_key
+        `;
+
+        const result = await this.db.query(query, [startDate.toISOString(), endDate.toISOString()]);
+        return result.rows;
+    }
+
+    /**
+     * Latest stored model for a type and granularity, cached in memory
+     */
+    async getTrainedModel(modelType, granularity) {
+        const key = `${modelType}:${granularity}`;
+        const cached = this.trainedModels.get(key);
+        if (cached && Date.now() - cached.loadedAt < TRAINED_MODEL_TTL) return cached.model;
+
+        const result = await this.db.query(`
+            SELECT * FROM trained_attribution_models
+            WHERE model_type = $1 AND granularity = $2
+            ORDER BY trained_at DESC
+            LIMIT 1
+        `, [modelType, granularity]);
+
+        const model = result.rows[0] || null;
+        this.trainedModels.set(key, { model, loadedAt: Date.now() });
+        return model;
+    }
+
     /**
      * Helper methods for algorithmic attribution
      */
@@ -352,9 +628,23 @@ class AttributionEngine {
         return Math.exp(-hoursDiff / 168); // 168 hours = 1 week half-life
     }
 
-    getDeviceScore(deviceType) {
-        // Placeholder - in production, calculate from historical performance
-        return deviceType === 'mobile' ? 0.6 : 0.8;
+    async getDeviceScore(deviceType) {
+        const query = `
+            SELECT c.device_type,
+                   COUNT(DISTINCT co.conversion_id)::float / NULLIF(COUNT(DISTINCT c.click_id), 0) as conversion_rate
+            FROM clicks c
+            LEFT JOIN conversions co ON c.click_id = co.click_id
+            WHERE c.timestamp >= NOW() - INTERVAL '30 days' AND NOT c.is_bot
+            GROUP BY c.device_type
+        `;
+
+        const result = await this.db.query(query);
+        const best = Math.max(0, ...result.rows.map(row => row.conversion_rate || 0));
+        const device = result.rows.find(row => row.device_type === deviceType);
+
+        // Neutral score until there is history to compare against
+        if (!device || best === 0) return 0.5;
+        return (device.conversion_rate || 0) / best;
     }
 
     calculateFrequencyScore(touchpoints, currentIndex) {
@@ -374,15 +664,15 @@ class AttributionEngine {
         const avgGap = totalGaps / gapCount;
         const optimalGap = 24 * 60 * 60 * 1000; // 24 hours
 
-        // Score based on how close to optimal frequency
-        return 1 - Math.abs(avgGap - optimalGap) / optimalGap;
+        // Score based on how close to optimal frequency, floored at zero for long gaps
+        return Math.max(0, 1 - Math.abs(avgGap - optimalGap) / optimalGap);
     }
 
     async getCampaignPerformance(campaignId) {
         const query = `
-            SELECT 
-                AVG(CASE WHEN clicks > 0 THEN conversions::float / clicks ELSE 0 END) as conversion_rate,
-                AVG(CASE WHEN cost > 0 THEN conversion_value / cost ELSE 0 END) as roas
+            SELECT
+                COALESCE(SUM(conversions)::float / NULLIF(SUM(clicks), 0), 0) as conversion_rate,
+                COALESCE(SUM(conversion_value)::float / NULLIF(SUM(cost), 0), 0) as roas
             FROM campaign_performance
             WHERE campaign_id = $1 AND date >= NOW() - INTERVAL '30 days'
         `;
@@ -394,10 +684,10 @@ class AttributionEngine {
     async getChannelPerformance(channel) {
         const query = `
             SELECT 
-                COUNT(DISTINCT co.conversion_id)::float / COUNT(DISTINCT c.click_id) as conversion_rate
+                COUNT(DISTINCT co.conversion_id)::float / NULLIF(COUNT(DISTINCT c.click_id), 0) as conversion_rate
             FROM clicks c
             LEFT JOIN conversions co ON c.click_id = co.click_id
-            WHERE c.utm_source = $1 AND c.timestamp >= NOW() - INTERVAL '30 days'
+            WHERE c.utm_source = $1 AND c.timestamp >= NOW() - INTERVAL '30 days' AND NOT c.is_bot
         `;
 
         const result = await this.db.query(query, [channel]);
@@ -418,7 +708,12 @@ class AttributionEngine {
     /**
      * Save attribution results to database
      */
-    async saveAttributionResults(conversionId, attributedTouchpoints, model) {
+    async saveAttributionResults(conversionId, attributedTouchpoints, model, conversion) {
+        const conversionTime = new Date(conversion.timestamp).getTime();
+
+        // Days credited by the old and the new touchpoints both need new rollups
+        await this.rollups.markConversionDirty(conversionId);
+
         // Clear existing attribution data
         await this.db.query(
             'DELETE FROM attribution_touchpoints WHERE conversion_id = $1',
@@ -432,14 +727,16 @@ class AttributionEngine {
             await this.db.query(`
                 INSERT INTO attribution_touchpoints (
                     conversion_id, click_id, position_in_journey, 
-                    attribution_weight, time_to_conversion
-                ) VALUES ($1, $2, $3, $4, $5)
+                    attribution_weight, time_to_conversion, match_type, match_confidence
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7)
             `, [
                 conversionId,
                 tp.click_id,
                 tp.position,
                 tp.attribution_weight,
-                tp.age || 0
+                Math.round((conversionTime - new Date(tp.timestamp).getTime()) / 1000), // seconds
+                tp.match_type || null,
+                tp.match_confidence !== undefined ? tp.match_confidence : null
             ]);
         }
 
@@ -448,32 +745,8 @@ class AttributionEngine {
             'UPDATE conversions SET attribution_model = $1 WHERE conversion_id = $2',
             [model, conversionId]
         );
-    }
 
-    /**
-     * Update campaign performance based on attribution
-     */
-    async updateCampaignPerformance(attributedTouchpoints, conversion) {
-        for (const touchpoint of attributedTouchpoints) {
-            if (!touchpoint.campaign_id) continue;
-
-            const attributedValue = conversion.conversion_value * touchpoint.attribution_weight;
-            const date = new Date(touchpoint.timestamp).toISOString().split('T')[0];
-
-            await this.db.query(`
-                INSERT INTO campaign_performance (campaign_id, date, conversions, conversion_value)
-                VALUES ($1, $2, $3, $4)
-                ON CONFLICT (campaign_id, date) DO UPDATE SET
-                    conversions = campaign_performance.conversions + EXCLUDED.conversions,
-                    conversion_value = campaign_performance.conversion_value + EXCLUDED.conversion_value,
-                    updated_at = NOW()
-            `, [
-                touchpoint.campaign_id,
-                date,
-                touchpoint.attribution_weight, // Fractional conversion credit
-                attributedValue
-            ]);
-        }
+        await this.rollups.markConversionDirty(conversionId);
     }
 
     /**
@@ -498,6 +771,142 @@ class AttributionEngine {
         return results;
     }
 
+    /**
+     * Re-run attribution for conversions in a date range with the model each
+     * was last attributed with, picking up late clicks and new identity links
+     * @returns {Promise<{processed: number, failed: number}>}
+     */
+    async reprocessConversions(startDate, endDate, options = {}) {
+        const result = await this.db.query(`
+            SELECT conversion_id, COALESCE(attribution_model, 'last_click') as model
+            FROM conversions
+            WHERE timestamp >= $1 AND timestamp < ($2::date + 1)
+            ORDER BY timestamp
+        `, [startDate, endDate]);
+
+        const byModel = new Map();
+        for (const row of result.rows) {
+            const model = this.models[row.model] ? row.model : 'last_click';
+            if (!byModel.has(model)) byModel.set(model, []);
+            byModel.get(model).push(row.conversion_id);
+        }
+
+        const summary = { processed: 0, failed: 0 };
+        for (const [model, conversionIds] of byModel) {
+            const results = await this.batchProcessAttributions(conversionIds, model, options);
+            const processed = results.filter(item => item.success).length;
+            summary.processed += processed;
+            summary.failed += results.length - processed;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Dry run: score conversions under several models without writing anything.
+     * The journey is loaded once per conversion and shared by every model.
+     */
+    async compareModels(conversionIds, models = COMPARISON_MODELS, options = {}) {
+        const results = [];
+        const modelOptions = { ...options, performanceCache: new Map() };
+
+        for (const conversionId of conversionIds) {
+            const conversion = await this.getConversionData(conversionId);
+            if (!conversion) continue;
+
+            const touchpoints = await this.getCustomerJourney(conversion);
+            const scores = {};
+
+            if (touchpoints.length > 0) {
+                for (const model of models) {
+                    scores[model] = await this.models[model].call(this, touchpoints, conversion, modelOptions);
+                }
+            }
+
+            results.push({ conversion, touchpoints, scores });
+        }
+
+        return results;
+    }
+
+    /**
+     * Check a comparison range is small enough to score within a request
+     * @returns {Promise<string|null>} Error message, or null when valid
+     */
+    async validateComparison(startDate, endDate) {
+        if (!startDate || !endDate) return 'start_date and end_date required';
+        const days = (Date.parse(endDate) - Date.parse(startDate)) / (24 * 60 * 60 * 1000) + 1;
+        if (isNaN(days) || days < 1) return 'Invalid date range';
+        if (days > MAX_COMPARISON_DAYS) return `Model comparisons cover at most ${MAX_COMPARISON_DAYS} days`;
+
+        const result = await this.db.query(`
+            SELECT COUNT(*)::int as conversions
+            FROM (
+                SELECT 1 FROM conversions
+                WHERE timestamp >= $1 AND timestamp < ($2::date + 1)
+                LIMIT $3
+            ) capped
+        `, [startDate, endDate, MAX_COMPARISON_CONVERSIONS + 1]);
+        if (result.rows[0].conversions > MAX_COMPARISON_CONVERSIONS) {
+            return `Model comparisons cover at most ${MAX_COMPARISON_CONVERSIONS} conversions, narrow the date range`;
+        }
+        return null;
+    }
+
+    /**
+     * Attributed conversions and revenue per campaign under each model,
+     * for conversions between startDate and endDate (inclusive)
+     */
+    async getModelComparison(startDate, endDate, models = COMPARISON_MODELS, options = {}) {
+        const conversions = await this.db.query(
+            'SELECT conversion_id FROM conversions WHERE timestamp >= $1 AND timestamp < ($2::date + 1) ORDER BY timestamp',
+            [startDate, endDate]
+        );
+
+        const compared = await this.compareModels(conversions.rows.map(row => row.conversion_id), models, options);
+        const campaigns = new Map();
+        let unattributed = 0;
+
+        for (const { conversion, scores } of compared) {
+            if (Object.keys(scores).length === 0) {
+                unattributed++;
+                continue;
+            }
+
+            for (const model of models) {
+                for (const touchpoint of scores[model]) {
+                    const campaignId = touchpoint.campaign_id || null;
+                    if (!campaigns.has(campaignId)) {
+                        campaigns.set(campaignId, Object.fromEntries(
+                            models.map(name => [name, { conversions: 0, revenue: 0 }])
+                        ));
+                    }
+
+                    const totals = campaigns.get(campaignId)[model];
+                    totals.conversions += touchpoint.attribution_weight;
+                    totals.revenue += parseFloat(conversion.conversion_value || 0) * touchpoint.attribution_weight;
+                }
+            }
+        }
+
+        const names = await this.db.query(
+            'SELECT campaign_id, name FROM campaigns WHERE campaign_id = ANY($1)',
+            [[...campaigns.keys()].filter(Boolean)]
+        );
+        const nameById = new Map(names.rows.map(row => [row.campaign_id, row.name]));
+
+        return {
+            models,
+            conversions: compared.length,
+            unattributed,
+            campaigns: [...campaigns.entries()].map(([campaignId, byModel]) => ({
+                campaign_id: campaignId,
+                name: nameById.get(campaignId) || null,
+                models: byModel
+            }))
+        };
+    }
+
     /**
      * Get attribution analysis for a campaign
      */
@@ -524,4 +933,8 @@ class AttributionEngine {
     }
 }
 
+AttributionEngine.COMPARISON_MODELS = COMPARISON_MODELS;
+AttributionEngine.CHANNEL_GRANULARITIES = Object.keys(CHANNEL_GRANULARITIES);
+AttributionEngine.DATA_DRIVEN_MODELS = Object.keys(DATA_DRIVEN_TRAINERS);
+
 module.exports = AttributionEngine;
@@ -0,0 +1,175 @@
+
+/**
+ * Attribution Window Settings
+ * Click-through and view-through lookback windows per account, campaign and
+ * conversion type. The most specific setting wins: campaign, then conversion
+ * type, then account, then DEFAULT_ATTRIBUTION_WINDOW.
+ */
+
+const SCOPES = ['account', 'campaign', 'conversion_type'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// Settings are tiny and read on every attribution, so keep them in memory briefly
+const CACHE_TTL = 60 * 1000;
+
+class AttributionWindows {
+    constructor(dbPool) {
+        this.db = dbPool;
+        this.defaults = {
+            click_through_days: parseInt(process.env.DEFAULT_ATTRIBUTION_WINDOW || '30', 10),
+            view_through_days: parseInt(process.env.DEFAULT_VIEW_THROUGH_WINDOW || '1', 10)
+        };
+        this.cache = null;
+    }
+
+    /**
+     * Validate a window setting, returns an error message or null
+     */
+    validate(data) {
+        if (!SCOPES.includes(data.scope)) {
+            return `scope must be one of ${SCOPES.join(', ')}`;
+        }
+        if (data.scope !== 'account' && !data.scope_value) {
+            return `scope_value required for ${data.scope} windows`;
+        }
+        for (const field of ['click_through_days', 'view_through_days']) {
+            if (data[field] === undefined) continue;
+            const days = Number(data[field]);
+            if (!Number.isInteger(days) || days < 0 || days > 365) {
+                return `${field} must be a whole number of days between 0 and 365`;
+            }
+        }
+        if (data.click_through_days === undefined) {
+            return 'click_through_days required';
+        }
+
+        return null;
+    }
+
+    /**
+     * All stored windows, indexed by scope and value
+     */
+    async getSettings() {
+        if (this.cache && Date.now() - this.cache.loadedAt < CACHE_TTL) return this.cache.settings;
+
+        const result = await this.db.query('SELECT * FROM attribution_windows');
+        const settings = { account: null, campaign: new Map(), conversion_type: new Map() };
+
+        for (const row of result.rows) {
+            if (row.scope === 'account') settings.account = row;
+            else if (settings[row.scope]) settings[row.scope].set(row.scope_value, row);
+        }
+
+        this.cache = { settings, loadedAt: Date.now() };
+        return settings;
+    }
+
+    /**
+     * Window that applies to a touchpoint's campaign for a conversion type
+     * @returns {{click_through_days: number, view_through_days: number, source: string}}
+     */
+    resolve(settings, { campaignId, conversionType } = {}) {
+        const candidates = [
+            ['campaign', campaignId ? settings.campaign.get(campaignId) : null],
+            ['conversion_type', conversionType ? settings.conversion_type.get(conversionType) : null],
+            ['account', settings.account]
+        ];
+
+        for (const [source, row] of candidates) {
+            if (row) {
+                return {
+                    click_through_days: row.click_through_days,
+                    view_through_days: row.view_through_days,
+                    source
+                };
+            }
+        }
+
+        return { ...this.defaults, source: 'default' };
+    }
+
+    /**
+     * Longest lookback any touchpoint could need for a conversion type, in ms.
+     * Used to bound the journey query before per-campaign windows are applied.
+     */
+    maxLookback(settings, conversionType) {
+        const base = this.resolve(settings, { conversionType });
+        let days = Math.max(base.click_through_days, base.view_through_days);
+
+        for (const row of settings.campaign.values()) {
+            days = Math.max(days, row.click_through_days, row.view_through_days);
+        }
+
+        return days * DAY;
+    }
+
+    /**
+     * Whether a touchpoint falls inside its window for this conversion
+     */
+    isWithinWindow(settings, touchpoint, conversion) {
+        const window = this.resolve(settings, {
+            campaignId: touchpoint.campaign_id,
+            conversionType: conversion.conversion_type
+        });
+        const days = touchpoint.interaction_type === 'view' ? window.view_through_days : window.click_through_days;
+        const age = new Date(conversion.timestamp).getTime() - new Date(touchpoint.timestamp).getTime();
+
+        return age <= days * DAY;
+    }
+
+    /**
+     * How long the pixel should keep a click cookie. The conversion type is not
+     * known yet, so without a campaign window this is the longest window that
+     * could apply.
+     */
+    cookieDays(settings, campaignId) {
+        const campaignWindow = campaignId ? settings.campaign.get(campaignId) : null;
+        if (campaignWindow) return campaignWindow.click_through_days;
+
+        let days = this.resolve(settings).click_through_days;
+        for (const row of settings.conversion_type.values()) {
+            days = Math.max(days, row.click_through_days);
+        }
+        return days;
+    }
+
+    async list() {
+        const result = await this.db.query('SELECT * FROM attribution_windows ORDER BY scope, scope_value');
+        return result.rows;
+    }
+
+    /**
+     * Create or replace the window for a scope
+     */
+    async upsert(data) {
+        const result = await this.db.query(`
+            INSERT INTO attribution_windows (scope, scope_value, click_through_days, view_through_days)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (scope, scope_value) DO UPDATE SET
+                click_through_days = EXCLUDED.click_through_days,
+                view_through_days = EXCLUDED.view_through_days,
+                updated_at = NOW()
+            RETURNING *
+        `, [
+            data.scope,
+            data.scope === 'account' ? '' : data.scope_value,
+            Number(data.click_through_days),
+            data.view_through_days !== undefined ? Number(data.view_through_days) : this.defaults.view_through_days
+        ]);
+
+        this.cache = null;
+        return result.rows[0];
+    }
+
+    async remove(scope, scopeValue) {
+        const result = await this.db.query(
+            'DELETE FROM attribution_windows WHERE scope = $1 AND scope_value = $2 RETURNING *',
+            [scope, scope === 'account' ? '' : scopeValue]
+        );
+
+        this.cache = null;
+        return result.rows[0] || null;
+    }
+}
+
+module.exports = AttributionWindows;
@@ -0,0 +1,247 @@
+
+/**
+ * Campaign Management
+ * Campaigns with their ad sets and ads. The IDs are the values clicks carry in
+ * campaign_id/adset_id/ad_id, so they can't change once created; campaigns are
+ * archived rather than deleted because clicks reference them.
+ */
+
+const STATUSES = ['ACTIVE', 'PAUSED', 'ARCHIVED'];
+
+// IDs end up in tracking URLs, keep them URL-safe
+const ID_PATTERN = /^[A-Za-z0-9_.:-]{1,100}$/;
+
+class Campaigns {
+    constructor(dbPool) {
+        this.db = dbPool;
+    }
+
+    /**
+     * Validate campaign fields, returns an error message or null
+     * @param {object} data - Campaign fields from the request body
+     * @param {boolean} partial - Only validate the fields that are present
+     */
+    validateCampaign(data, partial = false) {
+        if (!partial && !ID_PATTERN.test(data.campaign_id || '')) {
+            return 'campaign_id required (letters, digits, _ . : - up to 100 characters)';
+        }
+        if (partial && data.campaign_id !== undefined) return 'campaign_id cannot be changed';
+
+        return validateNamed(data, partial) ||
+            validateAmount(data, 'daily_budget') ||
+            validateAmount(data, 'total_budget') ||
+            (data.meta_campaign_id !== undefined && data.meta_campaign_id !== null && !ID_PATTERN.test(data.meta_campaign_id)
+                ? 'meta_campaign_id must be a Meta campaign ID'
+                : null);
+    }
+
+    validateAdset(data, partial = false) {
+        if (!partial && !ID_PATTERN.test(data.adset_id || '')) {
+            return 'adset_id required (letters, digits, _ . : - up to 100 characters)';
+        }
+        if (partial && data.adset_id !== undefined) return 'adset_id cannot be changed';
+
+        return validateNamed(data, partial) ||
+            validateAmount(data, 'daily_budget') ||
+            validateAmount(data, 'lifetime_budget');
+    }
+
+    validateAd(data, partial = false) {
+        if (!partial && !ID_PATTERN.test(data.ad_id || '')) {
+            return 'ad_id required (letters, digits, _ . : - up to 100 characters)';
+        }
+        if (partial && data.ad_id !== undefined) return 'ad_id cannot be changed';
+
+        return validateNamed(data, partial);
+    }
+
+    /**
+     * Campaigns with ad set and ad counts. Archived campaigns are left out
+     * unless asked for by status.
+     * @param {object} filters - status, search (name or ID)
+     */
+    async listCampaigns(filters = {}) {
+        let query = `
+            SELECT c.*,
+                   (SELECT COUNT(*) FROM adsets s WHERE s.campaign_id = c.campaign_id)::int as adset_count,
+                   (SELECT COUNT(*) FROM ads a WHERE a.campaign_id = c.campaign_id)::int as ad_count
+            FROM campaigns c
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (filters.status) {
+            query += ` AND c.status = $${params.length + 1}`;
+            params.push(filters.status);
+        } else {
+            query += " AND c.status <> 'ARCHIVED'";
+        }
+        if (filters.search) {
+            query += ` AND (c.name ILIKE $${params.length + 1} OR c.campaign_id ILIKE $${params.length + 1})`;
+            params.push(`%${filters.search}%`);
+        }
+
+        query += ' ORDER BY c.created_at DESC, c.id DESC';
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    async getCampaign(campaignId) {
+        const result = await this.db.query('SELECT * FROM campaigns WHERE campaign_id = $1', [campaignId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * A campaign with its ad sets, each with its ads
+     */
+    async getCampaignTree(campaignId) {
+        const campaign = await this.getCampaign(campaignId);
+        if (!campaign) return null;
+
+        const adsets = await this.db.query(
+            'SELECT * FROM adsets WHERE campaign_id = $1 ORDER BY created_at, id',
+            [campaignId]
+        );
+        const ads = await this.db.query(
+            'SELECT * FROM ads WHERE campaign_id = $1 ORDER BY created_at, id',
+            [campaignId]
+        );
+
+        return {
+            ...campaign,
+            adsets: adsets.rows.map(adset => ({
+                ...adset,
+                ads: ads.rows.filter(ad => ad.adset_id === adset.adset_id)
+            }))
+        };
+    }
+
+    /**
+     * Campaign already mapped to a Meta campaign ID, other than campaignId
+     */
+    async findByMetaCampaignId(metaCampaignId, campaignId = null) {
+        const result = await this.db.query(
+            'SELECT * FROM campaigns WHERE meta_campaign_id = $1 AND campaign_id IS DISTINCT FROM $2 LIMIT 1',
+            [metaCampaignId, campaignId]
+        );
+        return result.rows[0] || null;
+    }
+
+    async createCampaign(data) {
+        const result = await this.db.query(`
+            INSERT INTO campaigns (campaign_id, name, status, daily_budget, total_budget, meta_campaign_id)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [
+            data.campaign_id,
+            data.name.trim(),
+            data.status || 'ACTIVE',
+            data.daily_budget ?? null,
+            data.total_budget ?? null,
+            data.meta_campaign_id || null
+        ]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Update name, status, budgets or Meta mapping
+     */
+    async updateCampaign(campaignId, data) {
+        return this.update('campaigns', 'campaign_id', campaignId, data,
+            ['name', 'status', 'daily_budget', 'total_budget', 'meta_campaign_id']);
+    }
+
+    async getAdset(adsetId) {
+        const result = await this.db.query('SELECT * FROM adsets WHERE adset_id = $1', [adsetId]);
+        return result.rows[0] || null;
+    }
+
+    async createAdset(campaign, data) {
+        const result = await this.db.query(`
+            INSERT INTO adsets (adset_id, campaign_id, meta_campaign_id, name, status, daily_budget, lifetime_budget)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [
+            data.adset_id,
+            campaign.campaign_id,
+            campaign.meta_campaign_id,
+            data.name.trim(),
+            data.status || 'ACTIVE',
+            data.daily_budget ?? null,
+            data.lifetime_budget ?? null
+        ]);
+
+        return result.rows[0];
+    }
+
+    async updateAdset(adsetId, data) {
+        return this.update('adsets', 'adset_id', adsetId, data,
+            ['name', 'status', 'daily_budget', 'lifetime_budget']);
+    }
+
+    async getAd(adId) {
+        const result = await this.db.query('SELECT * FROM ads WHERE ad_id = $1', [adId]);
+        return result.rows[0] || null;
+    }
+
+    async createAd(adset, data) {
+        const result = await this.db.query(`
+            INSERT INTO ads (ad_id, adset_id, campaign_id, name, status)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [data.ad_id, adset.adset_id, adset.campaign_id, data.name.trim(), data.status || 'ACTIVE']);
+
+        return result.rows[0];
+    }
+
+    async updateAd(adId, data) {
+        return this.update('ads', 'ad_id', adId, data, ['name', 'status']);
+    }
+
+    async update(table, idColumn, id, data, allowed) {
+        const fields = allowed.filter(field => data[field] !== undefined);
+
+        if (fields.length === 0) {
+            const result = await this.db.query(`SELECT * FROM ${table} WHERE ${idColumn} = $1`, [id]);
+            return result.rows[0] || null;
+        }
+
+        const values = fields.map(field => (field === 'name' ? data.name.trim() : data[field]));
+        const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+        const touched = table === 'campaigns' ? ', updated_at = NOW()' : '';
+
+        const result = await this.db.query(`
+            UPDATE ${table} SET ${assignments.join(', ')}${touched}
+            WHERE ${idColumn} = $1
+            RETURNING *
+        `, [id, ...values]);
+
+        return result.rows[0] || null;
+    }
+}
+
+Campaigns.STATUSES = STATUSES;
+
+function validateNamed(data, partial) {
+    if (!partial || data.name !== undefined) {
+        if (typeof data.name !== 'string' || !data.name.trim()) return 'name required';
+        if (data.name.length > 255) return 'name must be at most 255 characters';
+    }
+    if (data.status !== undefined && !STATUSES.includes(data.status)) {
+        return `status must be one of ${STATUSES.join(', ')}`;
+    }
+    return null;
+}
+
+function validateAmount(data, field) {
+    const value = data[field];
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'number' || !isFinite(value) || value < 0 || value >= 1e8) {
+        return `${field} must be a non-negative amount`;
+    }
+    return null;
+}
+
+module.exports = Campaigns;
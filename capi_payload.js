@@ -0,0 +1,183 @@
+
+/**
+ * Meta Conversions API Payload Builder
+ * Builds server events following Meta's customer information parameter rules:
+ * identifiers are normalized then SHA-256 hashed, browser identifiers (fbp,
+ * fbc, IP, user agent) are sent as-is, and our conversion types are mapped to
+ * Meta standard event names.
+ * https://developers.facebook.com/docs/marketing-api/conversions-api/parameters/customer-information-parameters
+ */
+
+const crypto = require('crypto');
+
+const SHA256_HEX = /^[a-f0-9]{64}$/;
+
+// Our conversion types -> Meta standard events; anything else is sent as a custom event
+const STANDARD_EVENTS = {
+    purchase: 'Purchase',
+    lead: 'Lead',
+    signup: 'CompleteRegistration',
+    sign_up: 'CompleteRegistration',
+    registration: 'CompleteRegistration',
+    complete_registration: 'CompleteRegistration',
+    add_to_cart: 'AddToCart',
+    add_to_wishlist: 'AddToWishlist',
+    add_payment_info: 'AddPaymentInfo',
+    checkout: 'InitiateCheckout',
+    initiate_checkout: 'InitiateCheckout',
+    subscribe: 'Subscribe',
+    subscription: 'Subscribe',
+    start_trial: 'StartTrial',
+    trial: 'StartTrial',
+    contact: 'Contact',
+    schedule: 'Schedule',
+    submit_application: 'SubmitApplication',
+    view_content: 'ViewContent',
+    search: 'Search',
+    donate: 'Donate',
+    find_location: 'FindLocation',
+    customize_product: 'CustomizeProduct'
+};
+
+const ACTION_SOURCES = [
+    'website', 'app', 'email', 'phone_call', 'chat', 'physical_store',
+    'system_generated', 'business_messaging', 'other'
+];
+
+// Normalizers per hashed user_data key; returning '' drops the value
+const NORMALIZERS = {
+    em: value => value.trim().toLowerCase(),
+    // Digits only, country code included, no leading zeros
+    ph: value => value.replace(/\D/g, '').replace(/^0+/, ''),
+    fn: value => stripPunctuation(value),
+    ln: value => stripPunctuation(value),
+    ct: value => stripPunctuation(value).replace(/\s/g, ''),
+    st: value => stripPunctuation(value).replace(/\s/g, ''),
+    // US zips keep the first five digits
+    zp: value => {
+        const zip = value.trim().toLowerCase().replace(/[\s-]/g, '');
+        return /^\d{9}$/.test(zip) ? zip.slice(0, 5) : zip;
+    },
+    country: value => value.trim().toLowerCase().slice(0, 2),
+    external_id: value => value.trim()
+};
+
+function stripPunctuation(value) {
+    return value.trim().toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '');
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value, 'utf8').digest('hex');
+}
+
+/**
+ * Normalize and hash one customer information value. Values that are already
+ * SHA-256 hashes (e.g. stored conversion emails) pass through.
+ */
+function hashUserValue(key, value) {
+    if (value === undefined || value === null) return undefined;
+
+    const raw = String(value);
+    if (SHA256_HEX.test(raw.trim())) return raw.trim();
+
+    const normalized = NORMALIZERS[key](raw);
+    return normalized ? sha256(normalized) : undefined;
+}
+
+/**
+ * Map a conversion type to a Meta standard event name
+ */
+function toStandardEventName(conversionType) {
+    const key = String(conversionType || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return STANDARD_EVENTS[key] || conversionType;
+}
+
+/**
+ * fbc from the _fbc cookie, or built from the fbclid and the time of the click
+ * that carried it: fb.1.<click time in ms>.<fbclid>
+ */
+function buildFbc(fbcCookie, fbClickId, clickTime) {
+    if (fbcCookie) return fbcCookie;
+    if (!fbClickId) return undefined;
+
+    const createdAt = clickTime ? new Date(clickTime).getTime() : Date.now();
+    return `fb.1.${createdAt}.${fbClickId}`;
+}
+
+/**
+ * Build user_data from the request and the click
+ * @param {object} customer - customer_email, customer_phone, first_name, last_name,
+ *   city, state, zip, country, external_id, fbp, fbc, client_ip, client_user_agent
+ * @param {object} click - Row from clicks
+ */
+function buildUserData(customer = {}, click = {}) {
+    const hashed = {
+        em: hashUserValue('em', customer.customer_email),
+        ph: hashUserValue('ph', customer.customer_phone),
+        fn: hashUserValue('fn', customer.first_name),
+        ln: hashUserValue('ln', customer.last_name),
+        ct: hashUserValue('ct', customer.city),
+        st: hashUserValue('st', customer.state),
+        zp: hashUserValue('zp', customer.zip),
+        country: hashUserValue('country', customer.country),
+        external_id: hashUserValue('external_id', customer.external_id)
+    };
+
+    const userData = {};
+    for (const [key, value] of Object.entries(hashed)) {
+        if (value) userData[key] = [value];
+    }
+
+    const ip = customer.client_ip || click.user_ip;
+    const userAgent = customer.client_user_agent || click.user_agent;
+    const fbp = customer.fbp || click.browser_id;
+    const fbc = buildFbc(customer.fbc || click.fbc, click.fb_click_id, click.timestamp);
+
+    if (ip) userData.client_ip_address = String(ip).replace(/^::ffff:/, '');
+    if (userAgent) userData.client_user_agent = userAgent;
+    if (fbp) userData.fbp = fbp;
+    if (fbc) userData.fbc = fbc;
+
+    return userData;
+}
+
+/**
+ * Build a Conversions API server event for a recorded conversion
+ * @param {object} conversion - conversion_id, event_id, conversion_type, conversion_value,
+ *   currency, external_id, timestamp
+ * @param {object} click - Row from clicks the conversion belongs to
+ * @param {object} details - Request fields: customer information, fbp/fbc, client_ip,
+ *   client_user_agent, event_source_url, action_source, custom_data
+ */
+function buildConversionEvent(conversion, click = {}, details = {}) {
+    const actionSource = ACTION_SOURCES.includes(details.action_source) ? details.action_source : 'website';
+    const eventSourceUrl = details.event_source_url || click.landing_page || undefined;
+
+    const event = {
+        event_name: toStandardEventName(conversion.conversion_type),
+        event_time: Math.floor(new Date(conversion.timestamp || Date.now()).getTime() / 1000),
+        event_id: conversion.event_id || conversion.conversion_id,
+        action_source: actionSource,
+        user_data: buildUserData({ ...details, external_id: conversion.external_id }, click),
+        custom_data: {
+            ...(details.custom_data || {}),
+            value: Number(conversion.conversion_value) || 0,
+            currency: conversion.currency || 'USD'
+        }
+    };
+
+    if (eventSourceUrl) event.event_source_url = eventSourceUrl;
+    if (conversion.external_id) event.custom_data.order_id = conversion.external_id;
+
+    return event;
+}
+
+module.exports = {
+    buildConversionEvent,
+    buildUserData,
+    buildFbc,
+    hashUserValue,
+    toStandardEventName,
+    STANDARD_EVENTS,
+    ACTION_SOURCES
+};
@@ -0,0 +1,288 @@
+
+/**
+ * Conversion Delivery Queue
+ * Conversion events for each destination (Meta CAPI, TikTok, webhooks) are
+ * written to capi_deliveries and sent in batches by a background worker, so a
+ * slow or failing destination never blocks tracking and never loses an event.
+ * Failed sends back off exponentially and end up in the 'dead' state after
+ * maxAttempts, where they can be inspected and replayed.
+ *
+ * Statuses: pending -> sending -> sent
+ *                              -> failed (retried) -> dead
+ */
+
+const STATUSES = ['pending', 'sending', 'sent', 'failed', 'dead'];
+
+// Most deliveries claimed per poll; each destination's plugin caps its own request size
+const MAX_BATCH_SIZE = 1000;
+
+// A 'sending' row older than this was claimed by a worker that died mid-send
+const STALE_SENDING_MINUTES = 5;
+
+class CapiQueue {
+    /**
+     * @param {object} dbPool - Database pool
+     * @param {object} destinations - ConversionDestinations, for configs and plugins
+     * @param {object} options - batchSize, intervalMs, maxAttempts, baseDelayMs, maxDelayMs
+     */
+    constructor(dbPool, destinations, options = {}) {
+        this.db = dbPool;
+        this.destinations = destinations;
+        this.batchSize = Math.min(options.batchSize || MAX_BATCH_SIZE, MAX_BATCH_SIZE);
+        this.intervalMs = options.intervalMs || 5000;
+        this.maxAttempts = options.maxAttempts || 8;
+        this.baseDelayMs = options.baseDelayMs || 60 * 1000;
+        this.maxDelayMs = options.maxDelayMs || 6 * 60 * 60 * 1000;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Queue an event for delivery
+     * @param {object} event - Event in the destination's format
+     * @param {string} conversionId - Conversion the event was built from
+     * @param {number} destinationId - Destination to send it to
+     */
+    async enqueue(event, conversionId, destinationId) {
+        const result = await this.db.query(`
+            INSERT INTO capi_deliveries (destination_id, conversion_id, event_id, event_name, payload)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [
+            destinationId,
+            conversionId,
+            event.event_id || null,
+            event.event_name || event.event || null,
+            JSON.stringify(event)
+        ]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Poll for due deliveries until stop() is called
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.processBatch().catch(error => {
+                console.error('CAPI queue error:', error.message);
+            });
+        }, this.intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Claim one batch of due deliveries and send them, grouped by destination
+     * @returns {Promise<{claimed: number, sent: number, failed: number, skipped?: string}>}
+     */
+    async processBatch() {
+        // One batch at a time per process; other processes are kept apart by SKIP LOCKED
+        if (this.running) return { claimed: 0, sent: 0, failed: 0, skipped: 'busy' };
+        this.running = true;
+
+        try {
+            const deliveries = await this.claim();
+            const outcome = { claimed: deliveries.length, sent: 0, failed: 0 };
+
+            const byDestination = new Map();
+            for (const delivery of deliveries) {
+                if (!byDestination.has(delivery.destination_id)) byDestination.set(delivery.destination_id, []);
+                byDestination.get(delivery.destination_id).push(delivery);
+            }
+
+            for (const [destinationId, group] of byDestination) {
+                const destination = await this.destinations.get(destinationId);
+                const plugin = destination && this.destinations.plugin(destination.type);
+                if (!plugin) {
+                    await this.markFailed(group, { permanent: true, message: 'Destination not found', response: {} });
+                    outcome.failed += group.length;
+                    continue;
+                }
+
+                for (let i = 0; i < group.length; i += plugin.maxBatchSize) {
+                    const result = await this.send(destination, plugin, group.slice(i, i + plugin.maxBatchSize));
+                    outcome.sent += result.sent;
+                    outcome.failed += result.failed;
+                }
+            }
+
+            return outcome;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Mark due deliveries for enabled destinations as sending and return them.
+     * Deliveries for disabled destinations wait until they are re-enabled;
+     * those whose destination was deleted are claimed so they are failed
+     * rather than left pending.
+     */
+    async claim() {
+        const result = await this.db.query(`
+            UPDATE capi_deliveries
+            SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+            WHERE id IN (
+                SELECT d.id FROM capi_deliveries d
+                WHERE ((d.status IN ('pending', 'failed') AND d.next_attempt_at <= NOW())
+                   OR (d.status = 'sending' AND d.updated_at < NOW() - make_interval(mins => $2)))
+                  AND (d.destination_id IS NULL OR EXISTS (
+                      SELECT 1 FROM conversion_destinations cd WHERE cd.id = d.destination_id AND cd.enabled = true
+                  ))
+                ORDER BY d.next_attempt_at ASC
+                LIMIT $1
+                FOR UPDATE OF d SKIP LOCKED
+            )
+            RETURNING *
+        `, [this.batchSize, STALE_SENDING_MINUTES]);
+
+        return result.rows.sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Send deliveries in one request. Destinations like Meta reject the whole
+     * batch when one event is invalid, so a rejected batch is split until the
+     * bad events are isolated; transient errors retry the whole batch later.
+     */
+    async send(destination, plugin, deliveries) {
+        try {
+            const result = await plugin.send(destination, deliveries.map(delivery => delivery.payload));
+            await this.markSent(deliveries, result.response, result.fbtraceId);
+            return { sent: deliveries.length, failed: 0 };
+        } catch (error) {
+            const described = plugin.describeError(error);
+
+            if (described.permanent && deliveries.length > 1) {
+                const middle = Math.ceil(deliveries.length / 2);
+                const first = await this.send(destination, plugin, deliveries.slice(0, middle));
+                const second = await this.send(destination, plugin, deliveries.slice(middle));
+                return { sent: first.sent + second.sent, failed: first.failed + second.failed };
+            }
+
+            await this.markFailed(deliveries, described);
+            return { sent: 0, failed: deliveries.length };
+        }
+    }
+
+    async markSent(deliveries, response, fbtraceId) {
+        await this.db.query(`
+            UPDATE capi_deliveries
+            SET status = 'sent', response = $2, fbtrace_id = $3, last_error = NULL,
+                sent_at = NOW(), updated_at = NOW()
+            WHERE id = ANY($1)
+        `, [deliveries.map(delivery => delivery.id), JSON.stringify(response || {}), fbtraceId || null]);
+    }
+
+    /**
+     * @param {object} failure - permanent, message, response and fbtraceId from the plugin
+     */
+    async markFailed(deliveries, failure) {
+        for (const delivery of deliveries) {
+            const dead = failure.permanent || delivery.attempts >= this.maxAttempts;
+
+            await this.db.query(`
+                UPDATE capi_deliveries
+                SET status = $2, response = $3, fbtrace_id = $4, last_error = $5,
+                    next_attempt_at = NOW() + make_interval(secs => $6), updated_at = NOW()
+                WHERE id = $1
+            `, [
+                delivery.id,
+                dead ? 'dead' : 'failed',
+                JSON.stringify(failure.response || {}),
+                failure.fbtraceId || null,
+                failure.message || 'Unknown error',
+                dead ? 0 : this.retryDelay(delivery.attempts) / 1000
+            ]);
+        }
+    }
+
+    /**
+     * Exponential backoff: baseDelayMs, doubling per attempt, capped at maxDelayMs
+     */
+    retryDelay(attempts) {
+        return Math.min(this.baseDelayMs * Math.pow(2, Math.max(attempts - 1, 0)), this.maxDelayMs);
+    }
+
+    /**
+     * Delivery log, newest first, with a count per status
+     */
+    async list(filters = {}) {
+        let query = 'SELECT * FROM capi_deliveries WHERE 1=1';
+        const params = [];
+
+        if (filters.status) {
+            query += ` AND status = $${params.length + 1}`;
+            params.push(filters.status);
+        }
+        if (filters.destination_id) {
+            query += ` AND destination_id = $${params.length + 1}`;
+            params.push(filters.destination_id);
+        }
+        if (filters.conversion_id) {
+            query += ` AND conversion_id = $${params.length + 1}`;
+            params.push(filters.conversion_id);
+        }
+
+        query += ` ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1}`;
+        params.push(Math.min(parseInt(filters.limit, 10) || 100, 1000));
+
+        const [deliveries, counts] = await Promise.all([
+            this.db.query(query, params),
+            this.db.query('SELECT status, COUNT(*)::int AS count FROM capi_deliveries GROUP BY status')
+        ]);
+
+        return {
+            deliveries: deliveries.rows,
+            counts: Object.fromEntries(counts.rows.map(row => [row.status, row.count]))
+        };
+    }
+
+    async get(id) {
+        const result = await this.db.query('SELECT * FROM capi_deliveries WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Validate a replay selection, returns an error message or null
+     */
+    validateReplay(selection = {}) {
+        if (Array.isArray(selection.ids) && selection.ids.length > 0) {
+            if (selection.ids.some(id => !Number.isInteger(Number(id)))) return 'ids must be delivery IDs';
+            return null;
+        }
+        if (['failed', 'dead'].includes(selection.status)) return null;
+
+        return "Replay needs ids or a status of 'failed' or 'dead'";
+    }
+
+    /**
+     * Put failed or dead deliveries back in the queue with a fresh set of attempts
+     * @param {object} selection - ids: delivery IDs, or status: 'failed' or 'dead'
+     * @returns {Promise<number>} deliveries requeued
+     */
+    async replay(selection) {
+        const byIds = Array.isArray(selection.ids) && selection.ids.length > 0;
+        const where = byIds ? "id = ANY($1) AND status IN ('failed', 'dead')" : 'status = $1';
+        const params = [byIds ? selection.ids.map(Number) : selection.status];
+
+        const result = await this.db.query(`
+            UPDATE capi_deliveries
+            SET status = 'pending', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+            WHERE ${where}
+            RETURNING id
+        `, params);
+
+        return result.rows.length;
+    }
+}
+
+CapiQueue.STATUSES = STATUSES;
+
+module.exports = CapiQueue;
@@ -0,0 +1,233 @@
+
+/**
+ * Conversion Destinations
+ * Where recorded conversions are forwarded. Each destination has a plugin type
+ * (see destination_plugins.js), its own config, an event name mapping and
+ * filters by conversion type and campaign, and can be switched off without
+ * being deleted.
+ */
+
+const builtInPlugins = require('./destination_plugins');
+
+// Destinations are read on every conversion, so keep them in memory briefly
+const CACHE_TTL = 60 * 1000;
+
+const FILTER_KEYS = ['conversion_types', 'campaign_ids'];
+
+class ConversionDestinations {
+    constructor(dbPool) {
+        this.db = dbPool;
+        this.plugins = { ...builtInPlugins };
+        this.cache = null;
+    }
+
+    /**
+     * Add a destination type, see destination_plugins.js for the interface
+     */
+    registerPlugin(type, plugin) {
+        this.plugins[type] = plugin;
+    }
+
+    plugin(type) {
+        return this.plugins[type] || null;
+    }
+
+    /**
+     * Validate destination fields, returns an error message or null
+     * @param {object} data - Destination fields from the request body
+     * @param {object} existing - Current destination when updating
+     */
+    validate(data, existing = null) {
+        const type = existing ? existing.type : data.type;
+        const plugin = this.plugin(type);
+
+        if (!plugin) return `type must be one of ${Object.keys(this.plugins).join(', ')}`;
+        if (existing && data.type !== undefined && data.type !== existing.type) {
+            return 'type cannot be changed';
+        }
+        if (!existing || data.name !== undefined) {
+            if (!data.name || typeof data.name !== 'string') return 'name required';
+        }
+        if (data.enabled !== undefined && typeof data.enabled !== 'boolean') return 'enabled must be true or false';
+
+        for (const field of ['config', 'event_mapping', 'filters']) {
+            if (data[field] !== undefined && (typeof data[field] !== 'object' || data[field] === null || Array.isArray(data[field]))) {
+                return `${field} must be an object`;
+            }
+        }
+
+        if (data.filters) {
+            for (const [key, value] of Object.entries(data.filters)) {
+                if (!FILTER_KEYS.includes(key)) return `filters.${key} not supported (use ${FILTER_KEYS.join(', ')})`;
+                if (!Array.isArray(value)) return `filters.${key} must be an array`;
+            }
+        }
+
+        if (!existing || data.config !== undefined) {
+            return plugin.validateConfig(this.mergeConfig(existing, data.config || {}));
+        }
+
+        return null;
+    }
+
+    /**
+     * Config from an update, keeping stored secrets that were sent back masked
+     * or left out
+     */
+    mergeConfig(existing, config) {
+        if (!existing) return config;
+
+        const merged = { ...config };
+        for (const field of this.plugin(existing.type).secretFields) {
+            if (merged[field] === undefined || merged[field] === this.maskSecret(existing.config[field])) {
+                merged[field] = existing.config[field];
+            }
+        }
+        return merged;
+    }
+
+    maskSecret(value) {
+        if (!value) return value;
+        const text = String(value);
+        return text.length > 8 ? `••••${text.slice(-4)}` : '••••';
+    }
+
+    /**
+     * Destination safe to return from the API, with secrets masked
+     */
+    present(destination) {
+        if (!destination) return destination;
+
+        const plugin = this.plugin(destination.type);
+        const config = { ...destination.config };
+        for (const field of plugin ? plugin.secretFields : []) {
+            if (config[field]) config[field] = this.maskSecret(config[field]);
+        }
+
+        return { ...destination, config };
+    }
+
+    async list() {
+        const result = await this.db.query('SELECT * FROM conversion_destinations ORDER BY id');
+        return result.rows;
+    }
+
+    async get(id) {
+        const result = await this.db.query('SELECT * FROM conversion_destinations WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    async create(data) {
+        const result = await this.db.query(`
+            INSERT INTO conversion_destinations (name, type, enabled, config, event_mapping, filters)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [
+            data.name,
+            data.type,
+            data.enabled !== undefined ? data.enabled : true,
+            JSON.stringify(data.config || {}),
+            JSON.stringify(data.event_mapping || {}),
+            JSON.stringify(data.filters || {})
+        ]);
+
+        this.cache = null;
+        return result.rows[0];
+    }
+
+    async update(id, data, existing) {
+        const values = {
+            name: data.name,
+            enabled: data.enabled,
+            config: data.config !== undefined ? JSON.stringify(this.mergeConfig(existing, data.config)) : undefined,
+            event_mapping: data.event_mapping !== undefined ? JSON.stringify(data.event_mapping) : undefined,
+            filters: data.filters !== undefined ? JSON.stringify(data.filters) : undefined
+        };
+        const fields = Object.keys(values).filter(field => values[field] !== undefined);
+
+        if (fields.length === 0) return existing;
+
+        const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+        const result = await this.db.query(`
+            UPDATE conversion_destinations SET ${assignments.join(', ')}, updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `, [id, ...fields.map(field => values[field])]);
+
+        this.cache = null;
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Delete a destination. Its delivery log is kept; undelivered events are dropped.
+     */
+    async remove(id) {
+        await this.db.query(
+            "UPDATE capi_deliveries SET status = 'dead', last_error = 'Destination deleted', updated_at = NOW() WHERE destination_id = $1 AND status IN ('pending', 'failed')",
+            [id]
+        );
+        const result = await this.db.query('DELETE FROM conversion_destinations WHERE id = $1 RETURNING *', [id]);
+
+        this.cache = null;
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Create a Meta destination from the api_configurations row that drove
+     * CAPI sending before destinations existed. Runs at startup and only while
+     * there are no destinations, so upgraded installs keep forwarding to Meta.
+     * @returns {Promise<object|null>} the created destination
+     */
+    async migrateMetaConfig() {
+        const result = await this.db.query(`
+            INSERT INTO conversion_destinations (name, type, config)
+            SELECT 'Meta CAPI', 'meta', jsonb_build_object('pixel_id', pixel_id, 'access_token', access_token)
+            FROM api_configurations
+            WHERE provider = 'meta' AND pixel_id IS NOT NULL AND access_token IS NOT NULL
+              AND expires_at > NOW()
+              AND NOT EXISTS (SELECT 1 FROM conversion_destinations)
+            ORDER BY created_at DESC
+            LIMIT 1
+            RETURNING *
+        `);
+
+        this.cache = null;
+        return result.rows[0] || null;
+    }
+
+    async getEnabled() {
+        if (this.cache && Date.now() - this.cache.loadedAt < CACHE_TTL) return this.cache.destinations;
+
+        const result = await this.db.query('SELECT * FROM conversion_destinations WHERE enabled = true ORDER BY id');
+        this.cache = { destinations: result.rows, loadedAt: Date.now() };
+        return result.rows;
+    }
+
+    /**
+     * Enabled destinations whose filters accept a conversion
+     */
+    async matching(conversion, click = {}) {
+        const destinations = await this.getEnabled();
+
+        return destinations.filter(destination => {
+            const filters = destination.filters || {};
+            if (filters.conversion_types?.length && !filters.conversion_types.includes(conversion.conversion_type)) {
+                return false;
+            }
+            if (filters.campaign_ids?.length && !filters.campaign_ids.includes(click.campaign_id)) {
+                return false;
+            }
+            return Boolean(this.plugin(destination.type));
+        });
+    }
+
+    /**
+     * Destination-specific event for a conversion
+     * @param {object} context - conversion, click and request details
+     */
+    buildEvent(destination, context) {
+        return this.plugin(destination.type).buildEvent(destination, context);
+    }
+}
+
+module.exports = ConversionDestinations;
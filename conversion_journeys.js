@@ -0,0 +1,203 @@
+
+/**
+ * Conversion Journeys
+ * Explains a conversion's attribution: the touchpoints it was credited to, how
+ * each click was matched to the converting person, and the weight each would
+ * get under the other models. The journey is also rebuilt as it stands now, so
+ * clicks that arrived or were linked after attribution show up alongside the
+ * stored ones.
+ */
+
+const AttributionEngine = require('./attribution_engine');
+
+// Models that need configuration the explorer can't supply
+const SKIPPED_MODELS = ['custom'];
+
+const MAX_LIST_LIMIT = 200;
+
+class ConversionJourneys {
+    /**
+     * @param {object} dbPool - Database pool
+     * @param {object} options - attributionEngine: shared AttributionEngine instance
+     */
+    constructor(dbPool, options = {}) {
+        this.db = dbPool;
+        this.engine = options.attributionEngine || new AttributionEngine(dbPool);
+    }
+
+    /**
+     * Validate conversion list filters, returns an error message or null
+     */
+    validateListFilters(filters) {
+        for (const field of ['start_date', 'end_date']) {
+            if (filters[field] && (!/^\d{4}-\d{2}-\d{2}$/.test(filters[field]) || isNaN(Date.parse(filters[field])))) {
+                return 'Dates must be YYYY-MM-DD';
+            }
+        }
+        if (filters.limit !== undefined && (!Number.isInteger(filters.limit) || filters.limit < 1 ||
+            filters.limit > MAX_LIST_LIMIT)) {
+            return `limit must be between 1 and ${MAX_LIST_LIMIT}`;
+        }
+        if (filters.offset !== undefined && (!Number.isInteger(filters.offset) || filters.offset < 0)) {
+            return 'offset must be a non-negative integer';
+        }
+        return null;
+    }
+
+    /**
+     * Conversions, newest first, with their credited campaigns
+     * @param {object} filters - start_date, end_date (UTC days), campaign_id
+     *   (conversions that campaign got credit for), conversion_type,
+     *   search (conversion or click ID prefix), limit, offset
+     * @returns {Promise<{total: number, conversions: object[]}>}
+     */
+    async listConversions(filters = {}) {
+        let where = 'WHERE 1=1';
+        const params = [];
+
+        if (filters.start_date) {
+            where += ` AND co.timestamp >= $${params.length + 1}`;
+            params.push(filters.start_date);
+        }
+        if (filters.end_date) {
+            where += ` AND co.timestamp < ($${params.length + 1}::date + 1)`;
+            params.push(filters.end_date);
+        }
+        if (filters.conversion_type) {
+            where += ` AND co.conversion_type = $${params.length + 1}`;
+            params.push(filters.conversion_type);
+        }
+        if (filters.search) {
+            where += ` AND (co.conversion_id LIKE $${params.length + 1} OR co.click_id LIKE $${params.length + 1})`;
+            params.push(`${filters.search}%`);
+        }
+        if (filters.campaign_id) {
+            where += ` AND EXISTS (
+                SELECT 1 FROM attribution_touchpoints ft
+                JOIN clicks fc ON fc.click_id = ft.click_id
+                WHERE ft.conversion_id = co.conversion_id AND ft.attribution_weight > 0
+                  AND fc.campaign_id = $${params.length + 1}
+            )`;
+            params.push(filters.campaign_id);
+        }
+
+        params.push(filters.limit || 50, filters.offset || 0);
+        const result = await this.db.query(`
+            SELECT co.conversion_id, co.click_id, co.conversion_type,
+                   co.conversion_value::float as conversion_value, co.currency,
+                   co.timestamp, co.attribution_model, co.source,
+                   COUNT(at.id)::int as touchpoints,
+                   COALESCE(ARRAY_REMOVE(
+                       ARRAY_AGG(DISTINCT cl.campaign_id) FILTER (WHERE at.attribution_weight > 0), NULL
+                   ), '{}') as credited_campaigns,
+                   COUNT(*) OVER () as total
+            FROM conversions co
+            LEFT JOIN attribution_touchpoints at ON at.conversion_id = co.conversion_id
+            LEFT JOIN clicks cl ON cl.click_id = at.click_id
+            ${where}
+            GROUP BY co.id
+            ORDER BY co.timestamp DESC, co.id DESC
+            LIMIT $${params.length - 1} OFFSET $${params.length}
+        `, params);
+
+        return {
+            total: result.rows[0] ? Number(result.rows[0].total) : 0,
+            conversions: result.rows.map(({ total, ...row }) => row)
+        };
+    }
+
+    /**
+     * Ordered touchpoints of a conversion with stored and alternative weights
+     * @returns {Promise<object|null>} null when the conversion doesn't exist
+     */
+    async getJourney(conversionId) {
+        const conversion = await this.engine.getConversionData(conversionId);
+        if (!conversion) return null;
+
+        const stored = await this.db.query(`
+            SELECT click_id, position_in_journey, time_to_conversion,
+                   attribution_weight::float as attribution_weight,
+                   match_type, match_confidence::float as match_confidence
+            FROM attribution_touchpoints
+            WHERE conversion_id = $1
+        `, [conversionId]);
+        const storedByClick = new Map(stored.rows.map(row => [row.click_id, row]));
+
+        const current = await this.engine.getCustomerJourney(conversion);
+        const currentByClick = new Map(current.map(touchpoint => [touchpoint.click_id, touchpoint]));
+
+        const storedModel = conversion.attribution_model || null;
+        const models = [...AttributionEngine.COMPARISON_MODELS];
+        if (storedModel && !models.includes(storedModel) && !SKIPPED_MODELS.includes(storedModel)) {
+            models.push(storedModel);
+        }
+
+        // Score the current journey under each model; a data-driven model
+        // without a trained version is reported rather than failing the journey
+        const weights = {};
+        const unavailable = {};
+        const modelOptions = { performanceCache: new Map() };
+        for (const model of models) {
+            if (current.length === 0) break;
+            try {
+                const scored = await this.engine.models[model].call(this.engine, current, conversion, modelOptions);
+                weights[model] = new Map(scored.map(touchpoint => [touchpoint.click_id, touchpoint.attribution_weight]));
+            } catch (error) {
+                unavailable[model] = error.message;
+            }
+        }
+
+        const clickIds = [...new Set([...storedByClick.keys(), ...currentByClick.keys()])];
+        const clicks = await this.db.query(`
+            SELECT cl.click_id, cl.timestamp, cl.campaign_id, c.name as campaign_name, cl.adset_id, cl.ad_id,
+                   cl.utm_source, cl.utm_medium, cl.utm_campaign, cl.utm_content, cl.utm_term,
+                   cl.landing_page, cl.referrer_url, cl.device_type, cl.browser, cl.os, cl.in_app_browser,
+                   cl.is_bot, cl.country_code, cl.region, cl.city, cl.interaction_type
+            FROM clicks cl
+            LEFT JOIN campaigns c ON c.campaign_id = cl.campaign_id
+            WHERE cl.click_id = ANY($1)
+        `, [clickIds]);
+
+        const conversionTime = new Date(conversion.timestamp).getTime();
+        const touchpoints = clicks.rows
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .map(click => {
+                const saved = storedByClick.get(click.click_id);
+                const now = currentByClick.get(click.click_id);
+
+                return {
+                    ...click,
+                    time_to_conversion: saved && saved.time_to_conversion !== null
+                        ? saved.time_to_conversion
+                        : Math.round((conversionTime - new Date(click.timestamp).getTime()) / 1000),
+                    match_type: saved ? saved.match_type : now.match_type,
+                    match_confidence: saved ? saved.match_confidence : now.match_confidence,
+                    in_stored_attribution: Boolean(saved),
+                    in_current_journey: Boolean(now),
+                    stored_weight: saved ? saved.attribution_weight : null,
+                    weights: Object.fromEntries(Object.entries(weights).map(([model, byClick]) => [
+                        model,
+                        now ? (byClick.get(click.click_id) || 0) : null
+                    ]))
+                };
+            });
+
+        return {
+            conversion: {
+                conversion_id: conversion.conversion_id,
+                conversion_type: conversion.conversion_type,
+                conversion_value: parseFloat(conversion.conversion_value || 0),
+                currency: conversion.currency,
+                timestamp: conversion.timestamp,
+                click_id: conversion.click_id,
+                source: conversion.source
+            },
+            stored_model: stored.rows.length > 0 ? storedModel : null,
+            models: Object.keys(weights),
+            unavailable_models: unavailable,
+            touchpoints
+        };
+    }
+}
+
+module.exports = ConversionJourneys;
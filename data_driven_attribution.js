@@ -0,0 +1,192 @@
+
+/**
+ * Data-Driven Attribution Models
+ * Markov chain removal effect and Shapley value training over channel paths.
+ * Pure functions: paths in, channel weights out. Persistence and scoring live
+ * in AttributionEngine.
+ */
+
+const START = '(start)';
+const CONVERSION = '(conversion)';
+const NULL_STATE = '(null)';
+const OTHER = '(other)';
+
+/**
+ * Train a first-order Markov chain on journeys and credit each channel by its
+ * removal effect: the share of conversions lost when the channel is removed.
+ * @param {Array<{channels: string[], converted: boolean}>} paths
+ */
+function trainMarkovModel(paths) {
+    const counts = new Map();
+    const addTransition = (from, to) => {
+        if (!counts.has(from)) counts.set(from, new Map());
+        const row = counts.get(from);
+        row.set(to, (row.get(to) || 0) + 1);
+    };
+
+    for (const path of paths) {
+        if (path.channels.length === 0) continue;
+        const sequence = [START, ...path.channels, path.converted ? CONVERSION : NULL_STATE];
+        for (let i = 0; i < sequence.length - 1; i++) {
+            addTransition(sequence[i], sequence[i + 1]);
+        }
+    }
+
+    // Normalize counts into transition probabilities
+    const transitions = new Map();
+    for (const [from, row] of counts) {
+        const total = [...row.values()].reduce((sum, count) => sum + count, 0);
+        transitions.set(from, new Map([...row].map(([to, count]) => [to, count / total])));
+    }
+
+    const channels = [...transitions.keys()].filter(state => state !== START);
+    const baseProbability = conversionProbability(transitions);
+
+    const removalEffects = {};
+    for (const channel of channels) {
+        const withoutChannel = conversionProbability(transitions, channel);
+        removalEffects[channel] = baseProbability > 0 ? 1 - withoutChannel / baseProbability : 0;
+    }
+
+    return {
+        weights: normalizeWeights(removalEffects),
+        details: {
+            conversion_probability: baseProbability,
+            removal_effects: removalEffects
+        }
+    };
+}
+
+/**
+ * Probability of reaching the conversion state from the start state, solved by
+ * Gauss-Seidel iteration. A removed channel sends all of its traffic to null.
+ */
+function conversionProbability(transitions, removedChannel = null) {
+    const probability = new Map([[CONVERSION, 1], [NULL_STATE, 0]]);
+
+    for (let iteration = 0; iteration < 10000; iteration++) {
+        let delta = 0;
+
+        for (const [state, row] of transitions) {
+            let value = 0;
+            if (state !== removedChannel) {
+                for (const [to, p] of row) {
+                    value += p * (to === removedChannel ? 0 : (probability.get(to) || 0));
+                }
+            }
+
+            delta = Math.max(delta, Math.abs(value - (probability.get(state) || 0)));
+            probability.set(state, value);
+        }
+
+        if (delta < 1e-12) break;
+    }
+
+    return probability.get(START) || 0;
+}
+
+/**
+ * Shapley values over channel coalitions. A coalition is worth the conversion
+ * rate of journeys that only touched channels inside it, so non-converting
+ * journeys count too. Computed exactly over all 2^n coalitions; channels past
+ * maxChannels are folded into "(other)".
+ * @param {Array<{channels: string[], converted: boolean}>} paths
+ * @param {object} options - maxChannels (default 12, at most 16)
+ */
+function trainShapleyModel(paths, options = {}) {
+    const maxChannels = Math.min(options.maxChannels || 12, 16);
+
+    // Keep the most frequent channels
+    const frequency = new Map();
+    for (const path of paths) {
+        for (const channel of new Set(path.channels)) {
+            frequency.set(channel, (frequency.get(channel) || 0) + 1);
+        }
+    }
+
+    let channels = [...frequency.keys()].sort((a, b) => frequency.get(b) - frequency.get(a));
+    if (channels.length > maxChannels) {
+        channels = [...channels.slice(0, maxChannels - 1), OTHER];
+    }
+
+    const n = channels.length;
+    const index = new Map(channels.map((channel, i) => [channel, i]));
+    const size = 1 << n;
+    const journeys = new Float64Array(size);
+    const conversions = new Float64Array(size);
+
+    for (const path of paths) {
+        let mask = 0;
+        for (const channel of path.channels) {
+            mask |= 1 << (index.has(channel) ? index.get(channel) : index.get(OTHER));
+        }
+        if (mask === 0) continue;
+
+        journeys[mask]++;
+        if (path.converted) conversions[mask]++;
+    }
+
+    // Sum over subsets: journeys[S] becomes the count of journeys within S
+    for (let i = 0; i < n; i++) {
+        for (let mask = 0; mask < size; mask++) {
+            if (mask & (1 << i)) {
+                journeys[mask] += journeys[mask ^ (1 << i)];
+                conversions[mask] += conversions[mask ^ (1 << i)];
+            }
+        }
+    }
+
+    const worth = mask => (journeys[mask] > 0 ? conversions[mask] / journeys[mask] : 0);
+
+    // Weight of a coalition of size s: s! (n - s - 1)! / n!
+    const factorial = [1];
+    for (let i = 1; i <= n; i++) factorial[i] = factorial[i - 1] * i;
+
+    const values = {};
+    for (let i = 0; i < n; i++) {
+        const bit = 1 << i;
+        let value = 0;
+
+        for (let mask = 0; mask < size; mask++) {
+            if (mask & bit) continue;
+            const s = popcount(mask);
+            value += (factorial[s] * factorial[n - s - 1] / factorial[n]) * (worth(mask | bit) - worth(mask));
+        }
+
+        values[channels[i]] = value;
+    }
+
+    return {
+        weights: normalizeWeights(values),
+        details: {
+            shapley_values: values,
+            overall_conversion_rate: worth(size - 1),
+            folded_into_other: channels.includes(OTHER)
+        }
+    };
+}
+
+function popcount(mask) {
+    let count = 0;
+    while (mask) {
+        mask &= mask - 1;
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Clamp negative contributions to zero and scale weights to sum to 1.0
+ */
+function normalizeWeights(scores) {
+    const clamped = Object.entries(scores).map(([channel, score]) => [channel, Math.max(score, 0)]);
+    const total = clamped.reduce((sum, [, score]) => sum + score, 0);
+
+    return Object.fromEntries(clamped.map(([channel, score]) => [channel, total > 0 ? score / total : 0]));
+}
+
+module.exports = {
+    trainMarkovModel,
+    trainShapleyModel,
+    OTHER_CHANNEL: OTHER
+};
@@ -0,0 +1,121 @@
+const { trainMarkovModel, trainShapleyModel, OTHER_CHANNEL } = require('./data_driven_attribution');
+
+const path = (channels, converted) => ({ channels, converted });
+
+const sum = weights => Object.values(weights).reduce((total, weight) => total + weight, 0);
+
+describe('trainMarkovModel', () => {
+    test('credits a channel by the conversions lost without it', () => {
+        const { weights, details } = trainMarkovModel([
+            path(['facebook'], true),
+            path(['google'], false)
+        ]);
+
+        expect(details.conversion_probability).toBeCloseTo(0.5);
+        expect(details.removal_effects).toEqual({ facebook: 1, google: 0 });
+        expect(weights).toEqual({ facebook: 1, google: 0 });
+    });
+
+    test('splits credit between channels every conversion needed', () => {
+        const { weights, details } = trainMarkovModel([
+            path(['facebook', 'google'], true),
+            path(['facebook'], false)
+        ]);
+
+        expect(details.conversion_probability).toBeCloseTo(0.5);
+        expect(weights.facebook).toBeCloseTo(0.5);
+        expect(weights.google).toBeCloseTo(0.5);
+    });
+
+    test('follows repeated channels through the chain', () => {
+        const { weights, details } = trainMarkovModel([
+            path(['facebook', 'facebook', 'google'], true),
+            path(['google', 'facebook'], false),
+            path(['tiktok'], false)
+        ]);
+
+        expect(details.conversion_probability).toBeGreaterThan(0);
+        expect(sum(weights)).toBeCloseTo(1);
+        expect(weights.tiktok).toBe(0);
+    });
+
+    test('gives no credit without conversions', () => {
+        const { weights, details } = trainMarkovModel([
+            path(['facebook'], false),
+            path(['google', 'facebook'], false)
+        ]);
+
+        expect(details.conversion_probability).toBe(0);
+        expect(weights).toEqual({ facebook: 0, google: 0 });
+    });
+
+    test('skips empty journeys', () => {
+        const { weights } = trainMarkovModel([path([], true), path(['facebook'], true)]);
+
+        expect(weights).toEqual({ facebook: 1 });
+    });
+});
+
+describe('trainShapleyModel', () => {
+    test('splits credit evenly between symmetric channels', () => {
+        const { weights, details } = trainShapleyModel([path(['facebook', 'google'], true)]);
+
+        expect(details.shapley_values.facebook).toBeCloseTo(0.5);
+        expect(details.shapley_values.google).toBeCloseTo(0.5);
+        expect(weights.facebook).toBeCloseTo(0.5);
+        expect(weights.google).toBeCloseTo(0.5);
+    });
+
+    test('values coalitions by conversion rate and clamps negative contributions', () => {
+        const { weights, details } = trainShapleyModel([
+            path(['facebook'], true),
+            path(['google'], false),
+            path(['facebook', 'google'], true)
+        ]);
+
+        // v({facebook}) = 1, v({google}) = 0, v({facebook, google}) = 2/3
+        expect(details.shapley_values.facebook).toBeCloseTo(5 / 6);
+        expect(details.shapley_values.google).toBeCloseTo(-1 / 6);
+        expect(details.overall_conversion_rate).toBeCloseTo(2 / 3);
+        expect(weights).toEqual({ facebook: 1, google: 0 });
+    });
+
+    test('shapley values add up to the overall conversion rate', () => {
+        const { details } = trainShapleyModel([
+            path(['facebook', 'google'], true),
+            path(['google', 'tiktok'], false),
+            path(['tiktok'], true),
+            path(['facebook', 'tiktok', 'google'], false),
+            path(['google'], true)
+        ]);
+
+        expect(sum(details.shapley_values)).toBeCloseTo(details.overall_conversion_rate);
+    });
+
+    test('folds channels past maxChannels into the other channel', () => {
+        const { weights, details } = trainShapleyModel([
+            path(['facebook', 'google'], true),
+            path(['facebook', 'tiktok'], true),
+            path(['facebook', 'snapchat'], false),
+            path(['google'], true)
+        ], { maxChannels: 3 });
+
+        expect(Object.keys(weights).sort()).toEqual([OTHER_CHANNEL, 'facebook', 'google'].sort());
+        expect(details.folded_into_other).toBe(true);
+        expect(sum(weights)).toBeCloseTo(1);
+    });
+
+    test('never trains on more than 16 channels', () => {
+        const paths = Array.from({ length: 20 }, (_, i) => path([`channel_${i}`], i % 2 === 0));
+        const { weights } = trainShapleyModel(paths, { maxChannels: 30 });
+
+        expect(Object.keys(weights)).toHaveLength(16);
+        expect(weights).toHaveProperty(OTHER_CHANNEL);
+    });
+
+    test('gives no credit without conversions', () => {
+        const { weights } = trainShapleyModel([path(['facebook'], false), path(['google'], false)]);
+
+        expect(weights).toEqual({ facebook: 0, google: 0 });
+    });
+});
@@ -0,0 +1,270 @@
+
+/**
+ * Conversion Destination Plugins
+ * Each plugin turns a recorded conversion into the destination's event format
+ * and sends batches of those events. A plugin is a plain object:
+ *
+ *   label           - Display name
+ *   maxBatchSize    - Most events accepted per request
+ *   secretFields    - Config keys masked in API responses
+ *   validateConfig  - (config) => error message or null
+ *   defaultEventName - (conversionType) => destination event name
+ *   buildEvent      - (destination, {conversion, click, details}) => event
+ *   send            - async (destination, events) => {response, fbtraceId?}
+ *   describeError   - (error) => {permanent, message, response, fbtraceId?}
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { buildConversionEvent, hashUserValue, toStandardEventName } = require('./capi_payload');
+
+/**
+ * Error details shared by HTTP destinations: 4xx responses other than
+ * timeouts and throttling will fail the same way on retry
+ */
+function describeHttpError(error) {
+    const status = error.response?.status;
+    const body = error.response?.data || { error: { message: error.message } };
+
+    return {
+        permanent: Boolean(status && status >= 400 && status < 500 && status !== 408 && status !== 429),
+        message: body.error?.message || body.message || error.message,
+        response: body
+    };
+}
+
+function eventTime(conversion) {
+    return Math.floor(new Date(conversion.timestamp || Date.now()).getTime() / 1000);
+}
+
+const meta = {
+    label: 'Meta Conversions API',
+    maxBatchSize: 1000,
+    secretFields: ['access_token'],
+
+    validateConfig(config) {
+        if (!config.pixel_id) return 'config.pixel_id required';
+        if (!config.access_token) return 'config.access_token required';
+        return null;
+    },
+
+    defaultEventName: toStandardEventName,
+
+    buildEvent(destination, { conversion, click, details }) {
+        const event = buildConversionEvent(conversion, click, details);
+        event.event_name = destination.event_mapping?.[conversion.conversion_type] || event.event_name;
+        return event;
+    },
+
+    async send(destination, events) {
+        const { config } = destination;
+        const response = await axios.post(
+            `https://graph.facebook.com/${config.api_version || 'v18.0'}/${config.pixel_id}/events`,
+            {
+                data: events,
+                test_event_code: config.test_event_code || process.env.META_TEST_CODE || undefined
+            },
+            {
+                params: { access_token: config.access_token },
+                headers: { 'Content-Type': 'application/json' },
+                timeout: 30000
+            }
+        );
+
+        return { response: response.data, fbtraceId: response.data?.fbtrace_id };
+    },
+
+    describeError(error) {
+        const described = describeHttpError(error);
+
+        // Expired tokens and rate limits come back as 400s too; retry those
+        const code = described.response.error?.code;
+        if ([4, 17, 32, 190, 613].includes(code)) described.permanent = false;
+
+        described.message = described.response.error?.error_user_msg || described.message;
+        described.fbtraceId = described.response.error?.fbtrace_id;
+        return described;
+    }
+};
+
+// Our conversion types -> TikTok standard events
+const TIKTOK_EVENTS = {
+    purchase: 'CompletePayment',
+    lead: 'SubmitForm',
+    signup: 'CompleteRegistration',
+    sign_up: 'CompleteRegistration',
+    complete_registration: 'CompleteRegistration',
+    add_to_cart: 'AddToCart',
+    add_to_wishlist: 'AddToWishlist',
+    add_payment_info: 'AddPaymentInfo',
+    checkout: 'InitiateCheckout',
+    initiate_checkout: 'InitiateCheckout',
+    place_order: 'PlaceAnOrder',
+    subscribe: 'Subscribe',
+    contact: 'Contact',
+    download: 'Download',
+    view_content: 'ViewContent',
+    search: 'Search'
+};
+
+// TikTok rate limit and server-side error codes; anything else is a bad request
+const TIKTOK_RETRYABLE_CODES = [40100, 50000, 50002];
+
+const tiktok = {
+    label: 'TikTok Events API',
+    maxBatchSize: 1000,
+    secretFields: ['access_token'],
+
+    validateConfig(config) {
+        if (!config.pixel_code) return 'config.pixel_code required';
+        if (!config.access_token) return 'config.access_token required';
+        return null;
+    },
+
+    defaultEventName(conversionType) {
+        const key = String(conversionType || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+        return TIKTOK_EVENTS[key] || conversionType;
+    },
+
+    buildEvent(destination, { conversion, click = {}, details = {} }) {
+        // TikTok hashes phones in E.164 form, with the leading +
+        const digits = String(details.customer_phone || '').replace(/\D/g, '').replace(/^0+/, '');
+        const user = {
+            email: hashUserValue('em', details.customer_email),
+            phone: digits ? crypto.createHash('sha256').update(`+${digits}`).digest('hex') : undefined,
+            external_id: hashUserValue('external_id', conversion.external_id),
+            ttclid: details.ttclid || undefined,
+            ttp: details.ttp || undefined,
+            ip: String(details.client_ip || click.user_ip || '').replace(/^::ffff:/, '') || undefined,
+            user_agent: details.client_user_agent || click.user_agent || undefined
+        };
+
+        const event = {
+            event: destination.event_mapping?.[conversion.conversion_type] || this.defaultEventName(conversion.conversion_type),
+            event_time: eventTime(conversion),
+            event_id: conversion.event_id || conversion.conversion_id,
+            user: Object.fromEntries(Object.entries(user).filter(([, value]) => value)),
+            properties: {
+                value: Number(conversion.conversion_value) || 0,
+                currency: conversion.currency || 'USD'
+            }
+        };
+
+        if (conversion.external_id) event.properties.order_id = conversion.external_id;
+
+        const url = details.event_source_url || click.landing_page;
+        if (url) event.page = { url };
+
+        return event;
+    },
+
+    async send(destination, events) {
+        const { config } = destination;
+        const response = await axios.post(
+            'https://business-api.tiktok.com/open_api/v1.3/event/track/',
+            {
+                event_source: 'web',
+                event_source_id: config.pixel_code,
+                test_event_code: config.test_event_code || undefined,
+                data: events
+            },
+            {
+                headers: { 'Access-Token': config.access_token, 'Content-Type': 'application/json' },
+                timeout: 30000
+            }
+        );
+
+        // TikTok reports most failures as HTTP 200 with a non-zero code
+        if (response.data?.code !== 0) {
+            const error = new Error(response.data?.message || 'TikTok rejected the events');
+            error.tiktok = response.data;
+            throw error;
+        }
+
+        return { response: response.data };
+    },
+
+    describeError(error) {
+        if (!error.tiktok) return describeHttpError(error);
+
+        return {
+            permanent: !TIKTOK_RETRYABLE_CODES.includes(error.tiktok.code),
+            message: error.tiktok.message,
+            response: error.tiktok
+        };
+    }
+};
+
+const webhook = {
+    label: 'Signed JSON webhook',
+    maxBatchSize: 100,
+    secretFields: ['secret'],
+
+    validateConfig(config) {
+        let url;
+        try {
+            url = new URL(config.url);
+        } catch (error) {
+            return 'config.url must be an absolute URL';
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'config.url must use http or https';
+        if (!config.secret) return 'config.secret required';
+        return null;
+    },
+
+    defaultEventName: conversionType => conversionType,
+
+    buildEvent(destination, { conversion, click = {}, details = {} }) {
+        return {
+            event: destination.event_mapping?.[conversion.conversion_type] || conversion.conversion_type,
+            event_id: conversion.event_id || conversion.conversion_id,
+            conversion_id: conversion.conversion_id,
+            conversion_type: conversion.conversion_type,
+            value: Number(conversion.conversion_value) || 0,
+            currency: conversion.currency || 'USD',
+            external_id: conversion.external_id || null,
+            timestamp: new Date(conversion.timestamp || Date.now()).toISOString(),
+            click: {
+                click_id: click.click_id,
+                campaign_id: click.campaign_id,
+                adset_id: click.adset_id,
+                ad_id: click.ad_id,
+                utm_source: click.utm_source,
+                utm_medium: click.utm_medium,
+                utm_campaign: click.utm_campaign
+            },
+            user: {
+                email_sha256: hashUserValue('em', details.customer_email) || null,
+                phone_sha256: hashUserValue('ph', details.customer_phone) || null
+            }
+        };
+    },
+
+    /**
+     * POST {events: [...]} signed like inbound postbacks: X-Signature is the
+     * HMAC-SHA256 of "<X-Timestamp>.<body>" with the destination secret
+     */
+    async send(destination, events) {
+        const { config } = destination;
+        const body = JSON.stringify({ events });
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const signature = crypto.createHmac('sha256', config.secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+
+        const response = await axios.post(config.url, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Timestamp': timestamp,
+                'X-Signature': `sha256=${signature}`
+            },
+            timeout: 15000
+        });
+
+        return { response: typeof response.data === 'object' ? response.data : { body: String(response.data || '') } };
+    },
+
+    describeError: describeHttpError
+};
+
+module.exports = { meta, tiktok, webhook };
@@ -0,0 +1,176 @@
+
+/**
+ * GeoIP Enrichment
+ * Resolves visitor IPs to country, region and city from a local MaxMind
+ * GeoLite2/GeoIP2 City or DB-IP City Lite mmdb file, so lookups never leave the
+ * server. The file is reloaded when geoipupdate replaces it. Without a
+ * configured file every lookup returns null and tracking carries on unenriched.
+ */
+
+const maxmind = require('maxmind');
+
+// Clicks resolved per backfill query
+const BATCH_SIZE = 1000;
+
+// Backfill progress in rollup_watermarks
+const WATERMARK_SOURCE = 'geoip_clicks';
+
+class GeoIP {
+    /**
+     * @param {object} dbPool - Database pool
+     * @param {object} options - databasePath: mmdb file (defaults to GEOIP_DATABASE_PATH)
+     */
+    constructor(dbPool, options = {}) {
+        this.db = dbPool;
+        this.databasePath = options.databasePath !== undefined
+            ? options.databasePath
+            : process.env.GEOIP_DATABASE_PATH;
+        this.readerPromise = null;
+    }
+
+    get enabled() {
+        return Boolean(this.databasePath);
+    }
+
+    /**
+     * Open the database once; a missing or unreadable file disables lookups
+     * with a warning rather than failing tracking
+     */
+    async reader() {
+        if (!this.enabled) return null;
+
+        if (!this.readerPromise) {
+            this.readerPromise = maxmind.open(this.databasePath, {
+                watchForUpdates: true,
+                watchForUpdatesNonPersistent: true
+            }).catch(error => {
+                console.warn(`GeoIP database ${this.databasePath} unavailable, geo enrichment disabled:`, error.message);
+                return null;
+            });
+        }
+        return this.readerPromise;
+    }
+
+    /**
+     * Location of an IP address
+     * @returns {Promise<{country_code: string|null, region: string|null, city: string|null}|null>}
+     *   null when lookups are disabled or the address isn't in the database
+     */
+    async lookup(ip) {
+        const address = normalizeIP(ip);
+        if (!address || !maxmind.validate(address)) return null;
+
+        const reader = await this.reader();
+        if (!reader) return null;
+
+        let record;
+        try {
+            record = reader.get(address);
+        } catch (error) {
+            // An IPv6 address against an IPv4-only database
+            return null;
+        }
+        if (!record || !record.country) return null;
+
+        const subdivision = record.subdivisions && record.subdivisions[0];
+        return {
+            country_code: record.country.iso_code || null,
+            region: englishName(subdivision),
+            city: englishName(record.city)
+        };
+    }
+
+    /**
+     * Fill geo for stored clicks that have an IP but no country, and copy it to
+     * their conversions. Progress is kept in a watermark so addresses the
+     * database can't place aren't retried every run; restart after a database
+     * update to try them again.
+     * @param {object} options - restart: start over from the first click
+     * @returns {Promise<{scanned: number, clicks: number, conversions: number}|{skipped: string}>}
+     */
+    async backfill(options = {}) {
+        if (!await this.reader()) return { skipped: 'GeoIP database not configured' };
+
+        let lastId = 0;
+        if (!options.restart) {
+            const watermark = await this.db.query(
+                'SELECT last_id FROM rollup_watermarks WHERE source = $1', [WATERMARK_SOURCE]
+            );
+            lastId = watermark.rows[0] ? Number(watermark.rows[0].last_id) : 0;
+        }
+
+        const summary = { scanned: 0, clicks: 0, conversions: 0 };
+        for (;;) {
+            const batch = await this.db.query(`
+                SELECT id, click_id, host(user_ip) as ip
+                FROM clicks
+                WHERE id > $1 AND user_ip IS NOT NULL AND country_code IS NULL
+                ORDER BY id
+                LIMIT $2
+            `, [lastId, BATCH_SIZE]);
+            if (batch.rows.length === 0) break;
+
+            const located = [];
+            for (const row of batch.rows) {
+                const geo = await this.lookup(row.ip);
+                if (geo && geo.country_code) located.push({ id: row.id, ...geo });
+            }
+
+            if (located.length > 0) {
+                const updated = await this.db.query(`
+                    WITH geo AS (
+                        SELECT * FROM unnest($1::int[], $2::varchar[], $3::varchar[], $4::varchar[])
+                            AS g(id, country_code, region, city)
+                    ), located AS (
+                        UPDATE clicks cl
+                        SET country_code = geo.country_code, region = geo.region, city = geo.city
+                        FROM geo
+                        WHERE cl.id = geo.id AND cl.country_code IS NULL
+                        RETURNING cl.click_id, cl.country_code, cl.region, cl.city
+                    ), conversions_located AS (
+                        UPDATE conversions co
+                        SET country_code = located.country_code, region = located.region, city = located.city
+                        FROM located
+                        WHERE co.click_id = located.click_id AND co.country_code IS NULL
+                        RETURNING co.id
+                    )
+                    SELECT (SELECT COUNT(*) FROM located)::int as clicks,
+                           (SELECT COUNT(*) FROM conversions_located)::int as conversions
+                `, [
+                    located.map(row => row.id),
+                    located.map(row => row.country_code),
+                    located.map(row => row.region),
+                    located.map(row => row.city)
+                ]);
+                summary.clicks += updated.rows[0].clicks;
+                summary.conversions += updated.rows[0].conversions;
+            }
+
+            summary.scanned += batch.rows.length;
+            lastId = batch.rows[batch.rows.length - 1].id;
+            await this.db.query(`
+                INSERT INTO rollup_watermarks (source, last_id, updated_at)
+                VALUES ($1, $2, NOW())
+                ON CONFLICT (source) DO UPDATE SET last_id = EXCLUDED.last_id, updated_at = NOW()
+            `, [WATERMARK_SOURCE, lastId]);
+
+            if (batch.rows.length < BATCH_SIZE) break;
+        }
+
+        return summary;
+    }
+}
+
+// IPv4 clients on a dual-stack socket show up as IPv4-mapped IPv6
+function normalizeIP(ip) {
+    if (!ip) return null;
+    return String(ip).trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+}
+
+function englishName(place) {
+    return (place && place.names && place.names.en) || null;
+}
+
+GeoIP.normalizeIP = normalizeIP;
+
+module.exports = GeoIP;
@@ -0,0 +1,325 @@
+
+/**
+ * Google Ads Offline Conversions
+ * Exports conversions on Google-clicked visits (gclid, gbraid, wbraid) as a CSV
+ * in Google's click conversion import format, and uploads them through the
+ * Google Ads API uploadClickConversions method. Every upload attempt is logged
+ * in google_ads_uploads so conversions are only sent once.
+ */
+
+const axios = require('axios');
+
+// Google only accepts conversions for clicks from the last 90 days
+const MAX_CLICK_AGE_DAYS = 90;
+
+// uploadClickConversions accepts at most 2000 conversions per request
+const UPLOAD_BATCH_SIZE = 2000;
+
+const CSV_COLUMNS = [
+    'Google Click ID', 'GBRAID', 'WBRAID', 'Conversion Name',
+    'Conversion Time', 'Conversion Value', 'Conversion Currency', 'Order ID'
+];
+
+class GoogleAdsConversions {
+    /**
+     * @param {object} dbPool - Database pool
+     * @param {object} options - customerId, loginCustomerId, developerToken,
+     *   accessToken or clientId/clientSecret/refreshToken, conversionActions
+     *   (conversion_type -> conversion action ID), conversionNames
+     *   (conversion_type -> conversion name for CSV imports), baseUrl, oauthUrl, apiVersion
+     */
+    constructor(dbPool, options = {}) {
+        this.db = dbPool;
+        this.customerId = (options.customerId || '').replace(/-/g, '');
+        this.loginCustomerId = (options.loginCustomerId || '').replace(/-/g, '');
+        this.developerToken = options.developerToken;
+        this.accessToken = options.accessToken;
+        this.clientId = options.clientId;
+        this.clientSecret = options.clientSecret;
+        this.refreshToken = options.refreshToken;
+        this.conversionActions = options.conversionActions || {};
+        this.conversionNames = options.conversionNames || {};
+        this.baseUrl = (options.baseUrl || 'https://googleads.googleapis.com').replace(/\/$/, '');
+        this.oauthUrl = options.oauthUrl || 'https://oauth2.googleapis.com/token';
+        this.apiVersion = options.apiVersion || 'v17';
+        this.token = null;
+    }
+
+    /**
+     * Parse "purchase:123,lead:456" into { purchase: '123', lead: '456' }
+     */
+    static parseMapping(value) {
+        const mapping = {};
+        for (const pair of (value || '').split(',')) {
+            const separator = pair.indexOf(':');
+            if (separator <= 0) continue;
+            mapping[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+        }
+        return mapping;
+    }
+
+    isConfigured() {
+        return Boolean(
+            this.customerId && this.developerToken &&
+            (this.accessToken || (this.clientId && this.clientSecret && this.refreshToken)) &&
+            Object.keys(this.conversionActions).length > 0
+        );
+    }
+
+    /**
+     * Validate an export or upload date range, returns an error message or null
+     */
+    validateRange(startDate, endDate) {
+        if (!startDate || !endDate) return 'start_date and end_date required';
+        if (isNaN(Date.parse(startDate)) || isNaN(Date.parse(endDate))) return 'Invalid date range';
+        return null;
+    }
+
+    /**
+     * Conversions on Google clicks in a date range
+     * @param {object} options - conversionTypes: restrict to these types,
+     *   includeUploaded: also return conversions already uploaded
+     */
+    async getConversions(startDate, endDate, options = {}) {
+        let query = `
+            SELECT co.conversion_id, co.conversion_type, co.conversion_value, co.currency,
+                   co.external_id, co.timestamp, cl.gclid, cl.gbraid, cl.wbraid,
+                   gu.status as upload_status
+            FROM conversions co
+            JOIN clicks cl ON co.click_id = cl.click_id
+            LEFT JOIN google_ads_uploads gu ON gu.conversion_id = co.conversion_id
+            WHERE (cl.gclid IS NOT NULL OR cl.gbraid IS NOT NULL OR cl.wbraid IS NOT NULL)
+              AND co.timestamp >= $1 AND co.timestamp < ($2::date + 1)
+              AND cl.timestamp >= NOW() - make_interval(days => $3)
+        `;
+        const params = [startDate, endDate, MAX_CLICK_AGE_DAYS];
+
+        if (options.conversionTypes) {
+            query += ` AND co.conversion_type = ANY($${params.length + 1})`;
+            params.push(options.conversionTypes);
+        }
+        if (!options.includeUploaded) {
+            query += " AND (gu.status IS NULL OR gu.status <> 'uploaded')";
+        }
+
+        query += ' ORDER BY co.timestamp ASC';
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * CSV in Google Ads' click conversion import format
+     */
+    async exportCsv(startDate, endDate, options = {}) {
+        const conversions = await this.getConversions(startDate, endDate, options);
+
+        const lines = [
+            'Parameters:TimeZone=+0000',
+            CSV_COLUMNS.join(',')
+        ];
+
+        for (const conversion of conversions) {
+            lines.push([
+                conversion.gclid || '',
+                conversion.gclid ? '' : (conversion.gbraid || ''),
+                conversion.gclid || conversion.gbraid ? '' : (conversion.wbraid || ''),
+                this.conversionNames[conversion.conversion_type] || conversion.conversion_type,
+                this.formatTime(conversion.timestamp, false),
+                Number(conversion.conversion_value || 0).toFixed(2),
+                conversion.currency || 'USD',
+                conversion.external_id || ''
+            ].map(csvEscape).join(','));
+        }
+
+        return { csv: lines.join('\n') + '\n', rows: conversions.length };
+    }
+
+    /**
+     * Upload pending conversions for mapped conversion types
+     * @param {object} options - validateOnly: ask Google to validate without importing
+     * @returns {Promise<{uploaded: number, failed: number, batches: number}>}
+     */
+    async upload(startDate, endDate, options = {}) {
+        const conversions = await this.getConversions(startDate, endDate, {
+            conversionTypes: Object.keys(this.conversionActions)
+        });
+
+        const summary = { uploaded: 0, failed: 0, batches: 0 };
+
+        for (let i = 0; i < conversions.length; i += UPLOAD_BATCH_SIZE) {
+            const batch = conversions.slice(i, i + UPLOAD_BATCH_SIZE);
+            const outcome = await this.uploadBatch(batch, options);
+            summary.uploaded += outcome.uploaded;
+            summary.failed += outcome.failed;
+            summary.batches++;
+        }
+
+        return summary;
+    }
+
+    async uploadBatch(conversions, options = {}) {
+        const body = {
+            conversions: conversions.map(conversion => this.toClickConversion(conversion)),
+            partialFailure: true,
+            validateOnly: Boolean(options.validateOnly)
+        };
+
+        let response;
+        try {
+            response = await axios.post(
+                `${this.baseUrl}/${this.apiVersion}/customers/${this.customerId}:uploadClickConversions`,
+                body,
+                { headers: await this.headers(), timeout: 60000 }
+            );
+        } catch (error) {
+            const message = error.response?.data?.error?.message || error.message;
+            if (!options.validateOnly) {
+                for (const conversion of conversions) await this.logUpload(conversion, 'failed', message);
+            }
+            return { uploaded: 0, failed: conversions.length };
+        }
+
+        // With partialFailure, failed rows come back as empty results and are
+        // described in partialFailureError.details
+        const failures = this.partialFailures(response.data.partialFailureError);
+        const results = response.data.results || [];
+        let uploaded = 0;
+
+        for (let index = 0; index < conversions.length; index++) {
+            const result = results[index] || {};
+            const failed = failures.has(index) || Object.keys(result).length === 0;
+
+            if (!options.validateOnly) {
+                await this.logUpload(
+                    conversions[index],
+                    failed ? 'failed' : 'uploaded',
+                    failed ? (failures.get(index) || response.data.partialFailureError?.message || 'Rejected') : null
+                );
+            }
+            if (!failed) uploaded++;
+        }
+
+        return { uploaded, failed: conversions.length - uploaded };
+    }
+
+    toClickConversion(conversion) {
+        const clickConversion = {
+            conversionAction: `customers/${this.customerId}/conversionActions/${this.conversionActions[conversion.conversion_type]}`,
+            conversionDateTime: this.formatTime(conversion.timestamp, true),
+            conversionValue: Number(conversion.conversion_value || 0),
+            currencyCode: conversion.currency || 'USD'
+        };
+
+        // Only one click identifier may be set
+        if (conversion.gclid) clickConversion.gclid = conversion.gclid;
+        else if (conversion.gbraid) clickConversion.gbraid = conversion.gbraid;
+        else clickConversion.wbraid = conversion.wbraid;
+
+        if (conversion.external_id) clickConversion.orderId = conversion.external_id;
+
+        return clickConversion;
+    }
+
+    /**
+     * Map of conversion index -> error message from a partial failure status
+     */
+    partialFailures(status) {
+        const failures = new Map();
+        if (!status) return failures;
+
+        for (const detail of status.details || []) {
+            for (const error of detail.errors || []) {
+                const indexElement = (error.location?.fieldPathElements || [])
+                    .find(element => element.fieldName === 'conversions');
+                if (indexElement && indexElement.index !== undefined) {
+                    failures.set(Number(indexElement.index), error.message);
+                }
+            }
+        }
+
+        return failures;
+    }
+
+    async logUpload(conversion, status, error) {
+        await this.db.query(`
+            INSERT INTO google_ads_uploads (conversion_id, click_id_type, status, error, attempts, uploaded_at)
+            VALUES ($1, $2, $3::varchar, $4, 1, CASE WHEN $3::varchar = 'uploaded' THEN NOW() END)
+            ON CONFLICT (conversion_id) DO UPDATE SET
+                status = EXCLUDED.status,
+                error = EXCLUDED.error,
+                attempts = google_ads_uploads.attempts + 1,
+                uploaded_at = EXCLUDED.uploaded_at,
+                updated_at = NOW()
+        `, [
+            conversion.conversion_id,
+            conversion.gclid ? 'gclid' : (conversion.gbraid ? 'gbraid' : 'wbraid'),
+            status,
+            error
+        ]);
+    }
+
+    async listUploads(filters = {}) {
+        let query = 'SELECT * FROM google_ads_uploads WHERE 1=1';
+        const params = [];
+
+        if (filters.status) {
+            query += ` AND status = $${params.length + 1}`;
+            params.push(filters.status);
+        }
+
+        query += ' ORDER BY updated_at DESC LIMIT 500';
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    async headers() {
+        const headers = {
+            'Authorization': `Bearer ${await this.getAccessToken()}`,
+            'developer-token': this.developerToken,
+            'Content-Type': 'application/json'
+        };
+        if (this.loginCustomerId) headers['login-customer-id'] = this.loginCustomerId;
+        return headers;
+    }
+
+    /**
+     * OAuth access token from the refresh token, cached until shortly before expiry
+     */
+    async getAccessToken() {
+        if (!this.refreshToken) return this.accessToken;
+        if (this.token && this.token.expiresAt > Date.now() + 60000) return this.token.value;
+
+        const response = await axios.post(this.oauthUrl, new URLSearchParams({
+            grant_type: 'refresh_token',
+            client_id: this.clientId,
+            client_secret: this.clientSecret,
+            refresh_token: this.refreshToken
+        }).toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+
+        this.token = {
+            value: response.data.access_token,
+            expiresAt: Date.now() + (response.data.expires_in || 3600) * 1000
+        };
+        return this.token.value;
+    }
+
+    /**
+     * "yyyy-mm-dd hh:mm:ss+00:00" for the API, "yyyy-mm-dd hh:mm:ss" for the
+     * CSV (whose time zone is set in its Parameters row)
+     */
+    formatTime(timestamp, withOffset) {
+        const formatted = new Date(timestamp).toISOString().slice(0, 19).replace('T', ' ');
+        return withOffset ? `${formatted}+00:00` : formatted;
+    }
+}
+
+function csvEscape(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = GoogleAdsConversions;
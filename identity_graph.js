@@ -0,0 +1,250 @@
+
+/**
+ * Identity Graph
+ * Deterministic links between click IDs, session IDs, browser IDs, hashed
+ * emails and phones, and external IDs. Identifiers seen together on a click,
+ * identify call or conversion resolve to one stable person ID; linking two
+ * people through a shared identifier merges them into the older one.
+ */
+
+const crypto = require('crypto');
+
+const IDENTIFIER_TYPES = ['click_id', 'session_id', 'browser_id', 'email', 'phone', 'external_id'];
+const SHA256_HEX = /^[a-f0-9]{64}$/;
+
+class IdentityGraph {
+    /**
+     * @param {object} dbPool - Database pool
+     * @param {object} options - ipMatching: add same-IP clicks as probabilistic matches,
+     *   ipMinConfidence: confidence a same-IP click needs to join a journey,
+     *   ipWindowHours: how far apart a same-IP click and the conversion may be
+     */
+    constructor(dbPool, options = {}) {
+        this.db = dbPool;
+        this.ipMatching = Boolean(options.ipMatching);
+        this.ipMinConfidence = options.ipMinConfidence !== undefined ? options.ipMinConfidence : 0.5;
+        this.ipWindowHours = options.ipWindowHours || 24;
+    }
+
+    /**
+     * Normalize identifiers into [type, value] pairs. Emails and phones are
+     * stored as SHA-256 hashes; values that are already hashed are kept.
+     */
+    normalize(identifiers = {}) {
+        const pairs = [];
+
+        for (const type of IDENTIFIER_TYPES) {
+            const raw = identifiers[type];
+            if (raw === undefined || raw === null || String(raw).trim() === '') continue;
+
+            let value = String(raw).trim();
+            if (type === 'email') {
+                value = SHA256_HEX.test(value) ? value : this.hash(value.toLowerCase());
+            } else if (type === 'phone') {
+                if (!SHA256_HEX.test(value)) {
+                    const digits = value.replace(/\D/g, '');
+                    if (!digits) continue;
+                    value = this.hash(digits);
+                }
+            }
+
+            pairs.push([type, value]);
+        }
+
+        return pairs;
+    }
+
+    hash(value) {
+        return crypto.createHash('sha256').update(value).digest('hex');
+    }
+
+    generatePersonId() {
+        return 'p_' + crypto.randomBytes(12).toString('hex');
+    }
+
+    /**
+     * Link identifiers seen together and return the person they resolve to.
+     * Needs at least two identifiers; a lone identifier links nothing.
+     * @returns {Promise<{person_id: string|null, merged: string[]}>}
+     */
+    async link(identifiers, source = null) {
+        const pairs = this.normalize(identifiers);
+        if (pairs.length < 2) {
+            return { person_id: await this.resolvePerson(identifiers), merged: [] };
+        }
+
+        const types = pairs.map(([type]) => type);
+        const values = pairs.map(([, value]) => value);
+
+        const client = await this.db.connect();
+        try {
+            await client.query('BEGIN');
+
+            // Serialize writers on the same identifiers...
+            const keys = pairs.map(([type, value]) => `identity:${type}:${value}`).sort();
+            for (const key of keys) {
+                await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [key]);
+            }
+
+            // ...and on the people they belong to, re-reading until no concurrent
+            // merge has moved them to a person we have not locked yet
+            const locked = new Set();
+            let personIds;
+            for (;;) {
+                personIds = await this.findPersons(client, types, values);
+                const unlocked = personIds.filter(id => !locked.has(id)).sort();
+                if (unlocked.length === 0) break;
+
+                for (const id of unlocked) {
+                    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`identity:person:${id}`]);
+                    locked.add(id);
+                }
+            }
+
+            // The oldest person survives a merge
+            const personId = personIds[0] || this.generatePersonId();
+            const merged = personIds.slice(1);
+
+            if (merged.length > 0) {
+                await client.query(
+                    'UPDATE identity_links SET person_id = $1 WHERE person_id = ANY($2)',
+                    [personId, merged]
+                );
+            }
+
+            await client.query(`
+                INSERT INTO identity_links (person_id, identifier_type, identifier_value, source)
+                SELECT $1, t.type, t.value, $4
+                FROM unnest($2::text[], $3::text[]) AS t(type, value)
+                ON CONFLICT (identifier_type, identifier_value) DO UPDATE SET
+                    person_id = EXCLUDED.person_id,
+                    last_seen = NOW()
+            `, [personId, types, values, source]);
+
+            await client.query('COMMIT');
+            return { person_id: personId, merged };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Person IDs holding any of the identifiers, oldest first
+     */
+    async findPersons(client, types, values) {
+        const result = await client.query(`
+            SELECT person_id, MIN(first_seen) AS first_seen
+            FROM identity_links
+            WHERE (identifier_type, identifier_value) IN (
+                SELECT * FROM unnest($1::text[], $2::text[])
+            )
+            GROUP BY person_id
+            ORDER BY first_seen ASC, person_id ASC
+        `, [types, values]);
+
+        return result.rows.map(row => row.person_id);
+    }
+
+    /**
+     * Person ID for a set of identifiers, or null if none are linked
+     */
+    async resolvePerson(identifiers) {
+        const pairs = this.normalize(identifiers);
+        if (pairs.length === 0) return null;
+
+        const personIds = await this.findPersons(
+            this.db,
+            pairs.map(([type]) => type),
+            pairs.map(([, value]) => value)
+        );
+        return personIds[0] || null;
+    }
+
+    /**
+     * All identifiers linked to a person
+     */
+    async getIdentifiers(personId) {
+        const result = await this.db.query(`
+            SELECT identifier_type, identifier_value, source, first_seen, last_seen
+            FROM identity_links
+            WHERE person_id = $1
+            ORDER BY first_seen ASC
+        `, [personId]);
+
+        return result.rows;
+    }
+
+    /**
+     * Identifiers to build a conversion's journey from: everything linked to
+     * the converting person, plus the conversion's own identifiers so that
+     * unlinked conversions still find their click and session.
+     * @returns {Promise<{person_id: string|null, click_ids: Set, session_ids: Set, browser_ids: Set}>}
+     */
+    async getJourneyKeys(conversion) {
+        const identifiers = {
+            click_id: conversion.click_id,
+            session_id: conversion.session_id,
+            browser_id: conversion.browser_id,
+            email: conversion.customer_email,
+            phone: conversion.customer_phone,
+            external_id: conversion.external_id
+        };
+
+        const keys = { person_id: null, click_ids: new Set(), session_ids: new Set(), browser_ids: new Set() };
+        const add = (type, value) => {
+            if (type === 'click_id') keys.click_ids.add(value);
+            else if (type === 'session_id') keys.session_ids.add(value);
+            else if (type === 'browser_id') keys.browser_ids.add(value);
+        };
+
+        for (const [type, value] of this.normalize(identifiers)) add(type, value);
+
+        keys.person_id = await this.resolvePerson(identifiers);
+        if (keys.person_id) {
+            for (const row of await this.getIdentifiers(keys.person_id)) {
+                add(row.identifier_type, row.identifier_value);
+            }
+        }
+
+        return keys;
+    }
+
+    /**
+     * How a deterministically matched touchpoint is tied to the conversion
+     */
+    classifyMatch(touchpoint, conversion, keys) {
+        if (touchpoint.click_id === conversion.click_id) return 'direct';
+        if (touchpoint.session_id && touchpoint.session_id === conversion.session_id) return 'session';
+        if (touchpoint.fb_click_id && touchpoint.fb_click_id === conversion.fb_click_id) return 'fbclid';
+        if (touchpoint.browser_id && keys.browser_ids.has(touchpoint.browser_id)) return 'browser_id';
+        return 'identity';
+    }
+
+    /**
+     * Confidence that a same-IP click belongs to the converting person. Starts
+     * from the IP match, rises when the user agent and device agree, falls as
+     * the clicks drift apart in time and when many browsers share the IP
+     * (office NAT, carrier gateways).
+     * @param {number} sharedAgents - distinct user agents seen on the IP in the window
+     */
+    scoreIpMatch(touchpoint, conversion, sharedAgents = 1) {
+        let confidence = 0.6;
+        if (touchpoint.user_agent && touchpoint.user_agent === conversion.user_agent) confidence += 0.3;
+        if (touchpoint.device_type && touchpoint.device_type === conversion.device_type) confidence += 0.1;
+
+        const gapHours = Math.abs(
+            new Date(conversion.timestamp).getTime() - new Date(touchpoint.timestamp).getTime()
+        ) / (60 * 60 * 1000);
+        confidence *= Math.max(0, 1 - gapHours / this.ipWindowHours);
+        confidence /= Math.max(1, sharedAgents);
+
+        return Math.round(Math.min(confidence, 1) * 100) / 100;
+    }
+}
+
+IdentityGraph.IDENTIFIER_TYPES = IDENTIFIER_TYPES;
+
+module.exports = IdentityGraph;
@@ -0,0 +1,414 @@
+
+/**
+ * Job Scheduler
+ * Runs registered background jobs on cron schedules. Schedules and locks live
+ * in scheduled_jobs, so with several API containers polling the same table each
+ * run is claimed by exactly one of them; every run is recorded in job_runs.
+ *
+ * Run statuses: running -> succeeded
+ *                       -> failed
+ *                       -> abandoned (its instance died before finishing)
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+
+const RUN_STATUSES = ['running', 'succeeded', 'failed', 'abandoned'];
+
+// Cron fields: minute hour day-of-month month day-of-week (Sunday = 0 or 7)
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+class JobScheduler {
+    /**
+     * @param {object} dbPool - Database pool
+     * @param {object} options - instanceId, intervalMs: how often due jobs are
+     *   checked, lockTimeoutMs: default time a run may hold its job's lock,
+     *   polling: false to only run jobs triggered through this instance
+     */
+    constructor(dbPool, options = {}) {
+        this.db = dbPool;
+        this.instanceId = options.instanceId || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        this.intervalMs = options.intervalMs || 30 * 1000;
+        this.lockTimeoutMs = options.lockTimeoutMs || 60 * 60 * 1000;
+        this.polling = options.polling !== false;
+        this.jobs = new Map();
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    /**
+     * Parse a five-field cron expression (UTC). Fields accept *, numbers,
+     * ranges (1-5), lists (1,15) and steps (*\/15, 0-30/10).
+     * @returns {object[]} sets of allowed values per field
+     */
+    static parseCron(expression) {
+        const parts = String(expression || '').trim().split(/\s+/);
+        if (parts.length !== 5) throw new Error('Cron expression must have 5 fields');
+
+        const fields = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+
+        // 7 is Sunday too
+        if (fields[4].values.has(7)) fields[4].values.add(0);
+        return fields;
+    }
+
+    /**
+     * Next time after `from` matching a cron expression, to the minute
+     */
+    static nextRun(expression, from = new Date()) {
+        const [minute, hour, dayOfMonth, month, dayOfWeek] = JobScheduler.parseCron(expression);
+        const date = new Date(from.getTime());
+        date.setUTCSeconds(0, 0);
+        date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+        // Classic cron: when both day fields are restricted either one may match
+        const dayMatches = () => {
+            const domMatch = dayOfMonth.values.has(date.getUTCDate());
+            const dowMatch = dayOfWeek.values.has(date.getUTCDay());
+            if (dayOfMonth.any || dayOfWeek.any) return dayOfMonth.any ? dowMatch : domMatch;
+            return domMatch || dowMatch;
+        };
+
+        const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+        while (date.getTime() < limit) {
+            if (!month.values.has(date.getUTCMonth() + 1)) {
+                date.setUTCMonth(date.getUTCMonth() + 1, 1);
+                date.setUTCHours(0, 0);
+            } else if (!dayMatches()) {
+                date.setUTCDate(date.getUTCDate() + 1);
+                date.setUTCHours(0, 0);
+            } else if (!hour.values.has(date.getUTCHours())) {
+                date.setUTCHours(date.getUTCHours() + 1, 0);
+            } else if (!minute.values.has(date.getUTCMinutes())) {
+                date.setUTCMinutes(date.getUTCMinutes() + 1);
+            } else {
+                return date;
+            }
+        }
+
+        throw new Error(`Cron expression '${expression}' never matches`);
+    }
+
+    /**
+     * Validate a cron expression, returns an error message or null
+     */
+    validateSchedule(expression) {
+        try {
+            JobScheduler.nextRun(expression);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    /**
+     * Register a job. The schedule is the default for a new job; once the job
+     * exists its stored schedule (see update) wins.
+     * @param {string} name - Job name
+     * @param {object} job - schedule: cron expression, handler: async (params) => result,
+     *   description, timeoutMs: how long a run may hold the lock
+     */
+    register(name, job) {
+        const error = this.validateSchedule(job.schedule);
+        if (error) throw new Error(`Job ${name}: ${error}`);
+        this.jobs.set(name, job);
+    }
+
+    /**
+     * Store registered jobs and poll for due ones until stop() is called
+     */
+    async start() {
+        if (this.timer) return;
+
+        for (const [name, job] of this.jobs) {
+            await this.db.query(`
+                INSERT INTO scheduled_jobs (name, schedule, next_run_at)
+                VALUES ($1, $2, NOW() + make_interval(secs => $3))
+                ON CONFLICT (name) DO NOTHING
+            `, [name, job.schedule, this.secondsUntil(JobScheduler.nextRun(job.schedule))]);
+        }
+
+        if (!this.polling) return;
+
+        this.timer = setInterval(() => {
+            this.tick().catch(error => {
+                console.error('Job scheduler error:', error.message);
+            });
+        }, this.intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Claim and start every due job. Runs continue in the background.
+     * @returns {Promise<object[]>} the runs started
+     */
+    async tick() {
+        if (this.ticking) return [];
+        this.ticking = true;
+
+        try {
+            const due = await this.db.query(`
+                SELECT * FROM scheduled_jobs
+                WHERE enabled = true AND next_run_at <= NOW() AND name = ANY($1)
+                  AND (locked_until IS NULL OR locked_until < NOW())
+                ORDER BY next_run_at
+            `, [[...this.jobs.keys()]]);
+
+            const runs = [];
+            for (const row of due.rows) {
+                const run = await this.claim(row.name, 'schedule', {});
+                if (run) runs.push(run);
+            }
+            return runs;
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * Run a job now, outside its schedule
+     * @returns {Promise<object|null>} the started run, or null if the job is already running
+     */
+    async trigger(name, params = {}) {
+        return this.claim(name, 'manual', params);
+    }
+
+    /**
+     * Take a job's lock and start a run. Scheduled claims also move
+     * next_run_at on, so no other instance picks up the same slot.
+     */
+    async claim(name, triggeredBy, params) {
+        const job = this.jobs.get(name);
+        const scheduled = triggeredBy === 'schedule';
+
+        const stored = await this.db.query('SELECT schedule FROM scheduled_jobs WHERE name = $1', [name]);
+        if (stored.rows.length === 0) return null;
+        const nextRunSeconds = this.secondsUntil(JobScheduler.nextRun(stored.rows[0].schedule));
+
+        const claimed = await this.db.query(`
+            UPDATE scheduled_jobs SET
+                locked_by = $2,
+                locked_until = NOW() + make_interval(secs => $3),
+                locked_run_id = NULL,
+                next_run_at = CASE WHEN $4::boolean THEN NOW() + make_interval(secs => $5) ELSE next_run_at END,
+                updated_at = NOW()
+            WHERE name = $1
+              AND (locked_until IS NULL OR locked_until < NOW())
+              AND (NOT $4::boolean OR (enabled = true AND next_run_at <= NOW()))
+            RETURNING *
+        `, [name, this.instanceId, (job.timeoutMs || this.lockTimeoutMs) / 1000, scheduled, nextRunSeconds]);
+
+        if (claimed.rows.length === 0) return null;
+
+        // A run still marked running under an expired lock lost its instance
+        await this.db.query(`
+            UPDATE job_runs SET status = 'abandoned', finished_at = NOW()
+            WHERE job_name = $1 AND status = 'running'
+        `, [name]);
+
+        const run = await this.db.query(`
+            INSERT INTO job_runs (job_name, triggered_by, instance_id, params)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *
+        `, [name, triggeredBy, this.instanceId, JSON.stringify(params)]);
+
+        await this.db.query(`
+            UPDATE scheduled_jobs SET locked_run_id = $3
+            WHERE name = $1 AND locked_by = $2
+        `, [name, this.instanceId, run.rows[0].id]);
+
+        this.execute(job, run.rows[0]).catch(error => {
+            console.error(`Error finishing job ${name}:`, error.message);
+        });
+
+        return run.rows[0];
+    }
+
+    /**
+     * Run the handler, record the outcome and release the lock. The lock is
+     * renewed while the handler runs, so a run longer than its timeout isn't
+     * claimed again; only an instance that stops renewing loses it.
+     */
+    async execute(job, run) {
+        let status = 'succeeded';
+        let result = null;
+        let errorMessage = null;
+
+        const timeoutMs = job.timeoutMs || this.lockTimeoutMs;
+        const heartbeat = setInterval(() => {
+            this.renewLock(run, timeoutMs).catch(error => {
+                console.error(`Error renewing lock for job ${run.job_name}:`, error.message);
+            });
+        }, timeoutMs / 3);
+        heartbeat.unref();
+
+        try {
+            result = await job.handler(run.params || {});
+        } catch (error) {
+            console.error(`Job ${run.job_name} failed:`, error.message);
+            status = 'failed';
+            errorMessage = error.message;
+            result = error.result || null;
+        } finally {
+            clearInterval(heartbeat);
+        }
+
+        await this.db.query(`
+            UPDATE job_runs SET status = $2, result = $3, error = $4, finished_at = NOW()
+            WHERE id = $1
+        `, [run.id, status, result === null || result === undefined ? null : JSON.stringify(result), errorMessage]);
+
+        await this.db.query(`
+            UPDATE scheduled_jobs SET
+                last_run_at = $3, last_status = $4,
+                locked_by = NULL, locked_until = NULL, locked_run_id = NULL, updated_at = NOW()
+            WHERE name = $1 AND locked_run_id = $2
+        `, [run.job_name, run.id, run.started_at, status]);
+
+        return status;
+    }
+
+    /**
+     * Push a running job's lock expiry out again, if the run still holds it
+     */
+    async renewLock(run, timeoutMs) {
+        const renewed = await this.db.query(`
+            UPDATE scheduled_jobs SET locked_until = NOW() + make_interval(secs => $3)
+            WHERE name = $1 AND locked_run_id = $2
+        `, [run.job_name, run.id, timeoutMs / 1000]);
+
+        if (renewed.rowCount === 0) console.warn(`Job ${run.job_name} run ${run.id} lost its lock`);
+    }
+
+    /**
+     * Jobs with their schedule, lock and last run
+     */
+    async list() {
+        const result = await this.db.query('SELECT * FROM scheduled_jobs ORDER BY name');
+        return result.rows
+            .filter(row => this.jobs.has(row.name))
+            .map(row => this.present(row));
+    }
+
+    async get(name) {
+        if (!this.jobs.has(name)) return null;
+        const result = await this.db.query('SELECT * FROM scheduled_jobs WHERE name = $1', [name]);
+        return result.rows[0] ? this.present(result.rows[0]) : null;
+    }
+
+    present(row) {
+        return {
+            ...row,
+            description: this.jobs.get(row.name)?.description || null,
+            running: Boolean(row.locked_until && new Date(row.locked_until) > new Date())
+        };
+    }
+
+    /**
+     * Validate a job update, returns an error message or null
+     */
+    validateUpdate(data) {
+        if (data.schedule !== undefined) {
+            const error = this.validateSchedule(data.schedule);
+            if (error) return `schedule: ${error}`;
+        }
+        if (data.enabled !== undefined && typeof data.enabled !== 'boolean') return 'enabled must be true or false';
+        return null;
+    }
+
+    /**
+     * Change a job's schedule or switch it on and off
+     */
+    async update(name, data) {
+        const schedule = data.schedule !== undefined ? data.schedule.trim() : null;
+
+        const result = await this.db.query(`
+            UPDATE scheduled_jobs SET
+                schedule = COALESCE($2, schedule),
+                enabled = COALESCE($3, enabled),
+                next_run_at = CASE WHEN $2::varchar IS NULL THEN next_run_at ELSE NOW() + make_interval(secs => $4) END,
+                updated_at = NOW()
+            WHERE name = $1
+            RETURNING *
+        `, [
+            name,
+            schedule,
+            data.enabled !== undefined ? data.enabled : null,
+            schedule ? this.secondsUntil(JobScheduler.nextRun(schedule)) : 0
+        ]);
+
+        return result.rows[0] ? this.present(result.rows[0]) : null;
+    }
+
+    /**
+     * Run history, newest first
+     * @param {object} filters - job_name, status, limit
+     */
+    async listRuns(filters = {}) {
+        let query = 'SELECT * FROM job_runs WHERE 1=1';
+        const params = [];
+
+        if (filters.job_name) {
+            query += ` AND job_name = $${params.length + 1}`;
+            params.push(filters.job_name);
+        }
+        if (filters.status) {
+            query += ` AND status = $${params.length + 1}`;
+            params.push(filters.status);
+        }
+
+        query += ` ORDER BY started_at DESC, id DESC LIMIT $${params.length + 1}`;
+        params.push(Math.min(parseInt(filters.limit, 10) || 50, 500));
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    async getRun(id) {
+        const result = await this.db.query('SELECT * FROM job_runs WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    secondsUntil(date) {
+        return Math.max(0, (date.getTime() - Date.now()) / 1000);
+    }
+}
+
+JobScheduler.RUN_STATUSES = RUN_STATUSES;
+
+function parseCronField(part, field) {
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+        const match = item.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+        if (!match) throw new Error(`Invalid ${field.name} '${item}'`);
+
+        let [min, max] = [field.min, field.max];
+        if (match[1] !== '*') {
+            [min, max] = match[1].split('-').map(Number);
+            if (max === undefined) max = match[2] ? field.max : min;
+        }
+
+        const step = match[2] ? Number(match[2]) : 1;
+        if (min < field.min || max > field.max || min > max || step < 1) {
+            throw new Error(`Invalid ${field.name} '${item}'`);
+        }
+
+        for (let value = min; value <= max; value += step) values.add(value);
+    }
+
+    return { values, any: part === '*' };
+}
+
+module.exports = JobScheduler;
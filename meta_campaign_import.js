@@ -0,0 +1,252 @@
+
+/**
+ * Meta Campaign Import
+ * Pulls campaigns, ad sets and ads from the Meta ad account and keeps the
+ * campaigns, adsets and ads tables in step with them. Campaigns are matched to
+ * ours by meta_campaign_id; campaigns we don't have yet are created with the
+ * Meta ID as their campaign_id, which is what the {{campaign.id}} URL macro sends.
+ * Clicks that arrived with a Meta ID before its campaign was imported are held
+ * in unresolved_campaign_id and linked by the next import.
+ */
+
+const MetaGraphClient = require('./meta_graph');
+const PerformanceRollups = require('./performance_rollups');
+
+const CAMPAIGN_FIELDS = 'id,name,status,effective_status,objective,daily_budget,lifetime_budget';
+const ADSET_FIELDS = 'id,name,campaign_id,status,effective_status,daily_budget,lifetime_budget';
+const AD_FIELDS = 'id,name,campaign_id,adset_id,status,effective_status';
+
+// Meta object IDs are numeric strings
+const META_ID_PATTERN = /^\d{1,30}$/;
+
+// campaigns.campaign_id length
+const MAX_CAMPAIGN_ID_LENGTH = 100;
+
+// Meta returns budgets in the currency's minor unit; these currencies have none
+const ZERO_DECIMAL_CURRENCIES = ['CLP', 'COP', 'CRC', 'HUF', 'ISK', 'IDR', 'JPY', 'KRW', 'PYG', 'TWD', 'VND'];
+
+class MetaCampaignImport {
+    /**
+     * @param {object} dbPool - Database pool
+     * @param {object} options - apiVersion, baseUrl, rollups: shared PerformanceRollups instance
+     */
+    constructor(dbPool, options = {}) {
+        this.db = dbPool;
+        this.apiVersion = options.apiVersion;
+        this.baseUrl = options.baseUrl;
+        this.rollups = options.rollups || new PerformanceRollups(dbPool);
+    }
+
+    /**
+     * Import every campaign, ad set and ad in the configured ad account
+     * @param {object} config - Meta API configuration (access_token, account_id)
+     * @returns {Promise<object>} counts of imported and created rows
+     */
+    async sync(config) {
+        const client = new MetaGraphClient({
+            accessToken: config.access_token,
+            apiVersion: this.apiVersion,
+            baseUrl: this.baseUrl
+        });
+        const account = `act_${String(config.account_id).replace(/^act_/, '')}`;
+
+        const { currency } = await client.get(account, { fields: 'currency' });
+        const campaigns = await client.getAll(`${account}/campaigns`, { fields: CAMPAIGN_FIELDS });
+        const adsets = await client.getAll(`${account}/adsets`, { fields: ADSET_FIELDS });
+        const ads = await client.getAll(`${account}/ads`, { fields: AD_FIELDS });
+
+        const dbClient = await this.db.connect();
+        try {
+            await dbClient.query('BEGIN');
+
+            const campaignMap = new Map();
+            let created = 0;
+            for (const campaign of campaigns) {
+                const saved = await this.saveCampaign(dbClient, campaign, currency);
+                if (!saved) continue;
+                campaignMap.set(campaign.id, saved.campaign_id);
+                if (saved.created) created++;
+            }
+
+            const savedAdsets = await this.saveAdsets(dbClient, adsets, campaignMap, currency);
+            const savedAds = await this.saveAds(dbClient, ads, campaignMap);
+            const linked = await this.linkUnresolvedClicks(dbClient);
+
+            await dbClient.query('COMMIT');
+
+            return {
+                account_id: account,
+                campaigns: campaignMap.size,
+                campaigns_created: created,
+                campaigns_skipped: campaigns.length - campaignMap.size,
+                adsets: savedAdsets,
+                ads: savedAds,
+                clicks_linked: linked
+            };
+        } catch (error) {
+            await dbClient.query('ROLLBACK');
+            throw error;
+        } finally {
+            dbClient.release();
+        }
+    }
+
+    /**
+     * Update the campaign mapped to a Meta campaign, or create it
+     * @returns {Promise<{campaign_id: string, created: boolean}|null>} null when
+     *   the Meta ID is taken by a campaign mapped to another Meta campaign
+     */
+    async saveCampaign(dbClient, campaign, currency) {
+        const values = [
+            campaign.id,
+            campaign.name,
+            campaign.effective_status || campaign.status,
+            campaign.objective || null,
+            toAmount(campaign.daily_budget, currency),
+            toAmount(campaign.lifetime_budget, currency)
+        ];
+
+        const updated = await dbClient.query(`
+            UPDATE campaigns SET
+                name = $2, status = $3, objective = $4, daily_budget = $5, total_budget = $6,
+                meta_synced_at = NOW(), updated_at = NOW()
+            WHERE meta_campaign_id = $1
+            RETURNING campaign_id
+        `, values);
+
+        if (updated.rows.length > 0) return { campaign_id: updated.rows[0].campaign_id, created: false };
+
+        // A campaign whose campaign_id is already the Meta ID (created by hand, or an
+        // UNKNOWN placeholder from earlier versions) is adopted
+        const inserted = await dbClient.query(`
+            INSERT INTO campaigns (
+                campaign_id, meta_campaign_id, name, status, objective,
+                daily_budget, total_budget, meta_synced_at
+            ) VALUES ($1, $1, $2, $3, $4, $5, $6, NOW())
+            ON CONFLICT (campaign_id) DO UPDATE SET
+                meta_campaign_id = EXCLUDED.meta_campaign_id,
+                name = EXCLUDED.name,
+                status = EXCLUDED.status,
+                objective = EXCLUDED.objective,
+                daily_budget = EXCLUDED.daily_budget,
+                total_budget = EXCLUDED.total_budget,
+                meta_synced_at = NOW(),
+                updated_at = NOW()
+            WHERE campaigns.meta_campaign_id IS NULL
+            RETURNING campaign_id, (xmax = 0) AS created
+        `, values);
+
+        return inserted.rows[0] || null;
+    }
+
+    async saveAdsets(dbClient, adsets, campaignMap, currency) {
+        const rows = adsets.filter(adset => campaignMap.has(adset.campaign_id));
+        if (rows.length === 0) return 0;
+
+        await dbClient.query(`
+            INSERT INTO adsets (
+                adset_id, campaign_id, meta_campaign_id, name, status,
+                daily_budget, lifetime_budget, synced_at
+            )
+            SELECT *, NOW() FROM unnest(
+                $1::varchar[], $2::varchar[], $3::varchar[], $4::varchar[], $5::varchar[],
+                $6::numeric[], $7::numeric[]
+            )
+            ON CONFLICT (adset_id) DO UPDATE SET
+                campaign_id = EXCLUDED.campaign_id,
+                meta_campaign_id = EXCLUDED.meta_campaign_id,
+                name = EXCLUDED.name,
+                status = EXCLUDED.status,
+                daily_budget = EXCLUDED.daily_budget,
+                lifetime_budget = EXCLUDED.lifetime_budget,
+                synced_at = NOW()
+        `, [
+            rows.map(adset => adset.id),
+            rows.map(adset => campaignMap.get(adset.campaign_id)),
+            rows.map(adset => adset.campaign_id),
+            rows.map(adset => adset.name),
+            rows.map(adset => adset.effective_status || adset.status),
+            rows.map(adset => toAmount(adset.daily_budget, currency)),
+            rows.map(adset => toAmount(adset.lifetime_budget, currency))
+        ]);
+
+        return rows.length;
+    }
+
+    async saveAds(dbClient, ads, campaignMap) {
+        const rows = ads.filter(ad => campaignMap.has(ad.campaign_id));
+        if (rows.length === 0) return 0;
+
+        await dbClient.query(`
+            INSERT INTO ads (ad_id, adset_id, campaign_id, name, status, synced_at)
+            SELECT *, NOW() FROM unnest(
+                $1::varchar[], $2::varchar[], $3::varchar[], $4::varchar[], $5::varchar[]
+            )
+            ON CONFLICT (ad_id) DO UPDATE SET
+                adset_id = EXCLUDED.adset_id,
+                campaign_id = EXCLUDED.campaign_id,
+                name = EXCLUDED.name,
+                status = EXCLUDED.status,
+                synced_at = NOW()
+        `, [
+            rows.map(ad => ad.id),
+            rows.map(ad => ad.adset_id),
+            rows.map(ad => campaignMap.get(ad.campaign_id)),
+            rows.map(ad => ad.name),
+            rows.map(ad => ad.effective_status || ad.status)
+        ]);
+
+        return rows.length;
+    }
+
+    /**
+     * Attach clicks held with an unknown Meta campaign ID to the campaign now
+     * mapped to it, and queue their days for rollup
+     * @returns {Promise<number>} clicks linked
+     */
+    async linkUnresolvedClicks(dbClient) {
+        const result = await dbClient.query(`
+            UPDATE clicks cl
+            SET campaign_id = c.campaign_id, unresolved_campaign_id = NULL
+            FROM campaigns c
+            WHERE cl.unresolved_campaign_id IS NOT NULL
+              AND c.meta_campaign_id = cl.unresolved_campaign_id
+            RETURNING cl.timestamp::date::text as date
+        `);
+
+        await this.rollups.markDirty(result.rows.map(row => row.date), dbClient);
+        return result.rows.length;
+    }
+
+    /**
+     * Our campaign_id for a campaign ID sent with a click: the campaign itself
+     * or the campaign mapped to that Meta campaign ID. Tracking is public, so
+     * an unknown ID never creates a campaign; a well-formed Meta ID is returned
+     * as unresolved_campaign_id for the next import to link, anything else is dropped.
+     * @returns {Promise<{campaign_id: string|null, unresolved_campaign_id: string|null}>}
+     */
+    async resolveCampaignId(campaignId) {
+        const unresolved = { campaign_id: null, unresolved_campaign_id: null };
+        if (typeof campaignId !== 'string' && typeof campaignId !== 'number') return unresolved;
+
+        const id = String(campaignId).trim();
+        if (!id || id.length > MAX_CAMPAIGN_ID_LENGTH) return unresolved;
+
+        const result = await this.db.query(`
+            SELECT campaign_id FROM campaigns
+            WHERE campaign_id = $1 OR meta_campaign_id = $1
+            ORDER BY (campaign_id = $1) DESC
+            LIMIT 1
+        `, [id]);
+
+        if (result.rows.length > 0) return { campaign_id: result.rows[0].campaign_id, unresolved_campaign_id: null };
+        return { campaign_id: null, unresolved_campaign_id: META_ID_PATTERN.test(id) ? id : null };
+    }
+}
+
+function toAmount(value, currency) {
+    if (value === undefined || value === null || value === '') return null;
+    return ZERO_DECIMAL_CURRENCIES.includes(currency) ? Number(value) : Number(value) / 100;
+}
+
+module.exports = MetaCampaignImport;
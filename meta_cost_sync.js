@@ -0,0 +1,243 @@
+
+/**
+ * Meta Cost Sync
+ * Pulls daily ad-level spend from the Insights API into meta_costs. Ranges are
+ * fetched in chunks, large ranges through async report jobs, and the default
+ * run re-syncs the trailing days Meta still revises.
+ */
+
+const MetaGraphClient = require('./meta_graph');
+const PerformanceRollups = require('./performance_rollups');
+
+const INSIGHT_FIELDS = [
+    'campaign_id', 'adset_id', 'ad_id', 'spend', 'impressions',
+    'clicks', 'reach', 'cpm', 'cpc', 'ctr'
+].join(',');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class MetaCostSync {
+    /**
+     * @param {object} dbPool - Database pool
+     * @param {object} options - trailingDays: days re-synced by default,
+     *   asyncThresholdDays: ranges longer than this use async report jobs,
+     *   chunkDays: days per Insights request, pollIntervalMs, maxPollMs,
+     *   apiVersion, baseUrl, rollups: shared PerformanceRollups instance
+     */
+    constructor(dbPool, options = {}) {
+        this.db = dbPool;
+        this.trailingDays = options.trailingDays || 3;
+        this.asyncThresholdDays = options.asyncThresholdDays || 7;
+        this.chunkDays = options.chunkDays || 30;
+        this.pollIntervalMs = options.pollIntervalMs || 5000;
+        this.maxPollMs = options.maxPollMs || 15 * 60 * 1000;
+        this.apiVersion = options.apiVersion;
+        this.baseUrl = options.baseUrl;
+        this.rollups = options.rollups || new PerformanceRollups(dbPool);
+    }
+
+    /**
+     * Validate a backfill range, returns an error message or null.
+     * Both dates or neither (neither = trailing days).
+     */
+    validateRange(startDate, endDate) {
+        if (!startDate && !endDate) return null;
+        if (!startDate || !endDate) return 'start_date and end_date must be given together';
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || !/^\d{4}-\d{2}-\d{2}$/.test(endDate) ||
+            isNaN(Date.parse(startDate)) || isNaN(Date.parse(endDate))) {
+            return 'Dates must be YYYY-MM-DD';
+        }
+        if (startDate > endDate) return 'start_date must not be after end_date';
+        return null;
+    }
+
+    /**
+     * The trailing window Meta may still revise, ending today
+     */
+    defaultRange() {
+        const today = new Date();
+        return {
+            startDate: formatDate(new Date(today.getTime() - this.trailingDays * DAY)),
+            endDate: formatDate(today)
+        };
+    }
+
+    /**
+     * Sync ad-level daily costs
+     * @param {object} config - Meta API configuration (access_token, account_id)
+     * @param {object} options - startDate, endDate, async: force async report jobs
+     * @returns {Promise<object>} summary of the run
+     */
+    async sync(config, options = {}) {
+        const { startDate, endDate } = options.startDate ? options : this.defaultRange();
+        const client = new MetaGraphClient({
+            accessToken: config.access_token,
+            apiVersion: this.apiVersion,
+            baseUrl: this.baseUrl
+        });
+
+        const campaignMap = await this.getCampaignMap();
+
+        // One account-level request covers every campaign; without an account ID
+        // fall back to each mapped campaign
+        const sources = config.account_id
+            ? [`act_${String(config.account_id).replace(/^act_/, '')}`]
+            : [...campaignMap.keys()];
+
+        const useAsync = Boolean(options.async) || daysBetween(startDate, endDate) + 1 > this.asyncThresholdDays;
+        const summary = {
+            start_date: startDate,
+            end_date: endDate,
+            mode: useAsync ? 'async' : 'sync',
+            rows: 0,
+            unmapped_campaigns: new Set(),
+            errors: []
+        };
+
+        for (const [since, until] of this.chunkRange(startDate, endDate)) {
+            for (const source of sources) {
+                try {
+                    const params = this.insightParams(since, until);
+                    const rows = useAsync
+                        ? await this.fetchAsync(client, source, params)
+                        : await client.getAll(`${source}/insights`, params);
+
+                    summary.rows += await this.saveRows(rows, campaignMap, summary.unmapped_campaigns);
+                } catch (error) {
+                    console.error(`Error syncing Meta costs for ${source} ${since}..${until}:`, error.message);
+                    summary.errors.push({ source, since, until, error: error.message });
+                }
+            }
+        }
+
+        return { ...summary, unmapped_campaigns: [...summary.unmapped_campaigns] };
+    }
+
+    insightParams(since, until) {
+        return {
+            level: 'ad',
+            time_increment: 1,
+            time_range: JSON.stringify({ since, until }),
+            fields: INSIGHT_FIELDS
+        };
+    }
+
+    /**
+     * Split a range into chunkDays-long [since, until] pairs
+     */
+    chunkRange(startDate, endDate) {
+        const chunks = [];
+        let since = new Date(`${startDate}T00:00:00Z`);
+        const end = new Date(`${endDate}T00:00:00Z`);
+
+        while (since <= end) {
+            const until = new Date(Math.min(since.getTime() + (this.chunkDays - 1) * DAY, end.getTime()));
+            chunks.push([formatDate(since), formatDate(until)]);
+            since = new Date(until.getTime() + DAY);
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Run an async Insights report job, wait for it and read its rows
+     */
+    async fetchAsync(client, source, params) {
+        const job = await client.post(`${source}/insights`, params);
+        const reportRunId = job.report_run_id;
+        const startedAt = Date.now();
+
+        for (;;) {
+            const status = await client.get(reportRunId, { fields: 'async_status,async_percent_completion' });
+
+            if (status.async_status === 'Job Completed' && Number(status.async_percent_completion) === 100) break;
+            if (status.async_status === 'Job Failed' || status.async_status === 'Job Skipped') {
+                throw new Error(`Insights report ${reportRunId} ${status.async_status.toLowerCase()}`);
+            }
+            if (Date.now() - startedAt > this.maxPollMs) {
+                throw new Error(`Insights report ${reportRunId} did not finish in time`);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        }
+
+        return client.getAll(`${reportRunId}/insights`);
+    }
+
+    /**
+     * Meta campaign ID -> our campaign_id
+     */
+    async getCampaignMap() {
+        const result = await this.db.query(
+            'SELECT campaign_id, meta_campaign_id FROM campaigns WHERE meta_campaign_id IS NOT NULL'
+        );
+        return new Map(result.rows.map(row => [row.meta_campaign_id, row.campaign_id]));
+    }
+
+    /**
+     * Upsert insight rows; rows for campaigns we don't track are skipped
+     * @returns {Promise<number>} rows saved
+     */
+    async saveRows(rows, campaignMap, unmapped) {
+        const mapped = [];
+        for (const row of rows) {
+            const campaignId = campaignMap.get(row.campaign_id);
+            if (!campaignId) {
+                unmapped.add(row.campaign_id);
+                continue;
+            }
+            mapped.push({ ...row, campaign_id: campaignId });
+        }
+
+        for (let i = 0; i < mapped.length; i += 500) {
+            const batch = mapped.slice(i, i + 500);
+            const column = (field, parse) => batch.map(row => parse(row[field]));
+
+            await this.db.query(`
+                INSERT INTO meta_costs (
+                    campaign_id, adset_id, ad_id, date, spend, impressions,
+                    clicks, reach, cpm, cpc, ctr, sync_timestamp
+                )
+                SELECT *, NOW() FROM unnest(
+                    $1::varchar[], $2::varchar[], $3::varchar[], $4::date[], $5::numeric[], $6::bigint[],
+                    $7::integer[], $8::bigint[], $9::numeric[], $10::numeric[], $11::numeric[]
+                )
+                ON CONFLICT (campaign_id, adset_id, ad_id, date) DO UPDATE SET
+                    spend = EXCLUDED.spend,
+                    impressions = EXCLUDED.impressions,
+                    clicks = EXCLUDED.clicks,
+                    reach = EXCLUDED.reach,
+                    cpm = EXCLUDED.cpm,
+                    cpc = EXCLUDED.cpc,
+                    ctr = EXCLUDED.ctr,
+                    sync_timestamp = NOW()
+            `, [
+                column('campaign_id', String),
+                column('adset_id', String),
+                column('ad_id', String),
+                column('date_start', String),
+                column('spend', value => parseFloat(value || 0)),
+                column('impressions', value => parseInt(value || 0, 10)),
+                column('clicks', value => parseInt(value || 0, 10)),
+                column('reach', value => parseInt(value || 0, 10)),
+                column('cpm', value => parseFloat(value || 0)),
+                column('cpc', value => parseFloat(value || 0)),
+                column('ctr', value => parseFloat(value || 0))
+            ]);
+        }
+
+        await this.rollups.markDirty(mapped.map(row => row.date_start));
+
+        return mapped.length;
+    }
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function daysBetween(startDate, endDate) {
+    return Math.round((Date.parse(endDate) - Date.parse(startDate)) / DAY);
+}
+
+module.exports = MetaCostSync;
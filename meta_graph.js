@@ -0,0 +1,90 @@
+
+/**
+ * Meta Graph API Client
+ * Thin wrapper over the Graph API with cursor pagination and retries for
+ * throttling and server errors
+ */
+
+const axios = require('axios');
+
+// Graph error codes for rate limits and temporary failures
+const RETRYABLE_CODES = [1, 2, 4, 17, 32, 341, 613, 80000, 80001, 80002, 80003, 80004, 80005, 80014];
+
+class MetaGraphClient {
+    /**
+     * @param {object} options - accessToken, apiVersion, baseUrl, maxRetries, retryDelayMs
+     */
+    constructor(options = {}) {
+        this.accessToken = options.accessToken;
+        this.apiVersion = options.apiVersion || 'v18.0';
+        this.baseUrl = (options.baseUrl || 'https://graph.facebook.com').replace(/\/$/, '');
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.retryDelayMs = options.retryDelayMs || 2000;
+    }
+
+    get(path, params = {}) {
+        return this.request('get', path, params);
+    }
+
+    post(path, params = {}) {
+        return this.request('post', path, params);
+    }
+
+    async request(method, path, params) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await axios({
+                    method,
+                    url: `${this.baseUrl}/${this.apiVersion}/${path}`,
+                    params: { ...params, access_token: this.accessToken },
+                    timeout: 60000
+                });
+                return response.data;
+            } catch (error) {
+                if (attempt >= this.maxRetries || !this.isRetryable(error)) throw this.toGraphError(error);
+                await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * Math.pow(2, attempt)));
+            }
+        }
+    }
+
+    /**
+     * Every row of a paged edge, following the after cursor
+     */
+    async getAll(path, params = {}) {
+        const rows = [];
+        let after;
+
+        do {
+            const page = await this.get(path, { limit: 500, ...params, after });
+            rows.push(...(page.data || []));
+            after = page.paging?.next ? page.paging.cursors?.after : null;
+        } while (after);
+
+        return rows;
+    }
+
+    isRetryable(error) {
+        const status = error.response?.status;
+        if (!status || status >= 500) return true;
+
+        const graphError = error.response.data?.error || {};
+        return RETRYABLE_CODES.includes(graphError.code) || graphError.is_transient === true;
+    }
+
+    /**
+     * Error carrying the Graph error message, code and fbtrace_id
+     */
+    toGraphError(error) {
+        const graphError = error.response?.data?.error;
+        if (!graphError) return error;
+
+        const wrapped = new Error(`Meta API error: ${graphError.message}`);
+        wrapped.code = graphError.code;
+        wrapped.subcode = graphError.error_subcode;
+        wrapped.fbtraceId = graphError.fbtrace_id;
+        wrapped.status = error.response.status;
+        return wrapped;
+    }
+}
+
+module.exports = MetaGraphClient;
@@ -0,0 +1,218 @@
+
+/**
+ * Performance Rollups
+ * Keeps campaign_performance, one row per day per campaign/ad set/ad, in step
+ * with clicks, attributed conversions and Meta costs so reports never touch
+ * raw clicks. Rollups are incremental: a day is rebuilt from scratch when it is
+ * dirty, which means new clicks arrived for it (found through the clicks ID
+ * watermark) or attribution, costs or a repeated click ID changed it (marked
+ * through markDirty).
+ */
+
+// Clicks newer than this may still have uncommitted neighbours with lower IDs,
+// so the watermark stays behind them until the next run
+const CLICK_SETTLE_SECONDS = 60;
+
+// Days rebuilt per transaction
+const DAYS_PER_BATCH = 7;
+
+class PerformanceRollups {
+    constructor(dbPool) {
+        this.db = dbPool;
+    }
+
+    /**
+     * Queue days for rebuilding
+     * @param {Array<string|Date>} dates - Days, or timestamps on those days
+     * @param {object} client - Optional client to mark inside a transaction
+     */
+    async markDirty(dates, client = this.db) {
+        const days = [...new Set(dates.filter(Boolean).map(toDay))];
+        if (days.length === 0) return;
+
+        await client.query(`
+            INSERT INTO rollup_dirty_dates (date)
+            SELECT unnest($1::date[])
+            ON CONFLICT (date) DO UPDATE SET marked_at = NOW()
+        `, [days]);
+    }
+
+    /**
+     * Mark the click days a conversion's stored touchpoints credit. Called
+     * before attribution is replaced (old credit) and after (new credit).
+     */
+    async markConversionDirty(conversionId, client = this.db) {
+        await client.query(`
+            INSERT INTO rollup_dirty_dates (date)
+            SELECT DISTINCT cl.timestamp::date
+            FROM attribution_touchpoints at
+            JOIN clicks cl ON at.click_id = cl.click_id
+            WHERE at.conversion_id = $1
+            ON CONFLICT (date) DO UPDATE SET marked_at = NOW()
+        `, [conversionId]);
+    }
+
+    /**
+     * Rebuild every dirty day, picking up new clicks first
+     * @returns {Promise<{dates: string[], rows: number}>}
+     */
+    async run() {
+        await this.collectNewClicks();
+
+        const startedAt = await this.db.query('SELECT NOW() as now');
+        const dirty = await this.db.query(
+            'SELECT date::text as date FROM rollup_dirty_dates WHERE marked_at <= $1 ORDER BY date',
+            [startedAt.rows[0].now]
+        );
+        const dates = dirty.rows.map(row => row.date);
+
+        let rows = 0;
+        for (let i = 0; i < dates.length; i += DAYS_PER_BATCH) {
+            const batch = dates.slice(i, i + DAYS_PER_BATCH);
+            rows += await this.rebuild(batch, async client => {
+                // Days marked again while rebuilding stay dirty for the next run
+                await client.query(
+                    'DELETE FROM rollup_dirty_dates WHERE date = ANY($1::date[]) AND marked_at <= $2',
+                    [batch, startedAt.rows[0].now]
+                );
+            });
+        }
+
+        return { dates, rows };
+    }
+
+    /**
+     * Validate a rebuild range, returns an error message or null
+     */
+    validateRange(startDate, endDate) {
+        if (!startDate || !endDate) return 'start_date and end_date required';
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || !/^\d{4}-\d{2}-\d{2}$/.test(endDate) ||
+            isNaN(Date.parse(startDate)) || isNaN(Date.parse(endDate))) {
+            return 'Dates must be YYYY-MM-DD';
+        }
+        if (startDate > endDate) return 'start_date must not be after end_date';
+        return null;
+    }
+
+    /**
+     * Rebuild a date range (inclusive), e.g. after a schema change or backfill
+     */
+    async rollup(startDate, endDate) {
+        const dates = [];
+        for (let day = new Date(`${startDate}T00:00:00Z`); day <= new Date(`${endDate}T00:00:00Z`);
+            day = new Date(day.getTime() + 24 * 60 * 60 * 1000)) {
+            dates.push(toDay(day));
+        }
+
+        let rows = 0;
+        for (let i = 0; i < dates.length; i += DAYS_PER_BATCH) {
+            rows += await this.rebuild(dates.slice(i, i + DAYS_PER_BATCH));
+        }
+
+        return { start_date: startDate, end_date: endDate, dates: dates.length, rows };
+    }
+
+    /**
+     * Mark the days of clicks inserted since the last run and move the watermark
+     */
+    async collectNewClicks() {
+        const watermark = await this.db.query(
+            "SELECT last_id FROM rollup_watermarks WHERE source = 'clicks'"
+        );
+        const lastId = watermark.rows[0] ? Number(watermark.rows[0].last_id) : 0;
+
+        const result = await this.db.query(`
+            SELECT
+                ARRAY(SELECT DISTINCT timestamp::date::text FROM clicks WHERE id > $1) as dates,
+                (SELECT MAX(id) FROM clicks WHERE id > $1 AND timestamp < NOW() - make_interval(secs => $2)) as settled_id
+        `, [lastId, CLICK_SETTLE_SECONDS]);
+
+        const { dates, settled_id: settledId } = result.rows[0];
+        await this.markDirty(dates);
+
+        if (settledId) {
+            await this.db.query(`
+                INSERT INTO rollup_watermarks (source, last_id, updated_at)
+                VALUES ('clicks', $1, NOW())
+                ON CONFLICT (source) DO UPDATE SET last_id = EXCLUDED.last_id, updated_at = NOW()
+            `, [settledId]);
+        }
+    }
+
+    /**
+     * Replace the rows for some days in one transaction
+     * @param {string[]} dates - YYYY-MM-DD days
+     * @param {Function} beforeCommit - Optional async (client) => void run in the same transaction
+     * @returns {Promise<number>} rows written
+     */
+    async rebuild(dates, beforeCommit) {
+        const sorted = [...dates].sort();
+        const client = await this.db.connect();
+        try {
+            await client.query('BEGIN');
+
+            await client.query('DELETE FROM campaign_performance WHERE date = ANY($1::date[])', [dates]);
+
+            // Conversions are credited to the day of the touchpoint's click,
+            // weighted by its attribution share
+            const result = await client.query(`
+                INSERT INTO campaign_performance (
+                    campaign_id, adset_id, ad_id, date, clicks, conversions,
+                    conversion_value, cost, impressions, reach, updated_at
+                )
+                SELECT campaign_id, adset_id, ad_id, date,
+                       SUM(clicks), SUM(conversions), SUM(conversion_value),
+                       SUM(cost), SUM(impressions), SUM(reach), NOW()
+                FROM (
+                    SELECT campaign_id, COALESCE(adset_id, '') as adset_id, COALESCE(ad_id, '') as ad_id,
+                           timestamp::date as date, COUNT(*) as clicks,
+                           0 as conversions, 0 as conversion_value, 0 as cost, 0 as impressions, 0 as reach
+                    FROM clicks
+                    WHERE campaign_id IS NOT NULL AND interaction_type = 'click' AND NOT is_bot
+                      AND timestamp >= $2 AND timestamp < ($3::date + 1)
+                      AND timestamp::date = ANY($1::date[])
+                    GROUP BY 1, 2, 3, 4
+
+                    UNION ALL
+
+                    SELECT cl.campaign_id, COALESCE(cl.adset_id, ''), COALESCE(cl.ad_id, ''), cl.timestamp::date, 0,
+                           SUM(at.attribution_weight), SUM(at.attribution_weight * co.conversion_value), 0, 0, 0
+                    FROM attribution_touchpoints at
+                    JOIN clicks cl ON at.click_id = cl.click_id
+                    JOIN conversions co ON at.conversion_id = co.conversion_id
+                    WHERE cl.campaign_id IS NOT NULL
+                      AND cl.timestamp >= $2 AND cl.timestamp < ($3::date + 1)
+                      AND cl.timestamp::date = ANY($1::date[])
+                    GROUP BY 1, 2, 3, 4
+
+                    UNION ALL
+
+                    SELECT campaign_id, COALESCE(adset_id, ''), COALESCE(ad_id, ''), date,
+                           0, 0, 0, SUM(spend), SUM(impressions), SUM(reach)
+                    FROM meta_costs
+                    WHERE date = ANY($1::date[])
+                    GROUP BY 1, 2, 3, 4
+                ) daily
+                WHERE campaign_id IN (SELECT campaign_id FROM campaigns)
+                GROUP BY campaign_id, adset_id, ad_id, date
+            `, [dates, sorted[0], sorted[sorted.length - 1]]);
+
+            if (beforeCommit) await beforeCommit(client);
+            await client.query('COMMIT');
+
+            return result.rowCount;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+function toDay(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    return new Date(value).toISOString().slice(0, 10);
+}
+
+module.exports = PerformanceRollups;
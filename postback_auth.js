@@ -0,0 +1,131 @@
+
+/**
+ * Server-to-Server Postback Authentication
+ * HMAC request signing with timestamp and replay protection for backends and CRMs,
+ * and per-network tokens for GET postback URLs that cannot be signed
+ */
+
+const crypto = require('crypto');
+
+class PostbackAuth {
+    /**
+     * @param {object} dbPool - Database pool, used for the replay log
+     * @param {string} secret - Shared secret (API_SECRET_KEY)
+     * @param {object} options - toleranceSeconds: accepted clock skew
+     */
+    constructor(dbPool, secret, options = {}) {
+        this.db = dbPool;
+        this.secret = secret;
+        this.toleranceSeconds = options.toleranceSeconds || 300;
+        this.lastNonceCleanup = 0;
+    }
+
+    isConfigured() {
+        return Boolean(this.secret);
+    }
+
+    /**
+     * Signature over "<timestamp>.<raw body>", hex encoded
+     */
+    sign(timestamp, body) {
+        return crypto.createHmac('sha256', this.secret)
+            .update(`${timestamp}.${body || ''}`)
+            .digest('hex');
+    }
+
+    /**
+     * Verify X-Timestamp / X-Signature headers and record the signature so it
+     * cannot be replayed. Returns an error message or null.
+     */
+    async verifyRequest(req) {
+        const timestamp = req.headers['x-timestamp'];
+        const signature = (req.headers['x-signature'] || '').replace(/^sha256=/, '');
+
+        if (!timestamp || !signature) return 'Missing X-Timestamp or X-Signature header';
+
+        const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+        if (!Number.isFinite(age) || age > this.toleranceSeconds) {
+            return 'Request timestamp outside the allowed window';
+        }
+
+        const expected = this.sign(timestamp, req.rawBody);
+        if (!this.safeEqual(signature, expected)) return 'Invalid signature';
+
+        await this.cleanupNonces();
+
+        const result = await this.db.query(
+            'INSERT INTO postback_nonces (signature) VALUES ($1) ON CONFLICT DO NOTHING RETURNING signature',
+            [signature]
+        );
+        if (result.rows.length === 0) return 'Request already processed';
+
+        return null;
+    }
+
+    /**
+     * Express middleware that rejects unsigned or replayed requests
+     */
+    middleware() {
+        return async (req, res, next) => {
+            if (!this.isConfigured()) {
+                return res.status(503).json({ success: false, error: 'Postbacks not configured' });
+            }
+
+            try {
+                const error = await this.verifyRequest(req);
+                if (error) {
+                    return res.status(401).json({ success: false, error });
+                }
+                next();
+            } catch (error) {
+                console.error('Error verifying postback signature:', error);
+                res.status(500).json({ success: false, error: error.message });
+            }
+        };
+    }
+
+    /**
+     * Static token for a network's GET postback URL
+     */
+    networkToken(network) {
+        return crypto.createHmac('sha256', this.secret)
+            .update(`postback:${network}`)
+            .digest('hex')
+            .slice(0, 32);
+    }
+
+    verifyNetworkToken(network, token) {
+        if (!this.isConfigured() || !network || !token) return false;
+        return this.safeEqual(token, this.networkToken(network));
+    }
+
+    /**
+     * Postback URL template to paste into an affiliate network
+     */
+    buildPostbackTemplate(baseUrl, network) {
+        const params = new URLSearchParams({ network, token: this.networkToken(network) });
+        return `${baseUrl}/api/postback?${params}&click_id={cid}&payout={amount}`;
+    }
+
+    safeEqual(a, b) {
+        const bufA = Buffer.from(String(a));
+        const bufB = Buffer.from(String(b));
+        return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+    }
+
+    /**
+     * Signatures older than the tolerance window can no longer pass the
+     * timestamp check, so they are safe to forget
+     */
+    async cleanupNonces() {
+        if (Date.now() - this.lastNonceCleanup < 10 * 60 * 1000) return;
+        this.lastNonceCleanup = Date.now();
+
+        await this.db.query(
+            'DELETE FROM postback_nonces WHERE created_at < NOW() - make_interval(secs => $1)',
+            [this.toleranceSeconds * 2]
+        );
+    }
+}
+
+module.exports = PostbackAuth;
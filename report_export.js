@@ -0,0 +1,244 @@
+
+/**
+ * Report Export
+ * Writes reports and raw clicks and conversions as CSV or XLSX downloads.
+ * Rows go to the response as they are read, raw data in ID-ordered batches and
+ * breakdowns page by page through a cursor. Each batch waits for a slow client
+ * to drain and a disconnect stops the export, so in either format no more than
+ * about one batch is buffered. Visitor contact details, IPs and user agents are
+ * left out of raw exports.
+ */
+
+const ExcelJS = require('exceljs');
+const Reporting = require('./reporting');
+
+const FORMATS = ['csv', 'xlsx'];
+
+// Raw rows read per query
+const BATCH_SIZE = 1000;
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const CAMPAIGN_COLUMNS = [
+    'campaign_id', 'name', 'status', 'daily_budget', 'total_budget', 'clicks', 'conversions',
+    'revenue', 'cost', 'impressions', 'conversion_rate', 'roas', 'cpa'
+];
+
+const TIMESERIES_METRICS = ['clicks', 'conversions', 'revenue', 'spend', 'cpa', 'roas'];
+
+const CLICK_COLUMNS = [
+    'click_id', 'timestamp', 'campaign_id', 'adset_id', 'ad_id', 'interaction_type', 'link_id',
+    'utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term', 'landing_page',
+    'referrer_url', 'device_type', 'browser', 'browser_version', 'os', 'os_version', 'in_app_browser',
+    'is_bot', 'bot_name', 'country_code', 'region', 'city', 'fb_click_id', 'gclid', 'msclkid'
+];
+
+const CONVERSION_COLUMNS = [
+    'conversion_id', 'timestamp', 'conversion_type', 'conversion_value', 'currency', 'click_id',
+    'campaign_id', 'attribution_model', 'source', 'external_id', 'event_id', 'country_code', 'region', 'city'
+];
+
+class ReportExport {
+    /**
+     * @param {object} dbPool - Database pool
+     * @param {object} options - reporting: shared Reporting instance
+     */
+    constructor(dbPool, options = {}) {
+        this.db = dbPool;
+        this.reporting = options.reporting;
+    }
+
+    validateFormat(format) {
+        return FORMATS.includes(format) ? null : `format must be one of ${FORMATS.join(', ')}`;
+    }
+
+    /**
+     * Campaign report, same filters as /api/reports/campaigns
+     */
+    async campaigns(res, format, filters) {
+        const rows = await this.reporting.campaignReport(filters);
+
+        const writer = await this.open(res, format, fileName('campaigns', filters), CAMPAIGN_COLUMNS);
+        await writer.write(rows);
+        await writer.end();
+    }
+
+    /**
+     * Time series, one row per bucket (and campaign with split)
+     */
+    async timeseries(res, format, options) {
+        const data = await this.reporting.timeseries(options);
+        const columns = options.split
+            ? ['bucket', 'campaign_id', 'campaign_name', ...TIMESERIES_METRICS]
+            : ['bucket', ...TIMESERIES_METRICS];
+
+        const writer = await this.open(res, format, fileName(`timeseries_${data.grain}`, options), columns);
+        for (const series of data.series) {
+            await writer.write(series.points.map(point => ({
+                ...point,
+                campaign_id: series.campaign_id,
+                campaign_name: series.name
+            })));
+        }
+        await writer.end();
+    }
+
+    /**
+     * Every breakdown row in the requested order; limit and offset are ignored.
+     * The aggregation runs once and is read through a cursor.
+     */
+    async breakdown(res, format, options) {
+        const metrics = this.reporting.breakdownMetrics(options);
+        const columns = options.dimensions.flatMap(dimension => (
+            Reporting.NAMED_DIMENSIONS.includes(dimension) ? [dimension, `${dimension}_name`] : [dimension]
+        ));
+
+        const writer = await this.open(res, format, fileName(`breakdown_${options.dimensions.join('_')}`, options),
+            [...columns, ...metrics]);
+
+        await this.reporting.eachBreakdownPage(options, Reporting.MAX_BREAKDOWN_LIMIT, rows => writer.write(rows));
+        await writer.end();
+    }
+
+    /**
+     * Raw clicks in a date range (UTC days), optionally for one campaign
+     */
+    async clicks(res, format, filters) {
+        await this.raw(res, format, 'clicks', CLICK_COLUMNS, filters);
+    }
+
+    /**
+     * Raw conversions in a date range (UTC days), optionally for one campaign
+     */
+    async conversions(res, format, filters) {
+        await this.raw(res, format, 'conversions', CONVERSION_COLUMNS, filters);
+    }
+
+    async raw(res, format, table, columns, filters) {
+        const selected = columns.map(column => (
+            column === 'timestamp' ? `to_char(timestamp, 'YYYY-MM-DD"T"HH24:MI:SS') as timestamp` : column
+        ));
+
+        const writer = await this.open(res, format, fileName(table, filters), columns);
+
+        let lastId = 0;
+        for (;;) {
+            const result = await this.db.query(`
+                SELECT id, ${selected.join(', ')}
+                FROM ${table}
+                WHERE timestamp >= $1 AND timestamp < ($2::date + 1)
+                  AND ($3::varchar IS NULL OR campaign_id = $3)
+                  AND id > $4
+                ORDER BY id
+                LIMIT $5
+            `, [filters.start_date, filters.end_date, filters.campaign_id || null, lastId, BATCH_SIZE]);
+
+            await writer.write(result.rows);
+            if (result.rows.length < BATCH_SIZE) break;
+            lastId = result.rows[result.rows.length - 1].id;
+        }
+        await writer.end();
+    }
+
+    /**
+     * Start the download and return a writer for batches of row objects
+     * @returns {Promise<{write: Function, end: Function}>}
+     */
+    async open(res, format, name, columns) {
+        res.setHeader('Content-Type', CONTENT_TYPES[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="${name}.${format}"`);
+
+        if (format === 'xlsx') {
+            const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+                stream: res,
+                useStyles: false,
+                useSharedStrings: false
+            });
+            const sheet = workbook.addWorksheet(name.slice(0, 31));
+            sheet.columns = columns.map(column => ({ header: column, key: column }));
+
+            return {
+                write: async (rows) => {
+                    if (res.destroyed) throw new Error('Client closed the download');
+                    for (const row of rows) sheet.addRow(pick(row, columns)).commit();
+                    // ExcelJS feeds the zip entry without heeding write(), so
+                    // that's where the sheet backs up behind a slow client
+                    await drained(res, sheet.stream.pipes[0] || res);
+                },
+                end: async () => {
+                    sheet.commit();
+                    await workbook.commit();
+                }
+            };
+        }
+
+        // BOM so Excel opens the file as UTF-8
+        await writeChunk(res, `\uFEFF${columns.map(toCsvValue).join(',')}\r\n`);
+
+        return {
+            write: async (rows) => {
+                if (rows.length === 0) return;
+                await writeChunk(res, rows.map(row => columns.map(column => toCsvValue(row[column])).join(',')).join('\r\n') + '\r\n');
+            },
+            end: async () => {
+                res.end();
+            }
+        };
+    }
+}
+
+ReportExport.FORMATS = FORMATS;
+
+async function writeChunk(res, chunk) {
+    if (res.destroyed) throw new Error('Client closed the download');
+    res.write(chunk);
+    await drained(res);
+}
+
+// Wait for the client to catch up instead of buffering the export. A full
+// stream only drains once the client reads, so stop waiting if it goes away.
+async function drained(res, stream = res) {
+    if (needsDrain(stream) && !res.destroyed) {
+        await new Promise(resolve => {
+            const done = () => {
+                stream.off('drain', done);
+                res.off('close', done);
+                resolve();
+            };
+            stream.on('drain', done);
+            res.on('close', done);
+        });
+    }
+    if (res.destroyed) throw new Error('Client closed the download');
+}
+
+// Archiver's streams come from readable-stream 2, which predates writableNeedDrain
+function needsDrain(stream) {
+    return stream.writableNeedDrain !== undefined
+        ? stream.writableNeedDrain
+        : stream._writableState.needDrain;
+}
+
+function pick(row, columns) {
+    return Object.fromEntries(columns.map(column => [column, row[column] ?? null]));
+}
+
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+
+    // Spreadsheets run text starting with these as formulas
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function fileName(report, filters) {
+    const range = [filters.start_date, filters.end_date].filter(Boolean).join('_to_');
+    return range ? `${report}_${range}` : report;
+}
+
+module.exports = ReportExport;
@@ -0,0 +1,675 @@
+
+/**
+ * Reporting
+ * Campaign, summary, time-series and breakdown performance reports. Day, week and month buckets in
+ * UTC are read from the campaign_performance rollups; hour buckets, other time
+ * zones and breakdowns by click attributes need click times or columns the
+ * rollups don't keep, so they are computed from clicks and attribution directly
+ * over a bounded range. Timestamps are stored in UTC.
+ */
+
+const GRAINS = ['hour', 'day', 'week', 'month'];
+
+// Rollup days are UTC days
+const ROLLUP_TIMEZONE = 'UTC';
+
+// Largest number of buckets one request may ask for
+const MAX_BUCKETS = 2000;
+
+// Hour buckets and non-UTC zones scan raw clicks, so their range is capped
+const MAX_RAW_DAYS = 93;
+
+const BUCKET_FORMATS = {
+    hour: 'YYYY-MM-DD HH24:00',
+    day: 'YYYY-MM-DD',
+    week: 'YYYY-MM-DD',
+    month: 'YYYY-MM'
+};
+
+const BUCKET_DAYS = { hour: 1 / 24, day: 1, week: 7, month: 28 };
+
+// Breakdown dimensions and their clicks column; ones with a meta_costs column
+// can carry spend
+const DIMENSIONS = {
+    campaign: { column: 'campaign_id', costColumn: 'campaign_id' },
+    adset: { column: 'adset_id', costColumn: 'adset_id' },
+    ad: { column: 'ad_id', costColumn: 'ad_id' },
+    utm_source: { column: 'utm_source' },
+    utm_medium: { column: 'utm_medium' },
+    utm_campaign: { column: 'utm_campaign' },
+    utm_content: { column: 'utm_content' },
+    utm_term: { column: 'utm_term' },
+    device_type: { column: 'device_type' },
+    browser: { column: 'browser' },
+    os: { column: 'os' },
+    in_app_browser: { column: 'in_app_browser' },
+    country_code: { column: 'country_code' },
+    region: { column: 'region' },
+    city: { column: 'city' },
+    link_id: { column: 'link_id' }
+};
+
+// Names shown next to ID dimensions
+const DIMENSION_NAMES = {
+    campaign: { table: 'campaigns', column: 'campaign_id' },
+    adset: { table: 'adsets', column: 'adset_id' },
+    ad: { table: 'ads', column: 'ad_id' }
+};
+
+const METRICS = ['clicks', 'conversions', 'revenue', 'conversion_rate', 'spend', 'cpa', 'roas'];
+const SPEND_METRICS = ['spend', 'cpa', 'roas'];
+
+const COMPARISONS = ['previous_period', 'previous_year'];
+
+// Summary KPIs
+const KPIS = ['clicks', 'conversions', 'revenue', 'spend', 'conversion_rate', 'cpa', 'roas'];
+
+const MAX_BREAKDOWN_DAYS = 366;
+const MAX_BREAKDOWN_LIMIT = 500;
+
+class Reporting {
+    constructor(dbPool) {
+        this.db = dbPool;
+    }
+
+    /**
+     * Validate time-series options, returns an error message or null
+     * @param {object} options - start_date, end_date, grain, timezone
+     */
+    validateTimeseries(options) {
+        const { start_date: startDate, end_date: endDate, grain = 'day', timezone = ROLLUP_TIMEZONE } = options;
+
+        const invalid = validateDates(startDate, endDate);
+        if (invalid) return invalid;
+        if (!GRAINS.includes(grain)) return `grain must be one of ${GRAINS.join(', ')}`;
+        if (!isValidTimezone(timezone)) return `Unknown timezone '${timezone}'`;
+
+        const days = dayCount(startDate, endDate);
+        if (days / BUCKET_DAYS[grain] > MAX_BUCKETS) return `Too many ${grain} buckets, narrow the date range`;
+        if (this.usesRawData(grain, timezone) && days > MAX_RAW_DAYS) {
+            return `Hourly and non-UTC reports cover at most ${MAX_RAW_DAYS} days`;
+        }
+
+        return null;
+    }
+
+    usesRawData(grain, timezone) {
+        return grain === 'hour' || timezone !== ROLLUP_TIMEZONE;
+    }
+
+    /**
+     * Clicks, conversions, revenue, spend, CPA and ROAS per bucket
+     * @param {object} options - start_date, end_date (inclusive, in the time zone),
+     *   grain, timezone, campaign_ids (array), split: one series per campaign
+     * @returns {Promise<object>} buckets and series, each series with one point per bucket
+     */
+    async timeseries(options) {
+        const grain = options.grain || 'day';
+        const timezone = options.timezone || ROLLUP_TIMEZONE;
+        const campaignIds = options.campaign_ids && options.campaign_ids.length ? options.campaign_ids : null;
+        const raw = this.usesRawData(grain, timezone);
+
+        const buckets = await this.db.query(`
+            SELECT to_char(bucket, $4) as bucket
+            FROM generate_series(
+                date_trunc($1, $2::timestamp),
+                date_trunc($1, $3::timestamp + interval '1 day' - interval '1 second'),
+                ('1 ' || $1)::interval
+            ) bucket
+        `, [grain, options.start_date, options.end_date, BUCKET_FORMATS[grain]]);
+
+        const rows = raw
+            ? await this.rawTimeseries(grain, timezone, options, campaignIds)
+            : await this.rollupTimeseries(grain, options, campaignIds);
+
+        let names = new Map();
+        if (options.split) {
+            const campaigns = await this.db.query(
+                'SELECT campaign_id, name FROM campaigns WHERE campaign_id = ANY($1)',
+                [[...new Set(rows.map(row => row.campaign_id))]]
+            );
+            names = new Map(campaigns.rows.map(row => [row.campaign_id, row.name]));
+        }
+
+        // Group rows into series, then fill buckets without data with zeros
+        const series = new Map();
+        for (const row of rows) {
+            const key = options.split ? row.campaign_id : 'all';
+            if (!series.has(key)) series.set(key, new Map());
+            series.get(key).set(row.bucket, row);
+        }
+        if (series.size === 0 && !options.split) series.set('all', new Map());
+
+        return {
+            grain,
+            timezone,
+            start_date: options.start_date,
+            end_date: options.end_date,
+            source: raw ? 'raw' : 'rollup',
+            buckets: buckets.rows.map(row => row.bucket),
+            series: [...series.entries()].map(([key, points]) => ({
+                campaign_id: options.split ? key : null,
+                name: options.split ? (names.get(key) || key) : 'All campaigns',
+                points: buckets.rows.map(({ bucket }) => toPoint(bucket, points.get(bucket), grain))
+            }))
+        };
+    }
+
+    async rollupTimeseries(grain, options, campaignIds) {
+        const result = await this.db.query(`
+            SELECT to_char(date_trunc($1, p.date::timestamp), $2) as bucket,
+                   ${options.split ? 'p.campaign_id' : 'NULL as campaign_id'},
+                   SUM(p.clicks)::float as clicks,
+                   SUM(p.conversions)::float as conversions,
+                   SUM(p.conversion_value)::float as revenue,
+                   SUM(p.cost)::float as spend
+            FROM campaign_performance p
+            WHERE p.date >= $3 AND p.date <= $4
+              AND ($5::varchar[] IS NULL OR p.campaign_id = ANY($5))
+            GROUP BY 1, 2
+        `, [grain, BUCKET_FORMATS[grain], options.start_date, options.end_date, campaignIds]);
+
+        return result.rows;
+    }
+
+    /**
+     * Buckets in the requested zone straight from clicks and attribution.
+     * Conversions are credited at their click's time, as in the rollups; spend
+     * is daily, so it stays on its Meta day and hour buckets have none.
+     */
+    async rawTimeseries(grain, timezone, options, campaignIds) {
+        const split = options.split ? 'campaign_id' : 'NULL::varchar';
+        const result = await this.db.query(`
+            WITH bounds AS (
+                SELECT ($3::timestamp AT TIME ZONE $5) AT TIME ZONE 'UTC' as start_utc,
+                       (($4::date + 1)::timestamp AT TIME ZONE $5) AT TIME ZONE 'UTC' as end_utc
+            ),
+            local_clicks AS (
+                SELECT cl.click_id, cl.campaign_id, cl.interaction_type, cl.is_bot,
+                       to_char(date_trunc($1, (cl.timestamp AT TIME ZONE 'UTC') AT TIME ZONE $5), $2) as bucket
+                FROM clicks cl, bounds
+                WHERE cl.timestamp >= bounds.start_utc AND cl.timestamp < bounds.end_utc
+                  AND cl.campaign_id IS NOT NULL
+                  AND ($6::varchar[] IS NULL OR cl.campaign_id = ANY($6))
+            )
+            SELECT bucket, ${split} as campaign_id,
+                   SUM(clicks)::float as clicks, SUM(conversions)::float as conversions,
+                   SUM(revenue)::float as revenue, SUM(spend)::float as spend
+            FROM (
+                SELECT bucket, campaign_id, COUNT(*) as clicks, 0 as conversions, 0 as revenue, 0 as spend
+                FROM local_clicks
+                WHERE interaction_type = 'click' AND NOT is_bot
+                GROUP BY 1, 2
+
+                UNION ALL
+
+                SELECT lc.bucket, lc.campaign_id, 0, SUM(at.attribution_weight),
+                       SUM(at.attribution_weight * co.conversion_value), 0
+                FROM local_clicks lc
+                JOIN attribution_touchpoints at ON at.click_id = lc.click_id
+                JOIN conversions co ON co.conversion_id = at.conversion_id
+                GROUP BY 1, 2
+
+                UNION ALL
+
+                SELECT to_char(date_trunc($1, mc.date::timestamp), $2), c.campaign_id, 0, 0, 0, SUM(mc.spend)
+                FROM meta_costs mc
+                JOIN campaigns c ON c.campaign_id = mc.campaign_id
+                WHERE $1 <> 'hour' AND mc.date >= $3 AND mc.date <= $4
+                  AND ($6::varchar[] IS NULL OR mc.campaign_id = ANY($6))
+                GROUP BY 1, 2
+            ) raw
+            GROUP BY 1, 2
+        `, [grain, BUCKET_FORMATS[grain], options.start_date, options.end_date, timezone, campaignIds]);
+
+        return result.rows;
+    }
+
+    /**
+     * Validate an inclusive date range, returns an error message or null
+     */
+    validateRange(startDate, endDate) {
+        return validateDates(startDate, endDate);
+    }
+
+    /**
+     * Totals per campaign from the daily rollups
+     * @param {object} filters - start_date, end_date (optional, inclusive), campaign_id
+     */
+    async campaignReport(filters = {}) {
+        let query = `
+            SELECT
+                c.campaign_id,
+                c.name,
+                c.status,
+                c.daily_budget::float as daily_budget,
+                c.total_budget::float as total_budget,
+                SUM(p.clicks)::float as clicks,
+                SUM(p.conversions)::float as conversions,
+                SUM(p.conversion_value)::float as revenue,
+                SUM(p.cost)::float as cost,
+                SUM(p.impressions)::float as impressions,
+                COALESCE(SUM(p.conversions)::float / NULLIF(SUM(p.clicks), 0) * 100, 0) as conversion_rate,
+                COALESCE(SUM(p.conversion_value)::float / NULLIF(SUM(p.cost), 0), 0) as roas,
+                COALESCE(SUM(p.cost)::float / NULLIF(SUM(p.conversions), 0), 0) as cpa
+            FROM campaign_performance p
+            JOIN campaigns c ON c.campaign_id = p.campaign_id
+            WHERE 1=1
+        `;
+
+        const params = [];
+        if (filters.start_date) {
+            query += ` AND p.date >= $${params.length + 1}`;
+            params.push(filters.start_date);
+        }
+        if (filters.end_date) {
+            query += ` AND p.date <= $${params.length + 1}`;
+            params.push(filters.end_date);
+        }
+        if (filters.campaign_id) {
+            query += ` AND p.campaign_id = $${params.length + 1}`;
+            params.push(filters.campaign_id);
+        }
+
+        query += ' GROUP BY c.campaign_id, c.name, c.status, c.daily_budget, c.total_budget ORDER BY revenue DESC';
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Validate summary options, returns an error message or null
+     * @param {object} options - start_date, end_date, compare
+     */
+    validateSummary(options) {
+        const invalid = validateDates(options.start_date, options.end_date);
+        if (invalid) return invalid;
+        if (options.compare && !COMPARISONS.includes(options.compare)) {
+            return `compare must be one of ${COMPARISONS.join(', ')}`;
+        }
+        return null;
+    }
+
+    /**
+     * KPI totals for a range and a comparison range with absolute and
+     * percentage changes, read from the rollups. previous_period is the same
+     * number of days just before the range; previous_year is the same dates a
+     * year earlier (29 February maps to the 28th).
+     * @param {object} options - start_date, end_date, compare, campaign_id
+     */
+    async summary(options) {
+        const compare = options.compare || 'previous_period';
+
+        const ranges = await this.db.query(`
+            SELECT
+                CASE WHEN $3 = 'previous_year' THEN ($1::date - interval '1 year')::date
+                     ELSE $1::date - ($2::date - $1::date + 1) END::text as start_date,
+                CASE WHEN $3 = 'previous_year' THEN ($2::date - interval '1 year')::date
+                     ELSE $1::date - 1 END::text as end_date
+        `, [options.start_date, options.end_date, compare]);
+        const comparison = ranges.rows[0];
+
+        const current = await this.totals(options.start_date, options.end_date, options.campaign_id);
+        const previous = await this.totals(comparison.start_date, comparison.end_date, options.campaign_id);
+
+        const changes = {};
+        for (const kpi of KPIS) {
+            const now = current[kpi];
+            const before = previous[kpi];
+            changes[kpi] = {
+                current: now,
+                previous: before,
+                change: now !== null && before !== null ? now - before : null,
+                change_percent: now !== null && before ? (now - before) / Math.abs(before) * 100 : null
+            };
+        }
+
+        return {
+            compare,
+            current_range: { start_date: options.start_date, end_date: options.end_date },
+            comparison_range: comparison,
+            kpis: changes
+        };
+    }
+
+    async totals(startDate, endDate, campaignId) {
+        const result = await this.db.query(`
+            SELECT COALESCE(SUM(clicks), 0)::float as clicks,
+                   COALESCE(SUM(conversions), 0)::float as conversions,
+                   COALESCE(SUM(conversion_value), 0)::float as revenue,
+                   COALESCE(SUM(cost), 0)::float as spend
+            FROM campaign_performance
+            WHERE date >= $1 AND date <= $2
+              AND ($3::varchar IS NULL OR campaign_id = $3)
+        `, [startDate, endDate, campaignId || null]);
+
+        const row = result.rows[0];
+        return {
+            ...row,
+            conversion_rate: row.clicks ? row.conversions / row.clicks * 100 : null,
+            cpa: row.conversions ? row.spend / row.conversions : null,
+            roas: row.spend ? row.revenue / row.spend : null
+        };
+    }
+
+    /**
+     * Validate breakdown options, returns an error message or null
+     * @param {object} options - start_date, end_date, timezone, dimensions,
+     *   metrics, filters, sort, order, limit, offset
+     */
+    validateBreakdown(options) {
+        const { dimensions = [], metrics = [], filters = {}, timezone = ROLLUP_TIMEZONE } = options;
+
+        const invalid = validateDates(options.start_date, options.end_date);
+        if (invalid) return invalid;
+        if (dayCount(options.start_date, options.end_date) > MAX_BREAKDOWN_DAYS) {
+            return `Breakdowns cover at most ${MAX_BREAKDOWN_DAYS} days`;
+        }
+        if (!isValidTimezone(timezone)) return `Unknown timezone '${timezone}'`;
+
+        const names = Object.keys(DIMENSIONS).join(', ');
+        if (dimensions.length < 1 || dimensions.length > 2) return `Choose one or two dimensions from ${names}`;
+        if (new Set(dimensions).size !== dimensions.length) return 'dimensions must be different';
+        const unknown = dimensions.find(dimension => !DIMENSIONS[dimension]);
+        if (unknown) return `Unknown dimension '${unknown}', use one of ${names}`;
+
+        for (const [dimension, values] of Object.entries(filters)) {
+            if (!DIMENSIONS[dimension]) return `Unknown filter '${dimension}', use one of ${names}`;
+            if (!Array.isArray(values) || values.length === 0 || values.length > 100 ||
+                values.some(value => typeof value !== 'string')) {
+                return `filter ${dimension} must be a list of 1 to 100 values`;
+            }
+        }
+
+        const unknownMetric = metrics.find(metric => !METRICS.includes(metric));
+        if (unknownMetric) return `Unknown metric '${unknownMetric}', use one of ${METRICS.join(', ')}`;
+        if (!this.hasSpend(dimensions, filters) && metrics.some(metric => SPEND_METRICS.includes(metric))) {
+            return 'spend, cpa and roas need dimensions and filters limited to campaign, adset and ad';
+        }
+
+        const selected = this.breakdownMetrics(options);
+        if (options.sort && !selected.includes(options.sort) && !dimensions.includes(options.sort)) {
+            return 'sort must be one of the chosen dimensions or metrics';
+        }
+        if (options.order && !['asc', 'desc'].includes(options.order)) return 'order must be asc or desc';
+        if (options.limit !== undefined && (!Number.isInteger(options.limit) || options.limit < 1 ||
+            options.limit > MAX_BREAKDOWN_LIMIT)) {
+            return `limit must be between 1 and ${MAX_BREAKDOWN_LIMIT}`;
+        }
+        if (options.offset !== undefined && (!Number.isInteger(options.offset) || options.offset < 0)) {
+            return 'offset must be a non-negative integer';
+        }
+
+        return null;
+    }
+
+    /**
+     * Spend is daily per campaign, ad set and ad, so it can only be split and
+     * filtered by those
+     */
+    hasSpend(dimensions, filters = {}) {
+        return [...dimensions, ...Object.keys(filters)].every(dimension => DIMENSIONS[dimension].costColumn);
+    }
+
+    breakdownMetrics(options) {
+        if (options.metrics && options.metrics.length) return options.metrics;
+        return this.hasSpend(options.dimensions, options.filters)
+            ? METRICS
+            : METRICS.filter(metric => !SPEND_METRICS.includes(metric));
+    }
+
+    /**
+     * Metrics per value (or pair of values) of one or two click dimensions.
+     * Conversions are credited through their touchpoints' clicks, so a
+     * conversion splits across utm_content values the same way it does across
+     * campaigns.
+     * @returns {Promise<object>} rows for the requested page, total row count and totals
+     */
+    async breakdown(options) {
+        const query = this.breakdownQuery(options);
+        const limit = options.limit || 50;
+        const offset = options.offset || 0;
+
+        const params = [...query.params, limit, offset];
+        const result = await this.db.query(`
+            ${query.sql}
+            LIMIT $${params.length - 1} OFFSET $${params.length}
+        `, params);
+
+        const first = result.rows[0];
+        const totals = first
+            ? {
+                clicks: first.total_clicks,
+                conversions: first.total_conversions,
+                revenue: first.total_revenue,
+                spend: query.spend ? first.total_spend : null
+            }
+            : { clicks: 0, conversions: 0, revenue: 0, spend: query.spend ? 0 : null };
+        totals.conversion_rate = totals.clicks ? totals.conversions / totals.clicks * 100 : null;
+        totals.cpa = totals.spend !== null && totals.conversions ? totals.spend / totals.conversions : null;
+        totals.roas = totals.spend ? totals.revenue / totals.spend : null;
+
+        return {
+            start_date: options.start_date,
+            end_date: options.end_date,
+            timezone: query.timezone,
+            dimensions: query.dimensions,
+            metrics: query.metrics,
+            sort: query.sort,
+            order: query.order,
+            limit,
+            offset,
+            total_rows: first ? Number(first.total_rows) : 0,
+            totals: pick(totals, query.metrics),
+            rows: await this.breakdownRows(query, result.rows)
+        };
+    }
+
+    /**
+     * Every breakdown row in order, aggregated once and read through a cursor
+     * so exports neither rescan clicks per page nor hold all rows at once
+     * @param {Function} onRows - async (rows) => void, called per page; throwing stops the read
+     */
+    async eachBreakdownPage(options, pageSize, onRows) {
+        const query = this.breakdownQuery(options);
+
+        const client = await this.db.connect();
+        try {
+            await client.query('BEGIN READ ONLY');
+            await client.query(`DECLARE breakdown_rows NO SCROLL CURSOR FOR ${query.sql}`, query.params);
+
+            for (;;) {
+                const page = await client.query(`FETCH ${Number(pageSize)} FROM breakdown_rows`);
+                if (page.rows.length > 0) await onRows(await this.breakdownRows(query, page.rows));
+                if (page.rows.length < pageSize) break;
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Ordered breakdown SQL without paging, with grand totals on every row
+     * @returns {{sql: string, params: Array, dimensions: string[], metrics: string[],
+     *   spend: boolean, timezone: string, sort: string, order: string}}
+     */
+    breakdownQuery(options) {
+        const dimensions = options.dimensions;
+        const filters = options.filters || {};
+        const timezone = options.timezone || ROLLUP_TIMEZONE;
+        const metrics = this.breakdownMetrics(options);
+        const spend = this.hasSpend(dimensions, filters);
+
+        const params = [options.start_date, options.end_date, timezone];
+        const clickFilters = [];
+        const costFilters = [];
+        for (const [dimension, values] of Object.entries(filters)) {
+            params.push(values);
+            clickFilters.push(`AND NULLIF(cl.${DIMENSIONS[dimension].column}, '') = ANY($${params.length}::varchar[])`);
+            if (spend) costFilters.push(`AND NULLIF(mc.${DIMENSIONS[dimension].costColumn}, '') = ANY($${params.length}::varchar[])`);
+        }
+
+        // Dimension values are named d1 and d2 throughout; empty strings count as missing
+        const keys = dimensions.map((dimension, index) => `d${index + 1}`);
+        const clickKeys = dimensions.map((dimension, index) => `NULLIF(cl.${DIMENSIONS[dimension].column}, '') as d${index + 1}`);
+        const costKeys = dimensions.map((dimension, index) => `NULLIF(mc.${DIMENSIONS[dimension].costColumn}, '') as d${index + 1}`);
+        const groupKeys = keys.map((key, index) => index + 1).join(', ');
+
+        const costUnion = spend ? `
+                    UNION ALL
+
+                    SELECT ${costKeys.join(', ')}, 0, 0, 0, SUM(mc.spend)
+                    FROM meta_costs mc
+                    WHERE mc.date >= $1 AND mc.date <= $2
+                      AND mc.campaign_id IN (SELECT campaign_id FROM campaigns)
+                      ${costFilters.join('\n                      ')}
+                    GROUP BY ${groupKeys}` : '';
+
+        const sortColumn = options.sort || metrics[0];
+        const order = options.order === 'asc' ? 'ASC' : 'DESC';
+
+        const sql = `
+            WITH bounds AS (
+                SELECT ($1::timestamp AT TIME ZONE $3) AT TIME ZONE 'UTC' as start_utc,
+                       (($2::date + 1)::timestamp AT TIME ZONE $3) AT TIME ZONE 'UTC' as end_utc
+            ),
+            filtered_clicks AS (
+                SELECT cl.click_id, cl.interaction_type, cl.is_bot, ${clickKeys.join(', ')}
+                FROM clicks cl, bounds
+                WHERE cl.timestamp >= bounds.start_utc AND cl.timestamp < bounds.end_utc
+                  AND cl.campaign_id IS NOT NULL
+                  ${clickFilters.join('\n                  ')}
+            ),
+            totals AS (
+                SELECT ${keys.join(', ')},
+                       SUM(clicks)::float as clicks, SUM(conversions)::float as conversions,
+                       SUM(revenue)::float as revenue, SUM(spend)::float as spend
+                FROM (
+                    SELECT ${keys.join(', ')}, COUNT(*) as clicks, 0 as conversions, 0 as revenue, 0 as spend
+                    FROM filtered_clicks
+                    WHERE interaction_type = 'click' AND NOT is_bot
+                    GROUP BY ${groupKeys}
+
+                    UNION ALL
+
+                    SELECT ${keys.map(key => `fc.${key}`).join(', ')}, 0, SUM(at.attribution_weight),
+                           SUM(at.attribution_weight * co.conversion_value), 0
+                    FROM filtered_clicks fc
+                    JOIN attribution_touchpoints at ON at.click_id = fc.click_id
+                    JOIN conversions co ON co.conversion_id = at.conversion_id
+                    GROUP BY ${groupKeys}${costUnion}
+                ) raw
+                GROUP BY ${groupKeys}
+            ),
+            metrics AS (
+                SELECT *,
+                       conversions / NULLIF(clicks, 0) * 100 as conversion_rate,
+                       spend / NULLIF(conversions, 0) as cpa,
+                       revenue / NULLIF(spend, 0) as roas
+                FROM totals
+            )
+            SELECT *,
+                   COUNT(*) OVER () as total_rows,
+                   SUM(clicks) OVER () as total_clicks,
+                   SUM(conversions) OVER () as total_conversions,
+                   SUM(revenue) OVER () as total_revenue,
+                   SUM(spend) OVER () as total_spend
+            FROM metrics
+            ORDER BY ${dimensions.includes(sortColumn) ? `d${dimensions.indexOf(sortColumn) + 1}` : sortColumn} ${order} NULLS LAST,
+                     ${keys.map(key => `${key} NULLS LAST`).join(', ')}`;
+
+        return { sql, params, dimensions, metrics, spend, timezone, sort: sortColumn, order: order.toLowerCase() };
+    }
+
+    /**
+     * Result rows keyed by dimension, with names for ID dimensions
+     */
+    async breakdownRows(query, rows) {
+        const names = await this.dimensionNames(query.dimensions, rows);
+        return rows.map(row => {
+            const out = {};
+            query.dimensions.forEach((dimension, index) => {
+                const value = row[`d${index + 1}`];
+                out[dimension] = value;
+                if (DIMENSION_NAMES[dimension]) out[`${dimension}_name`] = names[dimension].get(value) || null;
+            });
+            return { ...out, ...pick(row, query.metrics) };
+        });
+    }
+
+    /**
+     * Campaign, ad set and ad names for the ID dimensions on a page of rows
+     */
+    async dimensionNames(dimensions, rows) {
+        const names = {};
+        for (const [index, dimension] of dimensions.entries()) {
+            const lookup = DIMENSION_NAMES[dimension];
+            if (!lookup) continue;
+
+            const ids = [...new Set(rows.map(row => row[`d${index + 1}`]).filter(Boolean))];
+            const result = ids.length > 0
+                ? await this.db.query(`SELECT ${lookup.column} as id, name FROM ${lookup.table} WHERE ${lookup.column} = ANY($1)`, [ids])
+                : { rows: [] };
+            names[dimension] = new Map(result.rows.map(row => [row.id, row.name]));
+        }
+        return names;
+    }
+}
+
+Reporting.GRAINS = GRAINS;
+Reporting.DIMENSIONS = Object.keys(DIMENSIONS);
+Reporting.METRICS = METRICS;
+Reporting.COMPARISONS = COMPARISONS;
+Reporting.NAMED_DIMENSIONS = Object.keys(DIMENSION_NAMES);
+Reporting.MAX_BREAKDOWN_LIMIT = MAX_BREAKDOWN_LIMIT;
+
+function pick(source, fields) {
+    return Object.fromEntries(fields.map(field => [field, source[field] ?? null]));
+}
+
+function validateDates(startDate, endDate) {
+    if (!startDate || !endDate) return 'start_date and end_date required';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || !/^\d{4}-\d{2}-\d{2}$/.test(endDate) ||
+        isNaN(Date.parse(startDate)) || isNaN(Date.parse(endDate))) {
+        return 'Dates must be YYYY-MM-DD';
+    }
+    if (startDate > endDate) return 'start_date must not be after end_date';
+    return null;
+}
+
+function dayCount(startDate, endDate) {
+    return (Date.parse(endDate) - Date.parse(startDate)) / (24 * 60 * 60 * 1000) + 1;
+}
+
+function toPoint(bucket, row, grain) {
+    const clicks = row ? row.clicks : 0;
+    const conversions = row ? row.conversions : 0;
+    const revenue = row ? row.revenue : 0;
+    const spend = grain === 'hour' ? null : (row ? row.spend : 0);
+
+    return {
+        bucket,
+        clicks,
+        conversions,
+        revenue,
+        spend,
+        cpa: spend !== null && conversions > 0 ? spend / conversions : null,
+        roas: spend ? revenue / spend : null
+    };
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = Reporting;
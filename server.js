@@ -10,9 +10,32 @@ const { Pool } = require('pg');
 const crypto = require('crypto');
 const axios = require('axios');
 const rateLimit = require('express-rate-limit');
+const TrackingLinks = require('./tracking_links');
+const Campaigns = require('./campaigns');
+const PostbackAuth = require('./postback_auth');
+const AttributionEngine = require('./attribution_engine');
+const AttributionWindows = require('./attribution_windows');
+const IdentityGraph = require('./identity_graph');
+const CapiQueue = require('./capi_queue');
+const ConversionDestinations = require('./conversion_destinations');
+const GoogleAdsConversions = require('./google_ads_conversions');
+const MetaCostSync = require('./meta_cost_sync');
+const MetaCampaignImport = require('./meta_campaign_import');
+const PerformanceRollups = require('./performance_rollups');
+const JobScheduler = require('./job_scheduler');
+const Reporting = require('./reporting');
+const ReportExport = require('./report_export');
+const ConversionJourneys = require('./conversion_journeys');
+const GeoIP = require('./geo_ip');
+const { parseUserAgent, backfillUserAgents } = require('./user_agent');
 
 const app = express();
 
+// Proxies whose X-Forwarded-For is believed when working out the client IP.
+// The default covers nginx on the same host or docker network; set TRUST_PROXY
+// to a hop count, addresses/subnets or false when deployed differently.
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal'));
+
 // Database connection
 const pool = new Pool({
     user: process.env.DB_USER || 'postgres',
@@ -22,10 +45,70 @@ const pool = new Pool({
     port: process.env.DB_PORT || 5432,
 });
 
+const trackingLinks = new TrackingLinks(pool);
+const geoIP = new GeoIP(pool);
+const campaigns = new Campaigns(pool);
+const attributionWindows = new AttributionWindows(pool);
+const identityGraph = new IdentityGraph(pool, {
+    ipMatching: process.env.IDENTITY_IP_MATCHING === 'true',
+    ipMinConfidence: parseFloat(process.env.IDENTITY_IP_MIN_CONFIDENCE || '0.5'),
+    ipWindowHours: parseInt(process.env.IDENTITY_IP_WINDOW_HOURS || '24', 10)
+});
+const performanceRollups = new PerformanceRollups(pool);
+const attributionEngine = new AttributionEngine(pool, {
+    windows: attributionWindows,
+    identityGraph,
+    rollups: performanceRollups
+});
+const conversionJourneys = new ConversionJourneys(pool, { attributionEngine });
+const conversionDestinations = new ConversionDestinations(pool);
+const capiQueue = new CapiQueue(pool, conversionDestinations, {
+    batchSize: parseInt(process.env.CAPI_BATCH_SIZE || '1000', 10),
+    intervalMs: parseInt(process.env.CAPI_QUEUE_INTERVAL_MS || '5000', 10),
+    maxAttempts: parseInt(process.env.CAPI_MAX_ATTEMPTS || '8', 10)
+});
+const googleAds = new GoogleAdsConversions(pool, {
+    customerId: process.env.GOOGLE_ADS_CUSTOMER_ID,
+    loginCustomerId: process.env.GOOGLE_ADS_LOGIN_CUSTOMER_ID,
+    developerToken: process.env.GOOGLE_ADS_DEVELOPER_TOKEN,
+    accessToken: process.env.GOOGLE_ADS_ACCESS_TOKEN,
+    clientId: process.env.GOOGLE_ADS_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_ADS_CLIENT_SECRET,
+    refreshToken: process.env.GOOGLE_ADS_REFRESH_TOKEN,
+    conversionActions: GoogleAdsConversions.parseMapping(process.env.GOOGLE_ADS_CONVERSION_ACTIONS),
+    conversionNames: GoogleAdsConversions.parseMapping(process.env.GOOGLE_ADS_CONVERSION_NAMES),
+    baseUrl: process.env.GOOGLE_ADS_API_BASE_URL,
+    oauthUrl: process.env.GOOGLE_ADS_OAUTH_URL,
+    apiVersion: process.env.GOOGLE_ADS_API_VERSION
+});
+const reporting = new Reporting(pool);
+const reportExport = new ReportExport(pool, { reporting });
+const metaCostSync = new MetaCostSync(pool, {
+    trailingDays: parseInt(process.env.META_COST_TRAILING_DAYS || '3', 10),
+    asyncThresholdDays: parseInt(process.env.META_COST_ASYNC_THRESHOLD_DAYS || '7', 10),
+    apiVersion: process.env.META_API_VERSION,
+    baseUrl: process.env.META_GRAPH_URL,
+    rollups: performanceRollups
+});
+const metaCampaignImport = new MetaCampaignImport(pool, {
+    apiVersion: process.env.META_API_VERSION,
+    baseUrl: process.env.META_GRAPH_URL,
+    rollups: performanceRollups
+});
+const jobScheduler = new JobScheduler(pool, {
+    intervalMs: parseInt(process.env.SCHEDULER_INTERVAL_MS || '30000', 10),
+    polling: process.env.SCHEDULER_ENABLED !== 'false'
+});
+const postbackAuth = new PostbackAuth(pool, process.env.API_SECRET_KEY, {
+    toleranceSeconds: parseInt(process.env.POSTBACK_TOLERANCE_SECONDS || '300', 10)
+});
+
 // Middleware
 app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw body around for postback signature checks
+const captureRawBody = (req, res, buf) => { req.rawBody = buf.toString('utf8'); };
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
 // Rate limiting
 const trackingLimiter = rateLimit({
@@ -34,6 +117,14 @@ const trackingLimiter = rateLimit({
     message: 'Too many tracking requests'
 });
 
+// Repeat conversions with the same event_id or external_id inside this window are dropped
+const CONVERSION_DEDUP_WINDOW_HOURS = parseInt(process.env.CONVERSION_DEDUP_WINDOW_HOURS || '24', 10);
+
+// Conversion types the unauthenticated browser route accepts (empty = all);
+// anything else has to come through a signed postback
+const BROWSER_CONVERSION_TYPES = (process.env.BROWSER_CONVERSION_TYPES || '')
+    .split(',').map(type => type.trim()).filter(Boolean);
+
 // Utility functions
 const Utils = {
     generateId: () => {
@@ -44,66 +135,27 @@ const Utils = {
         return crypto.createHash('sha256').update(email.toLowerCase().trim()).digest('hex');
     },
 
+    // Visitor IP: the nearest X-Forwarded-For entry not added by a trusted
+    // proxy (see 'trust proxy'), without the IPv4-mapped IPv6 prefix
     getClientIP: (req) => {
-        return req.headers['x-forwarded-for'] || 
-               req.connection.remoteAddress || 
-               req.socket.remoteAddress ||
-               (req.connection.socket ? req.connection.socket.remoteAddress : null);
+        return GeoIP.normalizeIP(req.ip || req.socket.remoteAddress);
     },
 
-    parseUserAgent: (userAgent) => {
-        // Simple user agent parsing - in production use a library like 'ua-parser-js'
-        const mobile = /Mobile|Android|iPhone|iPad/.test(userAgent);
-        const browser = userAgent.includes('Chrome') ? 'Chrome' : 
-                       userAgent.includes('Firefox') ? 'Firefox' : 
-                       userAgent.includes('Safari') ? 'Safari' : 'Unknown';
-
-        return {
-            isMobile: mobile,
-            browser: browser,
-            full: userAgent
-        };
+    // Comma-separated query parameter as a list of non-empty values
+    parseList: (value) => {
+        if (value === undefined || value === null || value === '') return [];
+        return String(value).split(',').map(item => item.trim()).filter(Boolean);
     }
 };
 
-// Attribution Models
-const AttributionModels = {
-    lastClick: (touchpoints) => {
-        if (touchpoints.length === 0) return [];
-        return [{ ...touchpoints[touchpoints.length - 1], weight: 1.0 }];
-    },
-
-    firstClick: (touchpoints) => {
-        if (touchpoints.length === 0) return [];
-        return [{ ...touchpoints[0], weight: 1.0 }];
-    },
-
-    linear: (touchpoints) => {
-        if (touchpoints.length === 0) return [];
-        const weight = 1.0 / touchpoints.length;
-        return touchpoints.map(tp => ({ ...tp, weight }));
-    },
-
-    timeDecay: (touchpoints) => {
-        if (touchpoints.length === 0) return [];
-        const now = Date.now();
-        const halfLife = 7 * 24 * 60 * 60 * 1000; // 7 days
-
-        let totalWeight = 0;
-        const weightedTouchpoints = touchpoints.map(tp => {
-            const age = now - new Date(tp.timestamp).getTime();
-            const weight = Math.pow(0.5, age / halfLife);
-            totalWeight += weight;
-            return { ...tp, rawWeight: weight };
-        });
-
-        // Normalize weights
-        return weightedTouchpoints.map(tp => ({
-            ...tp,
-            weight: tp.rawWeight / totalWeight
-        }));
-    }
-};
+// TRUST_PROXY as Express reads it: true/false, a hop count, or a
+// comma-separated list of addresses, subnets and names like 'loopback'
+function parseTrustProxy(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    return value;
+}
 
 // API Endpoints
 
@@ -113,7 +165,6 @@ app.post('/api/track/click', trackingLimiter, async (req, res) => {
         const {
             click_id,
             session_id,
-            campaign_id,
             ad_id,
             adset_id,
             utm_source,
@@ -121,188 +172,582 @@ app.post('/api/track/click', trackingLimiter, async (req, res) => {
             utm_campaign,
             utm_content,
             utm_term,
-            fb_click_id
+            fb_click_id,
+            fbp,
+            fbc,
+            gclid,
+            gbraid,
+            wbraid,
+            msclkid,
+            interaction_type = 'click'
         } = req.body;
 
+        if (!['click', 'view'].includes(interaction_type)) {
+            return res.status(400).json({ success: false, error: "interaction_type must be 'click' or 'view'" });
+        }
+
+        // Meta campaign IDs from URL macros map to our campaigns; a Meta ID we
+        // haven't imported yet is held on the click until the next import
+        const { campaign_id, unresolved_campaign_id } = await metaCampaignImport.resolveCampaignId(req.body.campaign_id);
+
         const clientIP = Utils.getClientIP(req);
         const userAgent = req.headers['user-agent'] || '';
-        const deviceInfo = Utils.parseUserAgent(userAgent);
+        const device = parseUserAgent(userAgent);
+        const geo = await geoIP.lookup(clientIP) || {};
 
-        // Insert click record
+        // Insert click record. A repeated click_id moves the click to today, so
+        // the day it was on before needs its rollup rebuilt. Bot clicks are
+        // stored flagged and skipped by reports and attribution.
         const query = `
+            WITH previous AS (
+                SELECT timestamp::date::text as date FROM clicks WHERE click_id = $1
+            )
             INSERT INTO clicks (
                 click_id, campaign_id, ad_id, adset_id, user_ip, user_agent,
                 referrer_url, landing_page, utm_source, utm_medium, utm_campaign,
-                utm_content, utm_term, fb_click_id, device_type
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+                utm_content, utm_term, fb_click_id, device_type, interaction_type,
+                browser_id, fbc, gclid, gbraid, wbraid, msclkid, country_code, region, city,
+                browser, browser_version, os, os_version, in_app_browser, is_bot, bot_name,
+                unresolved_campaign_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18,
+                      $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33)
             ON CONFLICT (click_id) DO UPDATE SET
                 timestamp = NOW()
+            RETURNING (SELECT date FROM previous) as previous_date, timestamp::date::text as date
         `;
 
         const values = [
             click_id, campaign_id, ad_id, adset_id, clientIP, userAgent,
             req.body.referrer || '', req.body.url || '', utm_source, utm_medium,
-            utm_campaign, utm_content, utm_term, fb_click_id, 
-            deviceInfo.isMobile ? 'mobile' : 'desktop'
+            utm_campaign, utm_content, utm_term, fb_click_id || null, device.device_type, interaction_type,
+            fbp || null, fbc || null, gclid || null, gbraid || null, wbraid || null, msclkid || null,
+            geo.country_code || null, geo.region || null, geo.city || null,
+            device.browser, device.browser_version, device.os, device.os_version, device.in_app_browser,
+            device.is_bot, device.bot_name, unresolved_campaign_id
         ];
 
-        await pool.query(query, values);
+        const inserted = await pool.query(query, values);
+        const { previous_date, date } = inserted.rows[0];
+        if (previous_date) {
+            await performanceRollups.markDirty([previous_date, date]);
+        }
 
-        // Update session data
-        if (session_id) {
+        // Update session data; bots don't join sessions or the identity graph
+        if (session_id && !device.is_bot) {
             const sessionQuery = `
-                INSERT INTO user_sessions (session_id, first_click_id, last_click_id, session_start, session_end)
-                VALUES ($1, $2, $3, NOW(), NOW())
+                INSERT INTO user_sessions (session_id, first_click_id, last_click_id, session_start, session_end, total_pageviews)
+                VALUES ($1, $2, $3, NOW(), NOW(), 0)
                 ON CONFLICT (session_id) DO UPDATE SET
                     last_click_id = $3,
-                    session_end = NOW(),
-                    total_pageviews = user_sessions.total_pageviews + 1
+                    session_end = NOW()
             `;
             await pool.query(sessionQuery, [session_id, click_id, click_id]);
         }
 
-        res.json({ success: true, click_id });
+        if (!device.is_bot) {
+            await linkIdentity({ click_id, session_id, browser_id: fbp }, 'click');
+        }
+
+        // Tell the pixel how long to keep the click cookie for this campaign
+        const windowSettings = await attributionWindows.getSettings();
+        const attribution_window_days = attributionWindows.cookieDays(windowSettings, campaign_id);
+
+        res.json({ success: true, click_id, attribution_window_days });
     } catch (error) {
         console.error('Error tracking click:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// Redirect tracking links: record the click server-side, then send the visitor on.
+// Paused and archived links still redirect but no longer record clicks.
+app.get('/r/:link_id', async (req, res) => {
+    let link;
+    try {
+        link = await trackingLinks.getLink(req.params.link_id);
+    } catch (error) {
+        console.error('Error loading tracking link:', error);
+        return res.status(500).send('Tracking link unavailable');
+    }
+
+    if (!link) {
+        return res.status(404).send('Tracking link not found');
+    }
+
+    if (link.status !== 'ACTIVE') {
+        return res.redirect(302, trackingLinks.buildRedirectUrl(link.destination_url, req.query));
+    }
+
+    try {
+        const userAgent = req.headers['user-agent'] || '';
+        const clientIP = Utils.getClientIP(req);
+        const { redirect_url } = await trackingLinks.recordClick(link, {
+            ip: clientIP,
+            userAgent,
+            referrer: req.headers['referer'] || '',
+            device: parseUserAgent(userAgent),
+            geo: await geoIP.lookup(clientIP),
+            query: req.query
+        });
+        res.redirect(302, redirect_url);
+    } catch (error) {
+        // Never strand a paid visitor because tracking failed
+        console.error('Error recording tracking link click:', error);
+        res.redirect(302, trackingLinks.buildRedirectUrl(link.destination_url, req.query));
+    }
+});
+
+// Track page views
+app.post('/api/track/pageview', trackingLimiter, async (req, res) => {
+    try {
+        const { session_id, click_id, url, title, referrer } = req.body;
+
+        if (!url) {
+            return res.status(400).json({ success: false, error: 'URL required' });
+        }
+
+        await pool.query(`
+            INSERT INTO pageviews (session_id, click_id, url, title, referrer, user_ip, user_agent)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [
+            session_id || null, click_id || null, url, title || '', referrer || '',
+            Utils.getClientIP(req), req.headers['user-agent'] || ''
+        ]);
+
+        // Pageviews are counted here; the click endpoint only opens the session
+        if (session_id) {
+            await pool.query(`
+                INSERT INTO user_sessions (session_id, session_start, session_end, total_pageviews)
+                VALUES ($1, NOW(), NOW(), 1)
+                ON CONFLICT (session_id) DO UPDATE SET
+                    session_end = NOW(),
+                    total_pageviews = user_sessions.total_pageviews + 1
+            `, [session_id]);
+            await linkIdentity({ click_id, session_id }, 'pageview');
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error tracking pageview:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Track custom events
+app.post('/api/track/event', trackingLimiter, async (req, res) => {
+    try {
+        const { event_name, session_id, click_id, event_data, url } = req.body;
+
+        if (!event_name) {
+            return res.status(400).json({ success: false, error: 'Event name required' });
+        }
+
+        await pool.query(`
+            INSERT INTO events (event_name, session_id, click_id, event_data, url, user_ip, user_agent)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [
+            event_name, session_id || null, click_id || null,
+            JSON.stringify(event_data || {}), url || '',
+            Utils.getClientIP(req), req.headers['user-agent'] || ''
+        ]);
+
+        if (session_id) {
+            await pool.query(
+                'UPDATE user_sessions SET session_end = NOW() WHERE session_id = $1',
+                [session_id]
+            );
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error tracking event:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Tie a visitor to known identifiers (login, signup, checkout) so journeys
+// can be stitched across sessions and devices
+app.post('/api/track/identify', trackingLimiter, async (req, res) => {
+    try {
+        const { click_id, session_id, email, phone, external_id } = req.body;
+        const identifiers = { click_id, session_id, email, phone, external_id };
+
+        if (identityGraph.normalize(identifiers).length < 2) {
+            return res.status(400).json({ success: false, error: 'At least two identifiers required' });
+        }
+
+        const { person_id } = await identityGraph.link(identifiers, 'identify');
+        res.json({ success: true, person_id });
+    } catch (error) {
+        console.error('Error identifying visitor:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Track conversions
 app.post('/api/track/conversion', trackingLimiter, async (req, res) => {
     try {
-        const {
-            click_id,
-            conversion_type,
-            conversion_value,
-            currency,
-            customer_email,
-            customer_phone,
-            external_id,
-            attribution_model = 'last_click'
-        } = req.body;
+        const { click_id, conversion_type } = req.body;
 
         if (!click_id) {
             return res.status(400).json({ success: false, error: 'Click ID required' });
         }
 
-        const conversion_id = Utils.generateId();
+        if (BROWSER_CONVERSION_TYPES.length > 0 && !BROWSER_CONVERSION_TYPES.includes(conversion_type)) {
+            return res.status(403).json({
+                success: false,
+                error: `Conversion type '${conversion_type}' must be sent through the signed postback endpoint`
+            });
+        }
+
+        const result = await recordConversion(req.body, 'pixel', {
+            client_ip: Utils.getClientIP(req),
+            client_user_agent: req.headers['user-agent']
+        });
+        res.status(result.status || 200).json(result.body);
+    } catch (error) {
+        console.error('Error tracking conversion:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Signed server-to-server conversion postback for backends and CRMs
+app.post('/api/postback/conversion', postbackAuth.middleware(), async (req, res) => {
+    try {
+        if (!req.body.click_id) {
+            return res.status(400).json({ success: false, error: 'Click ID required' });
+        }
+
+        const result = await recordConversion(req.body, 's2s');
+        res.status(result.status || 200).json(result.body);
+    } catch (error) {
+        console.error('Error tracking postback conversion:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET postback for affiliate networks, authenticated by the per-network token
+// from /api/postback/template. Networks retry, so pass txid for deduplication.
+app.get('/api/postback', async (req, res) => {
+    try {
+        const { network, token, click_id, payout, currency, txid, type } = req.query;
+
+        if (!postbackAuth.verifyNetworkToken(network, token)) {
+            return res.status(401).json({ success: false, error: 'Invalid postback token' });
+        }
+        if (!click_id) {
+            return res.status(400).json({ success: false, error: 'Click ID required' });
+        }
+
+        const result = await recordConversion({
+            click_id,
+            conversion_type: type || 'purchase',
+            conversion_value: parseFloat(payout) || 0,
+            currency,
+            external_id: txid
+        }, `postback:${network}`);
+        res.status(result.status || 200).json(result.body);
+    } catch (error) {
+        console.error('Error tracking network postback:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Postback URL template for a network (signed request, since the token grants write access)
+app.get('/api/postback/template', postbackAuth.middleware(), (req, res) => {
+    const { network } = req.query;
+    if (!network) {
+        return res.status(400).json({ success: false, error: 'Network required' });
+    }
+
+    const base = (process.env.TRACKING_DOMAIN || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+    res.json({ success: true, network, url: postbackAuth.buildPostbackTemplate(base, network) });
+});
+
+// Store a conversion against its click, attribute it and forward it to Meta.
+// Browser routes pass the visitor's IP and user agent as context for CAPI matching.
+// Returns the HTTP status and body for the calling route.
+async function recordConversion(data, source, context = {}) {
+    const {
+        click_id,
+        session_id,
+        conversion_type,
+        conversion_value,
+        currency,
+        customer_email,
+        customer_phone,
+        external_id,
+        event_id,
+        attribution_model = 'last_click'
+    } = data;
+
+    if (!attributionEngine.models[attribution_model]) {
+        return { status: 400, body: { success: false, error: `Unknown attribution model '${attribution_model}'` } };
+    }
+
+    // Get the click data
+    const clickQuery = 'SELECT * FROM clicks WHERE click_id = $1';
+    const clickResult = await pool.query(clickQuery, [click_id]);
+
+    if (clickResult.rows.length === 0) {
+        return { status: 404, body: { success: false, error: 'Click not found' } };
+    }
+
+    const clickData = clickResult.rows[0];
+
+    // Locate pixel conversions by the browser's IP; server postbacks come from
+    // the advertiser's backend, so they take the click's location
+    const geo = (context.client_ip && await geoIP.lookup(context.client_ip)) || clickData;
+
+    // Insert conversion unless it duplicates a recent one
+    const { conversion_id, event_id: forwardedEventId, duplicate } = await insertConversionOnce({
+        click_id,
+        campaign_id: clickData.campaign_id,
+        conversion_type,
+        conversion_value: conversion_value || 0,
+        currency: currency || 'USD',
+        customer_email: customer_email ? Utils.hashEmail(customer_email) : null,
+        customer_phone,
+        external_id: external_id || null,
+        event_id: event_id || null,
+        attribution_model,
+        source,
+        country_code: geo.country_code || null,
+        region: geo.region || null,
+        city: geo.city || null
+    });
+
+    if (duplicate) {
+        return { body: { success: true, conversion_id, duplicate: true } };
+    }
+
+    // Link the converting click to the customer before building its journey
+    await linkIdentity({
+        click_id,
+        session_id,
+        browser_id: data.fbp || clickData.browser_id,
+        email: customer_email,
+        phone: customer_phone,
+        external_id
+    }, 'conversion');
+
+    // Credit the customer journey; a failed attribution must not lose the conversion
+    try {
+        await attributionEngine.processAttribution(conversion_id, attribution_model);
+    } catch (error) {
+        console.error(`Attribution failed for conversion ${conversion_id}:`, error.message);
+    }
+
+    // Queue for each destination with the same event_id the browser pixel used
+    await forwardConversion({
+        conversion_id,
+        event_id: forwardedEventId,
+        conversion_type,
+        conversion_value,
+        currency,
+        external_id,
+        timestamp: new Date()
+    }, clickData, {
+        ...data,
+        ...context,
+        event_source_url: data.event_source_url || data.url
+    });
+
+    return { body: { success: true, conversion_id } };
+}
+
+// Add identifiers to the identity graph. Tracking must not fail because linking
+// did, so errors are only logged.
+async function linkIdentity(identifiers, source) {
+    try {
+        await identityGraph.link(identifiers, source);
+    } catch (error) {
+        console.error(`Error linking identity from ${source}:`, error.message);
+    }
+}
+
+// Insert a conversion, or return the original if it was already recorded within
+// the dedup window. Duplicates are matched on event_id, or on external_id for the
+// same conversion type. An advisory lock per key keeps concurrent retries from racing.
+async function insertConversionOnce(conversion) {
+    const dedupKeys = [
+        conversion.event_id ? `event:${conversion.event_id}` : null,
+        conversion.external_id ? `external:${conversion.conversion_type}:${conversion.external_id}` : null
+    ].filter(Boolean).sort();
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
 
-        // Get the click data
-        const clickQuery = 'SELECT * FROM clicks WHERE click_id = $1';
-        const clickResult = await pool.query(clickQuery, [click_id]);
+        for (const key of dedupKeys) {
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [key]);
+        }
+
+        if (dedupKeys.length > 0) {
+            const existing = await client.query(`
+                SELECT conversion_id, event_id FROM conversions
+                WHERE (event_id = $1 OR (external_id = $2 AND conversion_type = $3))
+                  AND timestamp >= NOW() - make_interval(hours => $4)
+                ORDER BY timestamp ASC
+                LIMIT 1
+            `, [
+                conversion.event_id,
+                conversion.external_id,
+                conversion.conversion_type,
+                CONVERSION_DEDUP_WINDOW_HOURS
+            ]);
 
-        if (clickResult.rows.length === 0) {
-            return res.status(404).json({ success: false, error: 'Click not found' });
+            if (existing.rows.length > 0) {
+                await client.query('COMMIT');
+                return { ...existing.rows[0], duplicate: true };
+            }
         }
 
-        const clickData = clickResult.rows[0];
+        const conversion_id = Utils.generateId();
+        const event_id = conversion.event_id || conversion_id;
 
-        // Insert conversion
-        const conversionQuery = `
+        await client.query(`
             INSERT INTO conversions (
                 conversion_id, click_id, campaign_id, conversion_type,
                 conversion_value, currency, customer_email, customer_phone,
-                external_id, attribution_model
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-        `;
-
-        await pool.query(conversionQuery, [
-            conversion_id, click_id, clickData.campaign_id, conversion_type,
-            conversion_value || 0, currency || 'USD',
-            customer_email ? Utils.hashEmail(customer_email) : null,
-            customer_phone, external_id, attribution_model
+                external_id, event_id, attribution_model, source, country_code, region, city
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        `, [
+            conversion_id, conversion.click_id, conversion.campaign_id, conversion.conversion_type,
+            conversion.conversion_value, conversion.currency, conversion.customer_email,
+            conversion.customer_phone, conversion.external_id, event_id, conversion.attribution_model,
+            conversion.source, conversion.country_code, conversion.region, conversion.city
         ]);
 
-        // Handle multi-touch attribution if needed
-        if (attribution_model !== 'last_click') {
-            await handleMultiTouchAttribution(conversion_id, click_id, attribution_model);
-        }
-
-        // Send to Meta Conversions API
-        await sendToMetaAPI({
-            event_name: conversion_type,
-            event_time: Math.floor(Date.now() / 1000),
-            user_data: {
-                em: customer_email ? [Utils.hashEmail(customer_email)] : undefined,
-                ph: customer_phone ? [customer_phone] : undefined,
-                client_ip_address: clickData.user_ip,
-                client_user_agent: clickData.user_agent,
-                fbc: clickData.fb_click_id ? `fb.1.${Date.now()}.${clickData.fb_click_id}` : undefined
-            },
-            custom_data: {
-                value: conversion_value || 0,
-                currency: currency || 'USD'
-            }
-        });
+        await client.query('COMMIT');
+        return { conversion_id, event_id, duplicate: false };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Conversions, newest first (start_date, end_date, campaign_id credited,
+// conversion_type, search by conversion or click ID prefix, limit, offset)
+app.get('/api/conversions', async (req, res) => {
+    try {
+        const filters = {
+            start_date: req.query.start_date,
+            end_date: req.query.end_date,
+            campaign_id: req.query.campaign_id,
+            conversion_type: req.query.conversion_type,
+            search: req.query.search,
+            limit: req.query.limit !== undefined ? Number(req.query.limit) : undefined,
+            offset: req.query.offset !== undefined ? Number(req.query.offset) : undefined
+        };
+
+        const invalid = conversionJourneys.validateListFilters(filters);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
 
-        res.json({ success: true, conversion_id });
+        const data = await conversionJourneys.listConversions(filters);
+        res.json({ success: true, data });
     } catch (error) {
-        console.error('Error tracking conversion:', error);
+        console.error('Error listing conversions:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Handle multi-touch attribution
-async function handleMultiTouchAttribution(conversion_id, final_click_id, model) {
+// Touchpoints behind a conversion's attribution: match type, time to
+// conversion, stored weight and the weight under each other model
+app.get('/api/conversions/:conversion_id/journey', async (req, res) => {
     try {
-        // Get the session data to find all touchpoints
-        const sessionQuery = `
-            SELECT c.* FROM clicks c
-            JOIN user_sessions s ON (s.first_click_id = c.click_id OR s.last_click_id = c.click_id)
-            WHERE s.session_id IN (
-                SELECT us.session_id FROM user_sessions us
-                JOIN clicks cl ON (us.first_click_id = cl.click_id OR us.last_click_id = cl.click_id)
-                WHERE cl.click_id = $1
-            )
-            ORDER BY c.timestamp ASC
-        `;
+        const data = await conversionJourneys.getJourney(req.params.conversion_id);
+        if (!data) {
+            return res.status(404).json({ success: false, error: 'Conversion not found' });
+        }
+
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Error getting conversion journey:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        const touchpoints = await pool.query(sessionQuery, [final_click_id]);
-        const attributedTouchpoints = AttributionModels[model] ? 
-            AttributionModels[model](touchpoints.rows) : 
-            AttributionModels.lastClick(touchpoints.rows);
+// Re-run attribution for one conversion
+app.post('/api/attribution/process', async (req, res) => {
+    try {
+        const { conversion_id, model = 'last_click', options = {} } = req.body;
 
-        // Insert attribution data
-        for (let i = 0; i < attributedTouchpoints.length; i++) {
-            const tp = attributedTouchpoints[i];
-            await pool.query(`
-                INSERT INTO attribution_touchpoints 
-                (conversion_id, click_id, position_in_journey, attribution_weight)
-                VALUES ($1, $2, $3, $4)
-            `, [conversion_id, tp.click_id, i + 1, tp.weight]);
+        if (!conversion_id) {
+            return res.status(400).json({ success: false, error: 'Conversion ID required' });
         }
+        if (!attributionEngine.models[model]) {
+            return res.status(400).json({ success: false, error: `Unknown attribution model '${model}'` });
+        }
+
+        const conversion = await attributionEngine.getConversionData(conversion_id);
+        if (!conversion) {
+            return res.status(404).json({ success: false, error: 'Conversion not found' });
+        }
+
+        const result = await attributionEngine.processAttribution(conversion_id, model, options);
+        res.json(result);
     } catch (error) {
-        console.error('Error handling multi-touch attribution:', error);
+        console.error('Error processing attribution:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
-}
+});
 
-// Send data to Meta Conversions API
-async function sendToMetaAPI(eventData) {
+// Re-run attribution for a list of conversions, or every conversion in a date range
+app.post('/api/attribution/batch', async (req, res) => {
     try {
-        const config = await getMetaAPIConfig();
-        if (!config || !config.pixel_id || !config.access_token) {
-            console.log('Meta API not configured, skipping CAPI send');
-            return;
-        }
+        const { conversion_ids, start_date, end_date, model = 'last_click', options = {} } = req.body;
 
-        const payload = {
-            data: [eventData],
-            test_event_code: process.env.META_TEST_CODE || undefined
-        };
+        if (!attributionEngine.models[model]) {
+            return res.status(400).json({ success: false, error: `Unknown attribution model '${model}'` });
+        }
 
-        const response = await axios.post(
-            `https://graph.facebook.com/v18.0/${config.pixel_id}/events`,
-            payload,
-            {
-                params: { access_token: config.access_token },
-                headers: { 'Content-Type': 'application/json' }
+        let ids = conversion_ids;
+        if (!Array.isArray(ids)) {
+            if (!start_date || !end_date) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'conversion_ids array or start_date and end_date required'
+                });
             }
-        );
 
-        console.log('Meta CAPI response:', response.data);
+            const result = await pool.query(
+                'SELECT conversion_id FROM conversions WHERE timestamp >= $1 AND timestamp < ($2::date + 1) ORDER BY timestamp',
+                [start_date, end_date]
+            );
+            ids = result.rows.map(row => row.conversion_id);
+        }
+
+        const results = await attributionEngine.batchProcessAttributions(ids, model, options);
+        const processed = results.filter(result => result.success).length;
+
+        res.json({
+            success: true,
+            model,
+            processed,
+            failed: results.length - processed,
+            results
+        });
+    } catch (error) {
+        console.error('Error batch processing attribution:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Queue a conversion for every enabled destination whose filters accept it
+async function forwardConversion(conversion, click, details) {
+    try {
+        const destinations = await conversionDestinations.matching(conversion, click);
+        for (const destination of destinations) {
+            const event = conversionDestinations.buildEvent(destination, { conversion, click, details });
+            await capiQueue.enqueue(event, conversion.conversion_id, destination.id);
+        }
     } catch (error) {
-        console.error('Error sending to Meta API:', error.response?.data || error.message);
+        console.error('Error queueing conversion for destinations:', error);
     }
 }
 
@@ -319,111 +764,1062 @@ async function getMetaAPIConfig() {
     }
 }
 
-// Campaign performance report
-app.get('/api/reports/campaigns', async (req, res) => {
+// Conversion destinations (Meta CAPI, TikTok Events API, signed webhooks)
+app.get('/api/destinations', async (req, res) => {
     try {
-        const { start_date, end_date, campaign_id } = req.query;
-
-        let query = `
-            SELECT 
-                c.campaign_id,
-                c.name,
-                COUNT(DISTINCT cl.click_id) as clicks,
-                COUNT(DISTINCT co.conversion_id) as conversions,
-                SUM(co.conversion_value) as revenue,
-                COALESCE(SUM(mc.spend), 0) as cost,
-                CASE WHEN COUNT(DISTINCT cl.click_id) > 0 
-                     THEN COUNT(DISTINCT co.conversion_id)::float / COUNT(DISTINCT cl.click_id) * 100
-                     ELSE 0 END as conversion_rate,
-                CASE WHEN SUM(mc.spend) > 0 
-                     THEN SUM(co.conversion_value) / SUM(mc.spend)
-                     ELSE 0 END as roas
-            FROM campaigns c
-            LEFT JOIN clicks cl ON c.campaign_id = cl.campaign_id
-            LEFT JOIN conversions co ON cl.click_id = co.click_id
-            LEFT JOIN meta_costs mc ON c.campaign_id = mc.campaign_id
-            WHERE 1=1
-        `;
+        const destinations = await conversionDestinations.list();
+        res.json({
+            success: true,
+            types: Object.keys(conversionDestinations.plugins),
+            data: destinations.map(destination => conversionDestinations.present(destination))
+        });
+    } catch (error) {
+        console.error('Error listing destinations:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        const params = [];
-        if (start_date) {
-            query += ` AND cl.timestamp >= $${params.length + 1}`;
-            params.push(start_date);
+app.post('/api/destinations', async (req, res) => {
+    try {
+        const validationError = conversionDestinations.validate(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
         }
-        if (end_date) {
-            query += ` AND cl.timestamp <= $${params.length + 1}`;
-            params.push(end_date);
+
+        const destination = await conversionDestinations.create(req.body);
+        res.status(201).json({ success: true, data: conversionDestinations.present(destination) });
+    } catch (error) {
+        console.error('Error creating destination:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/destinations/:id', async (req, res) => {
+    try {
+        const destination = await conversionDestinations.get(parseInt(req.params.id, 10) || 0);
+        if (!destination) {
+            return res.status(404).json({ success: false, error: 'Destination not found' });
         }
-        if (campaign_id) {
-            query += ` AND c.campaign_id = $${params.length + 1}`;
-            params.push(campaign_id);
+        res.json({ success: true, data: conversionDestinations.present(destination) });
+    } catch (error) {
+        console.error('Error loading destination:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.patch('/api/destinations/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10) || 0;
+        const existing = await conversionDestinations.get(id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Destination not found' });
         }
 
-        query += ' GROUP BY c.campaign_id, c.name ORDER BY revenue DESC';
+        const validationError = conversionDestinations.validate(req.body, existing);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
 
-        const result = await pool.query(query, params);
-        res.json({ success: true, data: result.rows });
+        const destination = await conversionDestinations.update(id, req.body, existing);
+        res.json({ success: true, data: conversionDestinations.present(destination) });
     } catch (error) {
-        console.error('Error getting campaign reports:', error);
+        console.error('Error updating destination:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Meta API cost sync
-app.post('/api/sync/meta-costs', async (req, res) => {
+app.delete('/api/destinations/:id', async (req, res) => {
     try {
-        const config = await getMetaAPIConfig();
-        if (!config) {
-            return res.status(400).json({ success: false, error: 'Meta API not configured' });
+        const destination = await conversionDestinations.remove(parseInt(req.params.id, 10) || 0);
+        if (!destination) {
+            return res.status(404).json({ success: false, error: 'Destination not found' });
         }
+        res.json({ success: true, data: conversionDestinations.present(destination) });
+    } catch (error) {
+        console.error('Error deleting destination:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        const campaigns = await pool.query('SELECT campaign_id, meta_campaign_id FROM campaigns WHERE meta_campaign_id IS NOT NULL');
-
-        for (const campaign of campaigns.rows) {
-            try {
-                const insights = await axios.get(
-                    `https://graph.facebook.com/v18.0/${campaign.meta_campaign_id}/insights`,
-                    {
-                        params: {
-                            access_token: config.access_token,
-                            fields: 'spend,impressions,clicks,reach,cpm,cpc,ctr',
-                            date_preset: 'yesterday'
-                        }
-                    }
-                );
-
-                if (insights.data.data && insights.data.data.length > 0) {
-                    const data = insights.data.data[0];
-                    await pool.query(`
-                        INSERT INTO meta_costs (campaign_id, date, spend, impressions, clicks, reach, cpm, cpc, ctr)
-                        VALUES ($1, CURRENT_DATE - INTERVAL '1 day', $2, $3, $4, $5, $6, $7, $8)
-                        ON CONFLICT (campaign_id, date) DO UPDATE SET
-                            spend = EXCLUDED.spend,
-                            impressions = EXCLUDED.impressions,
-                            clicks = EXCLUDED.clicks,
-                            reach = EXCLUDED.reach,
-                            cpm = EXCLUDED.cpm,
-                            cpc = EXCLUDED.cpc,
-                            ctr = EXCLUDED.ctr
-                    `, [
-                        campaign.campaign_id,
-                        parseFloat(data.spend || 0),
-                        parseInt(data.impressions || 0),
-                        parseInt(data.clicks || 0),
-                        parseInt(data.reach || 0),
-                        parseFloat(data.cpm || 0),
-                        parseFloat(data.cpc || 0),
-                        parseFloat(data.ctr || 0)
-                    ]);
-                }
-            } catch (error) {
-                console.error(`Error syncing campaign ${campaign.campaign_id}:`, error.response?.data || error.message);
-            }
+// Conversion delivery log across destinations
+app.get('/api/capi/deliveries', async (req, res) => {
+    try {
+        const { status, destination_id, conversion_id, limit } = req.query;
+        if (status && !CapiQueue.STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, error: `status must be one of ${CapiQueue.STATUSES.join(', ')}` });
         }
 
-        res.json({ success: true, message: 'Cost sync completed' });
+        const { deliveries, counts } = await capiQueue.list({ status, destination_id, conversion_id, limit });
+        res.json({ success: true, counts, data: deliveries });
     } catch (error) {
-        console.error('Error syncing Meta costs:', error);
+        console.error('Error listing CAPI deliveries:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/capi/deliveries/:id', async (req, res) => {
+    try {
+        const delivery = await capiQueue.get(parseInt(req.params.id, 10) || 0);
+        if (!delivery) {
+            return res.status(404).json({ success: false, error: 'Delivery not found' });
+        }
+        res.json({ success: true, data: delivery });
+    } catch (error) {
+        console.error('Error loading CAPI delivery:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Requeue failed or dead deliveries ({ ids: [...] } or { status: 'dead' })
+app.post('/api/capi/deliveries/replay', async (req, res) => {
+    try {
+        const validationError = capiQueue.validateReplay(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const requeued = await capiQueue.replay(req.body);
+        res.json({ success: true, requeued });
+    } catch (error) {
+        console.error('Error replaying CAPI deliveries:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Google Ads offline conversions as a click conversion import CSV
+app.get('/api/google-ads/conversions/export', async (req, res) => {
+    try {
+        const { start_date, end_date, include_uploaded } = req.query;
+        const validationError = googleAds.validateRange(start_date, end_date);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const { csv } = await googleAds.exportCsv(start_date, end_date, {
+            includeUploaded: include_uploaded === 'true'
+        });
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="google-ads-conversions-${start_date}-${end_date}.csv"`);
+        res.send(csv);
+    } catch (error) {
+        console.error('Error exporting Google Ads conversions:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Upload pending Google Ads offline conversions through the API
+app.post('/api/google-ads/conversions/upload', async (req, res) => {
+    try {
+        const { start_date, end_date, validate_only } = req.body;
+        const validationError = googleAds.validateRange(start_date, end_date);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        if (!googleAds.isConfigured()) {
+            return res.status(503).json({ success: false, error: 'Google Ads API not configured' });
+        }
+
+        const summary = await googleAds.upload(start_date, end_date, { validateOnly: Boolean(validate_only) });
+        res.json({ success: true, validate_only: Boolean(validate_only), ...summary });
+    } catch (error) {
+        console.error('Error uploading Google Ads conversions:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/google-ads/uploads', async (req, res) => {
+    try {
+        const uploads = await googleAds.listUploads({ status: req.query.status });
+        res.json({ success: true, data: uploads });
+    } catch (error) {
+        console.error('Error listing Google Ads uploads:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Campaign performance report, read from the daily rollups
+app.get('/api/reports/campaigns', async (req, res) => {
+    try {
+        const { start_date, end_date, campaign_id } = req.query;
+
+        const data = await reporting.campaignReport({ start_date, end_date, campaign_id });
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Error getting campaign reports:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Time-series options from the query string, shared by the report and its export
+function timeseriesOptions(query) {
+    if (query.group_by && query.group_by !== 'campaign') {
+        return { error: 'group_by must be campaign' };
+    }
+
+    const options = {
+        start_date: query.start_date,
+        end_date: query.end_date,
+        grain: query.grain || 'day',
+        timezone: query.timezone || 'UTC',
+        campaign_ids: Utils.parseList(query.campaign_ids),
+        split: query.group_by === 'campaign'
+    };
+
+    return { options, error: reporting.validateTimeseries(options) };
+}
+
+// Breakdown options from the query string, shared by the report and its export
+function breakdownOptions(query) {
+    const filters = {};
+    if (query.filter !== undefined) {
+        if (typeof query.filter !== 'object' || Array.isArray(query.filter)) {
+            return { error: 'Filters must be passed as filter[dimension]=values' };
+        }
+        for (const [dimension, values] of Object.entries(query.filter)) {
+            filters[dimension] = Utils.parseList(values);
+        }
+    }
+
+    const options = {
+        start_date: query.start_date,
+        end_date: query.end_date,
+        timezone: query.timezone || 'UTC',
+        dimensions: Utils.parseList(query.dimensions),
+        metrics: Utils.parseList(query.metrics),
+        filters,
+        sort: query.sort,
+        order: query.order,
+        limit: query.limit !== undefined ? Number(query.limit) : undefined,
+        offset: query.offset !== undefined ? Number(query.offset) : undefined
+    };
+
+    return { options, error: reporting.validateBreakdown(options) };
+}
+
+// KPI totals for a range against the previous period or the same period last year
+app.get('/api/reports/summary', async (req, res) => {
+    try {
+        const options = {
+            start_date: req.query.start_date,
+            end_date: req.query.end_date,
+            compare: req.query.compare || 'previous_period',
+            campaign_id: req.query.campaign_id
+        };
+
+        const invalid = reporting.validateSummary(options);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+
+        const data = await reporting.summary(options);
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Error getting summary report:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Performance over time in hour, day, week or month buckets, optionally one
+// series per campaign (group_by=campaign) for overlays
+app.get('/api/reports/timeseries', async (req, res) => {
+    try {
+        const { options, error: invalid } = timeseriesOptions(req.query);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+
+        const data = await reporting.timeseries(options);
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Error getting timeseries report:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Metrics split by one or two dimensions (dimensions=ad,utm_content), with
+// filter[dimension]=a,b filters, sort/order and limit/offset paging
+app.get('/api/reports/breakdown', async (req, res) => {
+    try {
+        const { options, error: invalid } = breakdownOptions(req.query);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+
+        const data = await reporting.breakdown(options);
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Error getting breakdown report:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// CSV/XLSX exports (format=csv|xlsx) taking the same filters as the JSON reports.
+// Rows are streamed, so an error after the first row can only cut the file short.
+async function streamExport(res, label, run) {
+    try {
+        await run();
+    } catch (error) {
+        console.error(`Error exporting ${label}:`, error);
+        if (res.headersSent) return res.destroy();
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+app.get('/api/exports/campaigns', async (req, res) => {
+    const format = req.query.format || 'csv';
+    const invalid = reportExport.validateFormat(format);
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const { start_date, end_date, campaign_id } = req.query;
+    await streamExport(res, 'campaign report', () =>
+        reportExport.campaigns(res, format, { start_date, end_date, campaign_id }));
+});
+
+app.get('/api/exports/timeseries', async (req, res) => {
+    const format = req.query.format || 'csv';
+    const { options, error } = timeseriesOptions(req.query);
+    const invalid = reportExport.validateFormat(format) || error;
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+
+    await streamExport(res, 'timeseries report', () => reportExport.timeseries(res, format, options));
+});
+
+app.get('/api/exports/breakdown', async (req, res) => {
+    const format = req.query.format || 'csv';
+    const { options, error } = breakdownOptions(req.query);
+    const invalid = reportExport.validateFormat(format) || error;
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+
+    await streamExport(res, 'breakdown report', () => reportExport.breakdown(res, format, options));
+});
+
+// Raw clicks or conversions for a date range (start_date, end_date, campaign_id)
+app.get('/api/exports/:type(clicks|conversions)', async (req, res) => {
+    const format = req.query.format || 'csv';
+    const { start_date, end_date, campaign_id } = req.query;
+    const invalid = reportExport.validateFormat(format) || reporting.validateRange(start_date, end_date);
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+
+    await streamExport(res, req.params.type, () =>
+        reportExport[req.params.type](res, format, { start_date, end_date, campaign_id }));
+});
+
+// Campaign management
+app.get('/api/campaigns', async (req, res) => {
+    try {
+        const data = await campaigns.listCampaigns(req.query);
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Error listing campaigns:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/campaigns', async (req, res) => {
+    try {
+        const validationError = campaigns.validateCampaign(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        if (await campaigns.getCampaign(req.body.campaign_id)) {
+            return res.status(409).json({ success: false, error: 'Campaign already exists' });
+        }
+        if (req.body.meta_campaign_id && await campaigns.findByMetaCampaignId(req.body.meta_campaign_id)) {
+            return res.status(409).json({ success: false, error: 'meta_campaign_id is mapped to another campaign' });
+        }
+
+        const campaign = await campaigns.createCampaign(req.body);
+        res.status(201).json({ success: true, data: campaign });
+    } catch (error) {
+        console.error('Error creating campaign:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// A campaign with its ad sets and ads
+app.get('/api/campaigns/:campaign_id', async (req, res) => {
+    try {
+        const campaign = await campaigns.getCampaignTree(req.params.campaign_id);
+        if (!campaign) {
+            return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+        res.json({ success: true, data: campaign });
+    } catch (error) {
+        console.error('Error getting campaign:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.patch('/api/campaigns/:campaign_id', async (req, res) => {
+    try {
+        const validationError = campaigns.validateCampaign(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        if (req.body.meta_campaign_id &&
+            await campaigns.findByMetaCampaignId(req.body.meta_campaign_id, req.params.campaign_id)) {
+            return res.status(409).json({ success: false, error: 'meta_campaign_id is mapped to another campaign' });
+        }
+
+        const campaign = await campaigns.updateCampaign(req.params.campaign_id, req.body);
+        if (!campaign) {
+            return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+        res.json({ success: true, data: campaign });
+    } catch (error) {
+        console.error('Error updating campaign:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Clicks reference campaigns, so deleting one archives it
+app.delete('/api/campaigns/:campaign_id', async (req, res) => {
+    try {
+        const campaign = await campaigns.updateCampaign(req.params.campaign_id, { status: 'ARCHIVED' });
+        if (!campaign) {
+            return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+        res.json({ success: true, data: campaign });
+    } catch (error) {
+        console.error('Error archiving campaign:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/campaigns/:campaign_id/adsets', async (req, res) => {
+    try {
+        const validationError = campaigns.validateAdset(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const campaign = await campaigns.getCampaign(req.params.campaign_id);
+        if (!campaign) {
+            return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+        if (await campaigns.getAdset(req.body.adset_id)) {
+            return res.status(409).json({ success: false, error: 'Ad set already exists' });
+        }
+
+        const adset = await campaigns.createAdset(campaign, req.body);
+        res.status(201).json({ success: true, data: adset });
+    } catch (error) {
+        console.error('Error creating ad set:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.patch('/api/adsets/:adset_id', async (req, res) => {
+    try {
+        const validationError = campaigns.validateAdset(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const adset = await campaigns.updateAdset(req.params.adset_id, req.body);
+        if (!adset) {
+            return res.status(404).json({ success: false, error: 'Ad set not found' });
+        }
+        res.json({ success: true, data: adset });
+    } catch (error) {
+        console.error('Error updating ad set:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/adsets/:adset_id/ads', async (req, res) => {
+    try {
+        const validationError = campaigns.validateAd(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const adset = await campaigns.getAdset(req.params.adset_id);
+        if (!adset) {
+            return res.status(404).json({ success: false, error: 'Ad set not found' });
+        }
+        if (await campaigns.getAd(req.body.ad_id)) {
+            return res.status(409).json({ success: false, error: 'Ad already exists' });
+        }
+
+        const ad = await campaigns.createAd(adset, req.body);
+        res.status(201).json({ success: true, data: ad });
+    } catch (error) {
+        console.error('Error creating ad:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.patch('/api/ads/:ad_id', async (req, res) => {
+    try {
+        const validationError = campaigns.validateAd(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const ad = await campaigns.updateAd(req.params.ad_id, req.body);
+        if (!ad) {
+            return res.status(404).json({ success: false, error: 'Ad not found' });
+        }
+        res.json({ success: true, data: ad });
+    } catch (error) {
+        console.error('Error updating ad:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Tracking link management
+app.post('/api/links', async (req, res) => {
+    try {
+        const validationError = trackingLinks.validateLink(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        if (req.body.campaign_id && !await campaigns.getCampaign(req.body.campaign_id)) {
+            return res.status(400).json({ success: false, error: 'Campaign not found' });
+        }
+
+        const link = await trackingLinks.createLink(req.body);
+        res.status(201).json({ success: true, data: withTrackingUrl(req, link) });
+    } catch (error) {
+        console.error('Error creating tracking link:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/links', async (req, res) => {
+    try {
+        const links = await trackingLinks.listLinks(req.query);
+        res.json({ success: true, data: links.map(link => withTrackingUrl(req, link)) });
+    } catch (error) {
+        console.error('Error listing tracking links:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/links/:link_id', async (req, res) => {
+    try {
+        const link = await trackingLinks.getLink(req.params.link_id);
+        if (!link) {
+            return res.status(404).json({ success: false, error: 'Tracking link not found' });
+        }
+        res.json({ success: true, data: withTrackingUrl(req, link) });
+    } catch (error) {
+        console.error('Error getting tracking link:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.patch('/api/links/:link_id', async (req, res) => {
+    try {
+        const validationError = trackingLinks.validateLink(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        if (req.body.campaign_id && !await campaigns.getCampaign(req.body.campaign_id)) {
+            return res.status(400).json({ success: false, error: 'Campaign not found' });
+        }
+
+        const link = await trackingLinks.updateLink(req.params.link_id, req.body);
+        if (!link) {
+            return res.status(404).json({ success: false, error: 'Tracking link not found' });
+        }
+        res.json({ success: true, data: withTrackingUrl(req, link) });
+    } catch (error) {
+        console.error('Error updating tracking link:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Public URL for a link, on TRACKING_DOMAIN when configured
+function withTrackingUrl(req, link) {
+    const base = process.env.TRACKING_DOMAIN || `${req.protocol}://${req.get('host')}`;
+    return { ...link, tracking_url: `${base.replace(/\/$/, '')}/r/${link.link_id}` };
+}
+
+// Attribution window settings
+app.get('/api/settings/attribution-windows', async (req, res) => {
+    try {
+        const windows = await attributionWindows.list();
+        res.json({ success: true, defaults: attributionWindows.defaults, data: windows });
+    } catch (error) {
+        console.error('Error listing attribution windows:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/api/settings/attribution-windows', async (req, res) => {
+    try {
+        const validationError = attributionWindows.validate(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const window = await attributionWindows.upsert(req.body);
+        res.json({ success: true, data: window });
+    } catch (error) {
+        console.error('Error saving attribution window:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/settings/attribution-windows', async (req, res) => {
+    try {
+        const { scope, scope_value } = req.query;
+        const removed = await attributionWindows.remove(scope, scope_value);
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Attribution window not found' });
+        }
+        res.json({ success: true, data: removed });
+    } catch (error) {
+        console.error('Error removing attribution window:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Train a data-driven attribution model (markov or shapley) and store it for scoring
+app.post('/api/attribution/train', async (req, res) => {
+    try {
+        const { model, granularity = 'campaign', start_date, end_date, max_channels } = req.body;
+
+        if (!AttributionEngine.DATA_DRIVEN_MODELS.includes(model)) {
+            return res.status(400).json({
+                success: false,
+                error: `model must be one of ${AttributionEngine.DATA_DRIVEN_MODELS.join(', ')}`
+            });
+        }
+        if (!AttributionEngine.CHANNEL_GRANULARITIES.includes(granularity)) {
+            return res.status(400).json({
+                success: false,
+                error: `granularity must be one of ${AttributionEngine.CHANNEL_GRANULARITIES.join(', ')}`
+            });
+        }
+        const maxChannels = max_channels === undefined || max_channels === null ? undefined : Number(max_channels);
+        if (maxChannels !== undefined && (!Number.isInteger(maxChannels) || maxChannels < 2 || maxChannels > 16)) {
+            return res.status(400).json({ success: false, error: 'max_channels must be a whole number from 2 to 16' });
+        }
+
+        const trained = await attributionEngine.trainDataDrivenModel(model, {
+            granularity,
+            startDate: start_date,
+            endDate: end_date,
+            maxChannels
+        });
+
+        res.json({ success: true, data: trained });
+    } catch (error) {
+        console.error('Error training attribution model:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Identifiers linked to a person in the identity graph
+app.get('/api/identity/:person_id', async (req, res) => {
+    try {
+        const identifiers = await identityGraph.getIdentifiers(req.params.person_id);
+        if (identifiers.length === 0) {
+            return res.status(404).json({ success: false, error: 'Person not found' });
+        }
+        res.json({ success: true, person_id: req.params.person_id, identifiers });
+    } catch (error) {
+        console.error('Error loading identity:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Stored data-driven models, newest first
+app.get('/api/attribution/trained-models', async (req, res) => {
+    try {
+        const { model, granularity } = req.query;
+
+        let query = 'SELECT * FROM trained_attribution_models WHERE 1=1';
+        const params = [];
+        if (model) {
+            query += ` AND model_type = $${params.length + 1}`;
+            params.push(model);
+        }
+        if (granularity) {
+            query += ` AND granularity = $${params.length + 1}`;
+            params.push(granularity);
+        }
+        query += ' ORDER BY trained_at DESC LIMIT 50';
+
+        const result = await pool.query(query, params);
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('Error listing trained attribution models:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Attributed conversions and revenue per campaign under every model, side by side
+app.get('/api/reports/attribution-comparison', async (req, res) => {
+    try {
+        const { start_date, end_date } = req.query;
+
+        const models = req.query.models
+            ? req.query.models.split(',').map(model => model.trim())
+            : AttributionEngine.COMPARISON_MODELS;
+
+        const unknown = models.filter(model => !attributionEngine.models[model]);
+        if (unknown.length > 0) {
+            return res.status(400).json({ success: false, error: `Unknown attribution model '${unknown[0]}'` });
+        }
+
+        const invalid = await attributionEngine.validateComparison(start_date, end_date);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+
+        const comparison = await attributionEngine.getModelComparison(start_date, end_date, models);
+        res.json({ success: true, ...comparison });
+    } catch (error) {
+        console.error('Error getting attribution comparison:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Top pages report
+app.get('/api/reports/pageviews', async (req, res) => {
+    try {
+        const { start_date, end_date, campaign_id } = req.query;
+        const invalid = reporting.validateRange(start_date, end_date);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+
+        let query = `
+            SELECT
+                split_part(pv.url, '?', 1) as page,
+                COUNT(*) as pageviews,
+                COUNT(DISTINCT pv.session_id) as sessions,
+                COUNT(DISTINCT pv.click_id) as clicks
+            FROM pageviews pv
+            LEFT JOIN clicks cl ON pv.click_id = cl.click_id
+            WHERE pv.timestamp >= $1 AND pv.timestamp < ($2::date + 1)
+        `;
+
+        const params = [start_date, end_date];
+        if (campaign_id) {
+            query += ` AND cl.campaign_id = $${params.length + 1}`;
+            params.push(campaign_id);
+        }
+
+        query += ' GROUP BY page ORDER BY pageviews DESC LIMIT 100';
+
+        const result = await pool.query(query, params);
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('Error getting pageview reports:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Custom events report
+app.get('/api/reports/events', async (req, res) => {
+    try {
+        const { start_date, end_date, campaign_id, event_name } = req.query;
+        const invalid = reporting.validateRange(start_date, end_date);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+
+        let query = `
+            SELECT
+                ev.event_name,
+                COUNT(DISTINCT ev.id) as events,
+                COUNT(DISTINCT ev.session_id) as sessions,
+                COUNT(DISTINCT ev.click_id) as clicks,
+                COUNT(DISTINCT co.conversion_id) as conversions
+            FROM events ev
+            LEFT JOIN clicks cl ON ev.click_id = cl.click_id
+            LEFT JOIN conversions co ON ev.click_id = co.click_id AND co.timestamp >= ev.timestamp
+            WHERE ev.timestamp >= $1 AND ev.timestamp < ($2::date + 1)
+        `;
+
+        const params = [start_date, end_date];
+        if (campaign_id) {
+            query += ` AND cl.campaign_id = $${params.length + 1}`;
+            params.push(campaign_id);
+        }
+        if (event_name) {
+            query += ` AND ev.event_name = $${params.length + 1}`;
+            params.push(event_name);
+        }
+
+        query += ' GROUP BY ev.event_name ORDER BY events DESC';
+
+        const result = await pool.query(query, params);
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('Error getting event reports:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// On-site activity for a click: pageviews, events and conversions in time order
+app.get('/api/reports/click-activity/:click_id', async (req, res) => {
+    try {
+        const { click_id } = req.params;
+
+        const result = await pool.query(`
+            SELECT 'pageview' as type, NULL as name, url, title, NULL::jsonb as data,
+                   NULL::decimal as value, timestamp
+            FROM pageviews WHERE click_id = $1
+            UNION ALL
+            SELECT 'event' as type, event_name as name, url, NULL as title, event_data as data,
+                   NULL::decimal as value, timestamp
+            FROM events WHERE click_id = $1
+            UNION ALL
+            SELECT 'conversion' as type, conversion_type as name, NULL as url, NULL as title,
+                   NULL::jsonb as data, conversion_value as value, timestamp
+            FROM conversions WHERE click_id = $1
+            ORDER BY timestamp ASC
+        `, [click_id]);
+
+        res.json({ success: true, click_id, data: result.rows });
+    } catch (error) {
+        console.error('Error getting click activity:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Meta API cost sync: ad-level daily spend for a backfill range, or the trailing days by default
+app.post('/api/sync/meta-costs', async (req, res) => {
+    try {
+        const { start_date, end_date } = req.body;
+        const validationError = metaCostSync.validateRange(start_date, end_date);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const config = await getMetaAPIConfig();
+        if (!config) {
+            return res.status(400).json({ success: false, error: 'Meta API not configured' });
+        }
+
+        const summary = await metaCostSync.sync(config, {
+            startDate: start_date,
+            endDate: end_date,
+            async: Boolean(req.body.async)
+        });
+
+        res.json({ success: summary.errors.length === 0, ...summary });
+    } catch (error) {
+        console.error('Error syncing Meta costs:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Import campaigns, ad sets and ads from the configured Meta ad account
+app.post('/api/sync/meta-campaigns', async (req, res) => {
+    try {
+        const config = await getMetaAPIConfig();
+        if (!config) {
+            return res.status(400).json({ success: false, error: 'Meta API not configured' });
+        }
+        if (!config.account_id) {
+            return res.status(400).json({ success: false, error: 'Meta ad account not configured' });
+        }
+
+        const summary = await metaCampaignImport.sync(config);
+
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        console.error('Error importing Meta campaigns:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Background jobs. Schedules are the defaults for new jobs and can be changed
+// through PATCH /api/jobs/:name; manual runs take the same params as the sync endpoints.
+jobScheduler.register('meta_campaign_import', {
+    schedule: '0 */6 * * *',
+    description: 'Import campaigns, ad sets and ads from the Meta ad account',
+    handler: async () => {
+        const config = await getMetaAPIConfig();
+        if (!config || !config.account_id) return { skipped: 'Meta ad account not configured' };
+        return metaCampaignImport.sync(config);
+    }
+});
+
+jobScheduler.register('meta_cost_sync', {
+    schedule: '30 */6 * * *',
+    description: 'Sync daily ad-level Meta costs (trailing days, or start_date/end_date)',
+    timeoutMs: 3 * 60 * 60 * 1000,
+    handler: async (params) => {
+        const validationError = metaCostSync.validateRange(params.start_date, params.end_date);
+        if (validationError) throw new Error(validationError);
+
+        const config = await getMetaAPIConfig();
+        if (!config) return { skipped: 'Meta API not configured' };
+
+        const summary = await metaCostSync.sync(config, {
+            startDate: params.start_date,
+            endDate: params.end_date,
+            async: Boolean(params.async)
+        });
+        if (summary.errors.length > 0) {
+            const error = new Error(`${summary.errors.length} Insights requests failed`);
+            error.result = summary;
+            throw error;
+        }
+        return summary;
+    }
+});
+
+jobScheduler.register('attribution_reprocess', {
+    schedule: '0 3 * * *',
+    description: 'Re-run attribution for recent conversions (start_date/end_date to override)',
+    timeoutMs: 3 * 60 * 60 * 1000,
+    handler: async (params) => {
+        const days = parseInt(process.env.ATTRIBUTION_REPROCESS_DAYS || '7', 10);
+        const endDate = params.end_date || new Date().toISOString().slice(0, 10);
+        const startDate = params.start_date || new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+        const summary = await attributionEngine.reprocessConversions(startDate, endDate);
+        return { start_date: startDate, end_date: endDate, ...summary };
+    }
+});
+
+jobScheduler.register('performance_rollup', {
+    schedule: '*/5 * * * *',
+    description: 'Rebuild campaign_performance for days with new data (start_date/end_date rebuilds a range)',
+    handler: async (params) => {
+        if (!params.start_date && !params.end_date) return performanceRollups.run();
+
+        const validationError = performanceRollups.validateRange(params.start_date, params.end_date);
+        if (validationError) throw new Error(validationError);
+        return performanceRollups.rollup(params.start_date, params.end_date);
+    }
+});
+
+jobScheduler.register('geoip_backfill', {
+    schedule: '15 * * * *',
+    description: 'Fill country, region and city for stored clicks and conversions from the GeoIP database (restart: true rescans every click)',
+    timeoutMs: 60 * 60 * 1000,
+    handler: async (params) => geoIP.backfill({ restart: Boolean(params.restart) })
+});
+
+jobScheduler.register('user_agent_backfill', {
+    schedule: '45 * * * *',
+    description: 'Parse browser, OS, device and bot flags for clicks stored before user agent parsing (restart: true rescans every click)',
+    timeoutMs: 60 * 60 * 1000,
+    handler: async (params) => backfillUserAgents(pool, {
+        rollups: performanceRollups,
+        restart: Boolean(params.restart)
+    })
+});
+
+app.get('/api/jobs', async (req, res) => {
+    try {
+        const jobs = await jobScheduler.list();
+        res.json({ success: true, data: jobs });
+    } catch (error) {
+        console.error('Error listing jobs:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// One job with its recent runs
+app.get('/api/jobs/:name', async (req, res) => {
+    try {
+        const job = await jobScheduler.get(req.params.name);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+
+        const runs = await jobScheduler.listRuns({ job_name: job.name, limit: 20 });
+        res.json({ success: true, data: { ...job, runs } });
+    } catch (error) {
+        console.error('Error getting job:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Change a job's cron schedule or enable/disable it
+app.patch('/api/jobs/:name', async (req, res) => {
+    try {
+        const validationError = jobScheduler.validateUpdate(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const job = await jobScheduler.get(req.params.name);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+
+        const updated = await jobScheduler.update(job.name, req.body);
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        console.error('Error updating job:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Run a job now; the run continues in the background, poll /api/job-runs/:id for its outcome
+app.post('/api/jobs/:name/run', async (req, res) => {
+    try {
+        const job = await jobScheduler.get(req.params.name);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+
+        const run = await jobScheduler.trigger(job.name, req.body || {});
+        if (!run) {
+            return res.status(409).json({ success: false, error: 'Job is already running' });
+        }
+
+        res.status(202).json({ success: true, data: run });
+    } catch (error) {
+        console.error('Error triggering job:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/job-runs', async (req, res) => {
+    try {
+        const { job_name, status, limit } = req.query;
+        if (status && !JobScheduler.RUN_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of ${JobScheduler.RUN_STATUSES.join(', ')}`
+            });
+        }
+
+        const runs = await jobScheduler.listRuns({ job_name, status, limit });
+        res.json({ success: true, data: runs });
+    } catch (error) {
+        console.error('Error listing job runs:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/job-runs/:id', async (req, res) => {
+    try {
+        if (!/^\d{1,9}$/.test(req.params.id)) {
+            return res.status(400).json({ success: false, error: 'id must be an integer' });
+        }
+
+        const run = await jobScheduler.getRun(parseInt(req.params.id, 10));
+        if (!run) {
+            return res.status(404).json({ success: false, error: 'Job run not found' });
+        }
+        res.json({ success: true, data: run });
+    } catch (error) {
+        console.error('Error getting job run:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
@@ -437,6 +1833,20 @@ app.get('/health', (req, res) => {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
     console.log(`🚀 Ad Tracking Server running on port ${PORT}`);
+    conversionDestinations.migrateMetaConfig().then(destination => {
+        if (destination) console.log(`Created Meta CAPI destination ${destination.id} from api_configurations`);
+    }).catch(error => {
+        console.error('Error migrating Meta CAPI configuration:', error);
+    });
+    attributionEngine.clearEmptyFbClickIds().then(cleared => {
+        if (cleared) console.log(`Cleared empty fb_click_id on ${cleared} clicks`);
+    }).catch(error => {
+        console.error('Error clearing empty fb_click_id values:', error);
+    });
+    capiQueue.start();
+    jobScheduler.start().catch(error => {
+        console.error('Error starting job scheduler:', error);
+    });
 });
 
 module.exports = app;
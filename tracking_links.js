@@ -0,0 +1,176 @@
+
+/**
+ * Redirect Tracking Links
+ * Maps short link IDs to a campaign/adset/ad and destination URL, and records
+ * the click server-side before redirecting
+ */
+
+const crypto = require('crypto');
+
+const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term'];
+const LINK_STATUSES = ['ACTIVE', 'PAUSED', 'ARCHIVED'];
+
+// Ad platform click IDs stored from the landing query string
+const AD_CLICK_IDS = ['gclid', 'gbraid', 'wbraid', 'msclkid'];
+
+class TrackingLinks {
+    constructor(dbPool) {
+        this.db = dbPool;
+    }
+
+    /**
+     * Validate link fields, returns an error message or null
+     * @param {object} data - Link fields from the request body
+     * @param {boolean} partial - Only validate the fields that are present
+     */
+    validateLink(data, partial = false) {
+        if (!partial || data.destination_url !== undefined) {
+            if (!data.destination_url) return 'destination_url required';
+
+            let url;
+            try {
+                url = new URL(data.destination_url);
+            } catch (error) {
+                return 'destination_url must be an absolute URL';
+            }
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                return 'destination_url must use http or https';
+            }
+        }
+
+        if (data.status !== undefined && !LINK_STATUSES.includes(data.status)) {
+            return `status must be one of ${LINK_STATUSES.join(', ')}`;
+        }
+
+        return null;
+    }
+
+    generateLinkId() {
+        return crypto.randomBytes(6).toString('base64url');
+    }
+
+    /**
+     * Create a tracking link
+     */
+    async createLink(data) {
+        const result = await this.db.query(`
+            INSERT INTO tracking_links (
+                link_id, campaign_id, adset_id, ad_id, destination_url,
+                utm_source, utm_medium, utm_campaign, utm_content, utm_term
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *
+        `, [
+            this.generateLinkId(),
+            data.campaign_id || null,
+            data.adset_id || null,
+            data.ad_id || null,
+            data.destination_url,
+            ...UTM_FIELDS.map(field => data[field] || null)
+        ]);
+
+        return result.rows[0];
+    }
+
+    async getLink(linkId) {
+        const result = await this.db.query('SELECT * FROM tracking_links WHERE link_id = $1', [linkId]);
+        return result.rows[0] || null;
+    }
+
+    async listLinks(filters = {}) {
+        let query = 'SELECT * FROM tracking_links WHERE 1=1';
+        const params = [];
+
+        if (filters.campaign_id) {
+            query += ` AND campaign_id = $${params.length + 1}`;
+            params.push(filters.campaign_id);
+        }
+        if (filters.status) {
+            query += ` AND status = $${params.length + 1}`;
+            params.push(filters.status);
+        }
+
+        query += ' ORDER BY created_at DESC';
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Update destination, mapping or status of a link
+     */
+    async updateLink(linkId, data) {
+        const fields = ['campaign_id', 'adset_id', 'ad_id', 'destination_url', 'status', ...UTM_FIELDS]
+            .filter(field => data[field] !== undefined);
+
+        if (fields.length === 0) return this.getLink(linkId);
+
+        const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+        const result = await this.db.query(`
+            UPDATE tracking_links SET ${assignments.join(', ')}, updated_at = NOW()
+            WHERE link_id = $1
+            RETURNING *
+        `, [linkId, ...fields.map(field => data[field])]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Record a click for a link and build the redirect URL
+     * @param {object} link - Row from tracking_links
+     * @param {object} visit - ip, userAgent, referrer, device (parseUserAgent result),
+     *   geo (GeoIP lookup result) and the request query
+     */
+    async recordClick(link, visit) {
+        const clickId = crypto.randomBytes(16).toString('hex');
+        const query = visit.query || {};
+
+        // UTMs appended to the ad URL by the platform win over the link defaults
+        const utms = UTM_FIELDS.map(field => query[field] || link[field] || null);
+        const geo = visit.geo || {};
+        const device = visit.device || {};
+
+        await this.db.query(`
+            INSERT INTO clicks (
+                click_id, link_id, campaign_id, ad_id, adset_id, user_ip, user_agent,
+                referrer_url, landing_page, utm_source, utm_medium, utm_campaign,
+                utm_content, utm_term, fb_click_id, device_type,
+                gclid, gbraid, wbraid, msclkid, country_code, region, city,
+                browser, browser_version, os, os_version, in_app_browser, is_bot, bot_name
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20,
+                      $21, $22, $23, $24, $25, $26, $27, $28, $29, $30)
+        `, [
+            clickId, link.link_id, link.campaign_id, link.ad_id, link.adset_id,
+            visit.ip, visit.userAgent, visit.referrer || '', link.destination_url,
+            ...utms, (typeof query.fbclid === 'string' && query.fbclid) || null, device.device_type || null,
+            ...AD_CLICK_IDS.map(param => (typeof query[param] === 'string' && query[param]) || null),
+            geo.country_code || null, geo.region || null, geo.city || null,
+            device.browser || null, device.browser_version || null, device.os || null, device.os_version || null,
+            device.in_app_browser || null, Boolean(device.is_bot), device.bot_name || null
+        ]);
+
+        return {
+            click_id: clickId,
+            redirect_url: this.buildRedirectUrl(link.destination_url, query, clickId)
+        };
+    }
+
+    /**
+     * Append the incoming query string and click_id to the destination,
+     * keeping any parameters the destination already sets
+     */
+    buildRedirectUrl(destinationUrl, query, clickId) {
+        const url = new URL(destinationUrl);
+
+        for (const [key, value] of Object.entries(query || {})) {
+            if (typeof value === 'string' && !url.searchParams.has(key)) {
+                url.searchParams.set(key, value);
+            }
+        }
+
+        if (clickId) url.searchParams.set('click_id', clickId);
+
+        return url.toString();
+    }
+}
+
+module.exports = TrackingLinks;
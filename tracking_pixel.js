@@ -12,7 +12,7 @@
         API_ENDPOINT: 'https://your-tracking-domain.com/api/track',
         COOKIE_NAME: 'custom_tracker',
         SESSION_COOKIE: 'tracker_session',
-        ATTRIBUTION_WINDOW: 30 * 24 * 60 * 60 * 1000, // 30 days in milliseconds
+        ATTRIBUTION_WINDOW_DAYS: 30, // Until the server returns the campaign's window
         DEBUG: false
     };
 
@@ -36,7 +36,7 @@
         // Cookie management
         setCookie: function(name, value, days) {
             let expires = "";
-            if (days) {
+            if (days !== undefined && days !== null) {
                 const date = new Date();
                 date.setTime(date.getTime() + (days * 24 * 60 * 60 * 1000));
                 expires = "; expires=" + date.toUTCString();
@@ -116,7 +116,7 @@
             const urlParams = Utils.getUrlParams();
             if (urlParams.click_id || urlParams.ctid) {
                 this.clickId = urlParams.click_id || urlParams.ctid;
-                Utils.setCookie(CONFIG.COOKIE_NAME, this.clickId, 30); // 30 day attribution
+                Utils.setCookie(CONFIG.COOKIE_NAME, this.clickId, CONFIG.ATTRIBUTION_WINDOW_DAYS);
 
                 // Track the click
                 this.trackClick(urlParams);
@@ -155,15 +155,33 @@
                 utm_content: params.utm_content || '',
                 utm_term: params.utm_term || '',
                 fb_click_id: params.fbclid || '',
+                gclid: params.gclid || '',
+                gbraid: params.gbraid || '',
+                wbraid: params.wbraid || '',
+                msclkid: params.msclkid || '',
+                fbp: Utils.getCookie('_fbp') || '',
+                fbc: Utils.getCookie('_fbc') || '',
                 campaign_id: params.campaign_id || params.cid || '',
                 ad_id: params.ad_id || params.aid || '',
                 adset_id: params.adset_id || params.gid || ''
             };
 
+            const clickId = this.clickId;
             Utils.sendData(CONFIG.API_ENDPOINT + '/click', clickData, function(success, response) {
                 if (CONFIG.DEBUG) {
                     console.log('Click tracked:', success ? 'Success' : 'Failed', response);
                 }
+
+                // Keep the click cookie for as long as the campaign's attribution window
+                // (a 0-day window clears it)
+                if (success) {
+                    try {
+                        const days = JSON.parse(response).attribution_window_days;
+                        if (days !== undefined && days !== null) Utils.setCookie(CONFIG.COOKIE_NAME, clickId, days);
+                    } catch (e) {
+                        // Keep the default window
+                    }
+                }
             });
         },
 
@@ -182,15 +200,19 @@
             Utils.sendData(CONFIG.API_ENDPOINT + '/pageview', pageData);
         },
 
-        // Track conversion event
+        // Track conversion event, returns the event ID sent to the server
         trackConversion: function(conversionData) {
             if (!this.clickId) {
                 if (CONFIG.DEBUG) console.log('No click ID found for conversion tracking');
                 return false;
             }
 
+            // Reuse this ID as eventID on fbq() so Meta can dedupe browser and server events
+            const eventId = conversionData.event_id || Utils.generateId();
+
             const data = {
                 event_type: 'conversion',
+                event_id: eventId,
                 click_id: this.clickId,
                 session_id: this.sessionId,
                 timestamp: Date.now(),
@@ -200,6 +222,15 @@
                 external_id: conversionData.external_id || '',
                 customer_email: conversionData.email || '',
                 customer_phone: conversionData.phone || '',
+                first_name: conversionData.first_name || '',
+                last_name: conversionData.last_name || '',
+                city: conversionData.city || '',
+                state: conversionData.state || '',
+                zip: conversionData.zip || '',
+                country: conversionData.country || '',
+                fbp: Utils.getCookie('_fbp') || '',
+                fbc: Utils.getCookie('_fbc') || '',
+                url: window.location.href,
                 custom_data: conversionData.custom_data || {}
             };
 
@@ -209,7 +240,26 @@
                 }
             });
 
-            return true;
+            return eventId;
+        },
+
+        // Link this visitor to known identifiers (e.g. after login or signup)
+        identify: function(identity) {
+            const data = {
+                event_type: 'identify',
+                click_id: this.clickId,
+                session_id: this.sessionId,
+                timestamp: Date.now(),
+                email: identity.email || '',
+                phone: identity.phone || '',
+                external_id: identity.external_id || ''
+            };
+
+            Utils.sendData(CONFIG.API_ENDPOINT + '/identify', data, function(success, response) {
+                if (CONFIG.DEBUG) {
+                    console.log('Identify tracked:', success ? 'Success' : 'Failed', response);
+                }
+            });
         },
 
         // Track custom event
@@ -220,6 +270,7 @@
                 click_id: this.clickId,
                 session_id: this.sessionId,
                 timestamp: Date.now(),
+                url: window.location.href,
                 event_data: eventData || {}
             };
 
@@ -245,6 +296,8 @@
             CustomTracker.trackConversion(args[0] || {});
         } else if (command === 'event') {
             CustomTracker.trackEvent(args[0], args[1]);
+        } else if (command === 'identify') {
+            CustomTracker.identify(args[0] || {});
         }
     };
 
@@ -6,12 +6,41 @@ CREATE TABLE campaigns (
     id SERIAL PRIMARY KEY,
     campaign_id VARCHAR(100) UNIQUE NOT NULL,
     name VARCHAR(255) NOT NULL,
-    status VARCHAR(20) DEFAULT 'ACTIVE',
+    status VARCHAR(20) DEFAULT 'ACTIVE', -- Meta effective status for imported campaigns
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW(),
     meta_campaign_id VARCHAR(100),
+    objective VARCHAR(50),
     daily_budget DECIMAL(10,2),
-    total_budget DECIMAL(10,2)
+    total_budget DECIMAL(10,2),
+    meta_synced_at TIMESTAMP    -- Last Meta campaign import, NULL for manual campaigns
+);
+
+CREATE INDEX idx_campaigns_meta ON campaigns (meta_campaign_id);
+
+-- Ad sets and ads imported from Meta, keyed by their Meta IDs
+CREATE TABLE adsets (
+    id SERIAL PRIMARY KEY,
+    adset_id VARCHAR(100) UNIQUE NOT NULL,
+    campaign_id VARCHAR(100) REFERENCES campaigns(campaign_id),
+    meta_campaign_id VARCHAR(100),
+    name VARCHAR(255),
+    status VARCHAR(30),
+    daily_budget DECIMAL(10,2),
+    lifetime_budget DECIMAL(10,2),
+    created_at TIMESTAMP DEFAULT NOW(),
+    synced_at TIMESTAMP           -- Last Meta import, NULL when managed here
+);
+
+CREATE TABLE ads (
+    id SERIAL PRIMARY KEY,
+    ad_id VARCHAR(100) UNIQUE NOT NULL,
+    adset_id VARCHAR(100),
+    campaign_id VARCHAR(100) REFERENCES campaigns(campaign_id),
+    name VARCHAR(255),
+    status VARCHAR(30),
+    created_at TIMESTAMP DEFAULT NOW(),
+    synced_at TIMESTAMP           -- Last Meta import, NULL when managed here
 );
 
 -- Track individual clicks
@@ -30,9 +59,24 @@ CREATE TABLE clicks (
     utm_campaign VARCHAR(100),
     utm_content VARCHAR(100),
     utm_term VARCHAR(100),
+    link_id VARCHAR(50),      -- Set when the click came through /r/:link_id
+    unresolved_campaign_id VARCHAR(100), -- Meta campaign ID not imported yet; linked by the next campaign import
+    interaction_type VARCHAR(10) DEFAULT 'click', -- 'click' or 'view' (view-through window)
     fb_click_id VARCHAR(255), -- Facebook click identifier
-    browser_id VARCHAR(255),  -- Facebook browser ID
-    device_type VARCHAR(50),
+    browser_id VARCHAR(255),  -- Facebook browser ID (_fbp cookie)
+    fbc VARCHAR(255),         -- Facebook click cookie (_fbc), fb.1.<time>.<fbclid>
+    gclid VARCHAR(255),       -- Google Ads click identifier
+    gbraid VARCHAR(255),      -- Google Ads app-to-web (iOS) click identifier
+    wbraid VARCHAR(255),      -- Google Ads web-to-app (iOS) click identifier
+    msclkid VARCHAR(255),     -- Microsoft Advertising click identifier
+    device_type VARCHAR(50),  -- 'desktop', 'mobile', 'tablet', 'other' or 'bot'
+    browser VARCHAR(50),
+    browser_version VARCHAR(50),
+    os VARCHAR(50),
+    os_version VARCHAR(50),
+    in_app_browser VARCHAR(50), -- Social app webview: 'facebook', 'instagram', 'tiktok', ...
+    is_bot BOOLEAN NOT NULL DEFAULT false, -- Crawler or script; kept out of reports and attribution
+    bot_name VARCHAR(50),     -- Matched signature, e.g. 'facebook' for the link-preview crawler
     country_code VARCHAR(2),
     region VARCHAR(100),
     city VARCHAR(100),
@@ -55,14 +99,23 @@ CREATE TABLE conversions (
     customer_email VARCHAR(255),
     customer_phone VARCHAR(20),
     external_id VARCHAR(255), -- For deduplication
+    event_id VARCHAR(255),    -- Shared with the browser pixel so Meta can dedupe
     timestamp TIMESTAMP DEFAULT NOW(),
     attribution_model VARCHAR(50) DEFAULT 'last_click',
+    source VARCHAR(100) DEFAULT 'pixel', -- 'pixel', 's2s' or 'postback:<network>'
+    -- Visitor location: the browser's IP for pixel conversions, otherwise the click's
+    country_code VARCHAR(2),
+    region VARCHAR(100),
+    city VARCHAR(100),
     INDEX idx_conversion_id (conversion_id),
     INDEX idx_click_id (click_id),
     INDEX idx_timestamp (timestamp),
     INDEX idx_campaign_id (campaign_id)
 );
 
+CREATE INDEX idx_conversions_event_id ON conversions (event_id);
+CREATE INDEX idx_conversions_external_id ON conversions (external_id, conversion_type);
+
 -- Attribution data for complex models
 CREATE TABLE attribution_touchpoints (
     id SERIAL PRIMARY KEY,
@@ -71,25 +124,140 @@ CREATE TABLE attribution_touchpoints (
     position_in_journey INTEGER,
     time_to_conversion INTEGER, -- seconds
     attribution_weight DECIMAL(5,4) DEFAULT 0,
+    match_type VARCHAR(20),         -- 'direct', 'session', 'fbclid', 'browser_id', 'identity' or 'ip'
+    match_confidence DECIMAL(3,2),  -- 1.00 for deterministic matches
     timestamp TIMESTAMP DEFAULT NOW()
 );
 
--- Campaign performance aggregates (updated via triggers)
+CREATE INDEX idx_attribution_touchpoints_conversion ON attribution_touchpoints (conversion_id);
+CREATE INDEX idx_attribution_touchpoints_click ON attribution_touchpoints (click_id);
+
+-- Identity graph: identifiers seen together resolve to one person
+CREATE TABLE identity_links (
+    id SERIAL PRIMARY KEY,
+    person_id VARCHAR(64) NOT NULL,
+    identifier_type VARCHAR(20) NOT NULL,   -- click_id, session_id, browser_id, email, phone, external_id
+    identifier_value VARCHAR(255) NOT NULL, -- emails and phones are SHA-256 hashed
+    source VARCHAR(50),                     -- 'click', 'pageview', 'identify' or 'conversion'
+    first_seen TIMESTAMP DEFAULT NOW(),
+    last_seen TIMESTAMP DEFAULT NOW(),
+    UNIQUE(identifier_type, identifier_value)
+);
+
+CREATE INDEX idx_identity_links_person ON identity_links (person_id);
+
+-- Attribution lookback windows; the most specific scope wins
+-- (campaign, then conversion_type, then account, then DEFAULT_ATTRIBUTION_WINDOW)
+CREATE TABLE attribution_windows (
+    id SERIAL PRIMARY KEY,
+    scope VARCHAR(20) NOT NULL,                   -- 'account', 'campaign' or 'conversion_type'
+    scope_value VARCHAR(100) NOT NULL DEFAULT '', -- campaign_id or conversion_type, '' for account
+    click_through_days INTEGER NOT NULL,
+    view_through_days INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(scope, scope_value)
+);
+
+-- Trained data-driven attribution models (Markov removal effect, Shapley values)
+CREATE TABLE trained_attribution_models (
+    id SERIAL PRIMARY KEY,
+    model_type VARCHAR(20) NOT NULL,  -- 'markov' or 'shapley'
+    granularity VARCHAR(20) NOT NULL, -- 'utm_source', 'campaign' or 'adset'
+    channel_weights JSONB NOT NULL,   -- channel -> share of credit, sums to 1.0
+    details JSONB,
+    paths INTEGER,
+    conversions INTEGER,
+    training_start TIMESTAMP,
+    training_end TIMESTAMP,
+    trained_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_trained_models_lookup ON trained_attribution_models (model_type, granularity, trained_at DESC);
+
+-- Where conversions are forwarded; config holds the plugin's credentials/endpoint
+CREATE TABLE conversion_destinations (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL,        -- 'meta', 'tiktok' or 'webhook'
+    enabled BOOLEAN DEFAULT true,
+    config JSONB NOT NULL DEFAULT '{}',
+    event_mapping JSONB DEFAULT '{}', -- conversion_type -> destination event name
+    filters JSONB DEFAULT '{}',       -- conversion_types, campaign_ids (empty = all)
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Outbound conversion queue and delivery log, one row per conversion and destination
+CREATE TABLE capi_deliveries (
+    id SERIAL PRIMARY KEY,
+    destination_id INTEGER REFERENCES conversion_destinations(id) ON DELETE SET NULL,
+    conversion_id VARCHAR(255),
+    event_id VARCHAR(255),
+    event_name VARCHAR(100),
+    payload JSONB NOT NULL,                        -- event as sent to the destination
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, sending, sent, failed, dead
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT NOW(),
+    last_error TEXT,
+    response JSONB,
+    fbtrace_id VARCHAR(100),                       -- Meta destinations only
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    sent_at TIMESTAMP
+);
+
+CREATE INDEX idx_capi_deliveries_due ON capi_deliveries (status, next_attempt_at);
+CREATE INDEX idx_capi_deliveries_conversion ON capi_deliveries (conversion_id);
+
+-- Google Ads offline conversion uploads, one row per conversion
+CREATE TABLE google_ads_uploads (
+    id SERIAL PRIMARY KEY,
+    conversion_id VARCHAR(255) UNIQUE REFERENCES conversions(conversion_id),
+    click_id_type VARCHAR(10),            -- 'gclid', 'gbraid' or 'wbraid'
+    status VARCHAR(20) NOT NULL,          -- 'uploaded' or 'failed'
+    error TEXT,
+    attempts INTEGER DEFAULT 0,
+    uploaded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_clicks_gclid ON clicks (gclid);
+
+-- Daily performance per campaign/ad set/ad, rebuilt from clicks, attribution
+-- and costs by the performance_rollup job (see performance_rollups.js)
 CREATE TABLE campaign_performance (
     id SERIAL PRIMARY KEY,
     campaign_id VARCHAR(100) REFERENCES campaigns(campaign_id),
+    adset_id VARCHAR(100) NOT NULL DEFAULT '', -- '' when the clicks/costs carried none
+    ad_id VARCHAR(100) NOT NULL DEFAULT '',
     date DATE NOT NULL,
     clicks INTEGER DEFAULT 0,
-    conversions INTEGER DEFAULT 0,
+    conversions DECIMAL(12,4) DEFAULT 0, -- fractional credit from multi-touch models
     conversion_value DECIMAL(10,2) DEFAULT 0,
     cost DECIMAL(10,2) DEFAULT 0,
     impressions BIGINT DEFAULT 0,
     reach BIGINT DEFAULT 0,
     updated_at TIMESTAMP DEFAULT NOW(),
-    UNIQUE(campaign_id, date)
+    UNIQUE(campaign_id, adset_id, ad_id, date)
+);
+
+CREATE INDEX idx_campaign_performance_date ON campaign_performance (date, campaign_id);
+
+-- Days whose rollups need rebuilding, and how far new clicks have been collected
+CREATE TABLE rollup_dirty_dates (
+    date DATE PRIMARY KEY,
+    marked_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE rollup_watermarks (
+    source VARCHAR(50) PRIMARY KEY, -- 'clicks' (rollups) or 'geoip_clicks' (GeoIP backfill)
+    last_id BIGINT NOT NULL,
+    updated_at TIMESTAMP DEFAULT NOW()
 );
 
--- Meta API cost data
+-- Meta API cost data, daily at ad level
 CREATE TABLE meta_costs (
     id SERIAL PRIMARY KEY,
     campaign_id VARCHAR(100),
@@ -103,9 +271,12 @@ CREATE TABLE meta_costs (
     cpm DECIMAL(8,4),
     cpc DECIMAL(8,4),
     ctr DECIMAL(8,6),
-    sync_timestamp TIMESTAMP DEFAULT NOW()
+    sync_timestamp TIMESTAMP DEFAULT NOW(),
+    UNIQUE(campaign_id, adset_id, ad_id, date) -- one row per ad per day
 );
 
+CREATE INDEX idx_meta_costs_date ON meta_costs (date, campaign_id);
+
 -- User sessions for better attribution
 CREATE TABLE user_sessions (
     id SERIAL PRIMARY KEY,
@@ -119,6 +290,70 @@ CREATE TABLE user_sessions (
     INDEX idx_session_id (session_id)
 );
 
+-- Signatures of accepted S2S postbacks, kept for replay protection
+CREATE TABLE postback_nonces (
+    signature VARCHAR(128) PRIMARY KEY,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_postback_nonces_created_at ON postback_nonces (created_at);
+
+-- Redirect tracking links served from /r/:link_id
+CREATE TABLE tracking_links (
+    id SERIAL PRIMARY KEY,
+    link_id VARCHAR(50) UNIQUE NOT NULL,
+    campaign_id VARCHAR(100) REFERENCES campaigns(campaign_id),
+    adset_id VARCHAR(100),
+    ad_id VARCHAR(100),
+    destination_url TEXT NOT NULL,
+    utm_source VARCHAR(100),
+    utm_medium VARCHAR(100),
+    utm_campaign VARCHAR(100),
+    utm_content VARCHAR(100),
+    utm_term VARCHAR(100),
+    status VARCHAR(20) DEFAULT 'ACTIVE',
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_tracking_links_campaign_id ON tracking_links (campaign_id);
+
+-- Page views reported by the pixel on every page load
+-- (click_id is not a foreign key: the pageview can arrive before the click row)
+CREATE TABLE pageviews (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255),
+    click_id VARCHAR(255),
+    url TEXT,
+    title TEXT,
+    referrer TEXT,
+    user_ip INET,
+    user_agent TEXT,
+    timestamp TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_pageviews_session_id ON pageviews (session_id);
+CREATE INDEX idx_pageviews_click_id ON pageviews (click_id);
+CREATE INDEX idx_pageviews_timestamp ON pageviews (timestamp);
+
+-- Custom on-site events sent through ct('event', name, data)
+CREATE TABLE events (
+    id SERIAL PRIMARY KEY,
+    event_name VARCHAR(100) NOT NULL,
+    session_id VARCHAR(255),
+    click_id VARCHAR(255),
+    event_data JSONB DEFAULT '{}',
+    url TEXT,
+    user_ip INET,
+    user_agent TEXT,
+    timestamp TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_events_event_name ON events (event_name);
+CREATE INDEX idx_events_session_id ON events (session_id);
+CREATE INDEX idx_events_click_id ON events (click_id);
+CREATE INDEX idx_events_timestamp ON events (timestamp);
+
 -- Tracking domains and settings
 CREATE TABLE tracking_domains (
     id SERIAL PRIMARY KEY,
@@ -140,3 +375,35 @@ CREATE TABLE api_configurations (
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
+
+-- Background jobs; an instance runs a job only while it holds the lock
+-- (locked_by/locked_until), so each run happens once across API containers
+CREATE TABLE scheduled_jobs (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    schedule VARCHAR(100) NOT NULL,   -- five-field cron expression, UTC
+    enabled BOOLEAN DEFAULT TRUE,
+    next_run_at TIMESTAMP,
+    last_run_at TIMESTAMP,
+    last_status VARCHAR(20),
+    locked_by VARCHAR(255),           -- instance running the job
+    locked_until TIMESTAMP,           -- lock expiry, renewed while the run is alive so a crashed instance can't hold it forever
+    locked_run_id INTEGER,            -- job_runs.id holding the lock; only that run renews or releases it
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE job_runs (
+    id SERIAL PRIMARY KEY,
+    job_name VARCHAR(100) NOT NULL REFERENCES scheduled_jobs(name),
+    triggered_by VARCHAR(20) NOT NULL,         -- 'schedule' or 'manual'
+    status VARCHAR(20) NOT NULL DEFAULT 'running', -- running, succeeded, failed, abandoned
+    instance_id VARCHAR(255),
+    params JSONB,
+    result JSONB,
+    error TEXT,
+    started_at TIMESTAMP DEFAULT NOW(),
+    finished_at TIMESTAMP
+);
+
+CREATE INDEX idx_job_runs_job ON job_runs (job_name, started_at);
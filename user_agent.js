@@ -0,0 +1,189 @@
+
+/**
+ * User Agent Parsing
+ * Splits a user agent into browser, OS and device class with ua-parser-js,
+ * names the in-app browser when the visit came through a social app's webview,
+ * and flags bots (link-preview fetchers, search and ad crawlers, headless
+ * browsers and HTTP libraries) by known signatures. Bot clicks are stored so
+ * they can be audited but are left out of reports and attribution.
+ */
+
+const UAParser = require('ua-parser-js');
+
+const DEVICE_TYPES = ['desktop', 'mobile', 'tablet', 'other', 'bot'];
+
+// Clicks parsed per backfill query
+const BATCH_SIZE = 1000;
+
+// Backfill progress in rollup_watermarks
+const WATERMARK_SOURCE = 'user_agent_clicks';
+
+// ua-parser-js device types -> ours; no type means a desktop browser
+const DEVICE_CLASSES = {
+    mobile: 'mobile',
+    wearable: 'mobile',
+    tablet: 'tablet',
+    smarttv: 'other',
+    console: 'other',
+    embedded: 'other',
+    xr: 'other'
+};
+
+// Checked in order, first match wins
+const BOT_SIGNATURES = [
+    ['facebook', /facebookexternalhit|facebookcatalog|Facebot|meta-externalagent|meta-externalfetcher/i],
+    ['google', /Googlebot|AdsBot-Google|Mediapartners-Google|Google-InspectionTool|APIs-Google|FeedFetcher-Google|GoogleOther/i],
+    ['bing', /bingbot|BingPreview|adidxbot/i],
+    ['twitter', /Twitterbot/i],
+    ['linkedin', /LinkedInBot/i],
+    ['slack', /Slackbot|Slack-ImgProxy/i],
+    ['discord', /Discordbot/i],
+    ['telegram', /TelegramBot/i],
+    ['whatsapp', /^WhatsApp\//i],
+    ['skype', /SkypeUriPreview/i],
+    ['pinterest', /Pinterestbot|Pinterest\/0\./i],
+    ['apple', /Applebot/i],
+    ['tiktok', /Bytespider/i],
+    ['yandex', /YandexBot|YandexMobileBot/i],
+    ['baidu', /Baiduspider/i],
+    ['duckduckgo', /DuckDuckBot|DuckAssistBot/i],
+    ['seo', /AhrefsBot|SemrushBot|MJ12bot|DotBot|PetalBot|DataForSeoBot|rogerbot/i],
+    ['headless', /HeadlessChrome|PhantomJS|Puppeteer|Playwright|Selenium|Lighthouse/i],
+    ['http_client', /^(curl|Wget|python-requests|python-urllib|aiohttp|Go-http-client|axios|node-fetch|undici|okhttp|Java|Apache-HttpClient|libwww-perl|Scrapy|PostmanRuntime)\b/i],
+    // Anything else calling itself a bot, crawler or spider ("Cubot" phones don't match)
+    ['other', /\b(bot|crawler|spider|scraper)\b|[a-z](bot|crawler|spider)\/\d/i]
+];
+
+// Social apps whose webview opens ad links; checked in order
+const IN_APP_BROWSERS = [
+    ['instagram', /\bInstagram\b/],
+    ['facebook', /FBAN\/|FBAV\/|FB_IAB\/|\bFB4A\b|\bFBIOS\b/],
+    ['tiktok', /musical_ly|BytedanceWebview|\bTikTok\b/],
+    ['snapchat', /\bSnapchat\b/],
+    ['linkedin', /LinkedInApp/],
+    ['twitter', /Twitter for iPhone|TwitterAndroid/],
+    ['pinterest', /\[Pinterest\//],
+    ['line', /\bLine\/\d/],
+    ['wechat', /MicroMessenger/]
+];
+
+/**
+ * Bot name for a user agent, or null for a browser
+ * @returns {string|null} Signature name ('facebook', 'google', 'headless', ...),
+ *   'empty' for a missing user agent
+ */
+function detectBot(userAgent) {
+    const ua = String(userAgent || '').trim();
+    if (!ua) return 'empty';
+
+    const match = BOT_SIGNATURES.find(([, pattern]) => pattern.test(ua));
+    return match ? match[0] : null;
+}
+
+/**
+ * In-app browser name ('facebook', 'instagram', ...) or null
+ */
+function detectInAppBrowser(userAgent) {
+    const match = IN_APP_BROWSERS.find(([, pattern]) => pattern.test(userAgent || ''));
+    return match ? match[0] : null;
+}
+
+/**
+ * Parse a user agent into the fields stored on clicks
+ * @returns {{browser: string|null, browser_version: string|null, os: string|null,
+ *   os_version: string|null, device_type: string, in_app_browser: string|null,
+ *   is_bot: boolean, bot_name: string|null}}
+ */
+function parseUserAgent(userAgent) {
+    const ua = String(userAgent || '');
+    const { browser, os, device } = new UAParser(ua).getResult();
+    const botName = detectBot(ua);
+
+    return {
+        browser: browser.name || null,
+        browser_version: browser.version || null,
+        os: os.name || null,
+        os_version: os.version || null,
+        device_type: botName ? 'bot' : (DEVICE_CLASSES[device.type] || 'desktop'),
+        in_app_browser: botName ? null : detectInAppBrowser(ua),
+        is_bot: Boolean(botName),
+        bot_name: botName
+    };
+}
+
+/**
+ * Parse the user agents of clicks stored before parsing existed. Progress is
+ * kept in a watermark like the GeoIP backfill. Days whose clicks turn out to
+ * be bots are marked for a rollup rebuild; conversions already attributed
+ * keep their credit until they are re-attributed.
+ * @param {object} dbPool - Database pool
+ * @param {object} options - rollups: PerformanceRollups to mark days on,
+ *   restart: start over from the first click
+ * @returns {Promise<{scanned: number, clicks: number, bots: number}>}
+ */
+async function backfillUserAgents(dbPool, options = {}) {
+    let lastId = 0;
+    if (!options.restart) {
+        const watermark = await dbPool.query(
+            'SELECT last_id FROM rollup_watermarks WHERE source = $1', [WATERMARK_SOURCE]
+        );
+        lastId = watermark.rows[0] ? Number(watermark.rows[0].last_id) : 0;
+    }
+
+    const summary = { scanned: 0, clicks: 0, bots: 0 };
+    for (;;) {
+        const batch = await dbPool.query(`
+            SELECT id, user_agent
+            FROM clicks
+            WHERE id > $1 AND browser IS NULL AND os IS NULL AND bot_name IS NULL
+            ORDER BY id
+            LIMIT $2
+        `, [lastId, BATCH_SIZE]);
+        if (batch.rows.length === 0) break;
+
+        const parsed = batch.rows.map(row => ({ id: row.id, ...parseUserAgent(row.user_agent) }));
+        const column = field => parsed.map(row => row[field]);
+
+        const updated = await dbPool.query(`
+            UPDATE clicks cl
+            SET browser = ua.browser, browser_version = ua.browser_version,
+                os = ua.os, os_version = ua.os_version, device_type = ua.device_type,
+                in_app_browser = ua.in_app_browser, is_bot = ua.is_bot, bot_name = ua.bot_name
+            FROM unnest($1::int[], $2::varchar[], $3::varchar[], $4::varchar[], $5::varchar[],
+                        $6::varchar[], $7::varchar[], $8::boolean[], $9::varchar[])
+                AS ua(id, browser, browser_version, os, os_version, device_type, in_app_browser, is_bot, bot_name)
+            WHERE cl.id = ua.id
+            RETURNING cl.is_bot, cl.timestamp::date::text as date
+        `, [
+            column('id'), column('browser'), column('browser_version'), column('os'), column('os_version'),
+            column('device_type'), column('in_app_browser'), column('is_bot'), column('bot_name')
+        ]);
+
+        const botDates = updated.rows.filter(row => row.is_bot).map(row => row.date);
+        if (options.rollups) await options.rollups.markDirty(botDates);
+
+        summary.scanned += batch.rows.length;
+        summary.clicks += updated.rows.length;
+        summary.bots += botDates.length;
+        lastId = batch.rows[batch.rows.length - 1].id;
+        await dbPool.query(`
+            INSERT INTO rollup_watermarks (source, last_id, updated_at)
+            VALUES ($1, $2, NOW())
+            ON CONFLICT (source) DO UPDATE SET last_id = EXCLUDED.last_id, updated_at = NOW()
+        `, [WATERMARK_SOURCE, lastId]);
+
+        if (batch.rows.length < BATCH_SIZE) break;
+    }
+
+    return summary;
+}
+
+module.exports = {
+    parseUserAgent,
+    backfillUserAgents,
+    detectBot,
+    detectInAppBrowser,
+    DEVICE_TYPES,
+    BOT_SIGNATURES,
+    IN_APP_BROWSERS
+};
@@ -0,0 +1,124 @@
+const { parseUserAgent, detectBot, detectInAppBrowser } = require('./user_agent');
+
+const UA = {
+    ipad: 'Mozilla/5.0 (iPad; CPU OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.6 Mobile/15E148 Safari/604.1',
+    ipadDesktopMode: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15',
+    edge: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91',
+    facebookAndroid: 'Mozilla/5.0 (Linux; Android 13; SM-S911B Build/TP1A.220624.014; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/119.0.6045.163 Mobile Safari/537.36 [FB_IAB/FB4A;FBAV/442.0.0.43.112;]',
+    facebookIos: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/21B74 [FBAN/FBIOS;FBAV/442.0.0.38.110;FBBV/546396787;FBDV/iPhone15,2;FBMD/iPhone;FBSN/iOS;FBSV/17.1;FBSS/3;FBID/phone;FBLC/en_US;FBOP/5]',
+    instagramIos: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 Instagram 309.0.0.28.111 (iPhone15,2; iOS 17_1; en_US; en; scale=3.00; 1179x2556; 539770289)',
+    instagramAndroid: 'Mozilla/5.0 (Linux; Android 12; Pixel 6 Build/SD1A.210817.036; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/119.0.6045.163 Mobile Safari/537.36 Instagram 309.0.0.40.113 Android (31/12; 420dpi; 1080x2205; Google/google; Pixel 6; oriole; oriole; en_US; 541635890)',
+    facebookCrawler: 'facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)',
+    cubot: 'Mozilla/5.0 (Linux; Android 11; CUBOT NOTE 20 PRO) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Mobile Safari/537.36',
+    cubotKingKong: 'Mozilla/5.0 (Linux; Android 10; KingKong 5 Pro Build/QP1A.190711.020; Cubot) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Mobile Safari/537.36',
+    googlebot: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+    headless: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/120.0.0.0 Safari/537.36',
+    curl: 'curl/8.4.0'
+};
+
+describe('parseUserAgent', () => {
+    test('classes an iPad as a tablet', () => {
+        expect(parseUserAgent(UA.ipad)).toMatchObject({
+            browser: 'Mobile Safari',
+            os: 'iOS',
+            os_version: '16.6',
+            device_type: 'tablet',
+            is_bot: false
+        });
+    });
+
+    test('counts iPadOS 13+ desktop Safari as desktop', () => {
+        expect(parseUserAgent(UA.ipadDesktopMode)).toMatchObject({ browser: 'Safari', device_type: 'desktop' });
+    });
+
+    test('tells Edge apart from Chrome', () => {
+        expect(parseUserAgent(UA.edge)).toEqual({
+            browser: 'Edge',
+            browser_version: '120.0.2210.91',
+            os: 'Windows',
+            os_version: '10',
+            device_type: 'desktop',
+            in_app_browser: null,
+            is_bot: false,
+            bot_name: null
+        });
+    });
+
+    test.each([
+        ['Facebook on Android', UA.facebookAndroid, 'facebook', 'Android'],
+        ['Facebook on iOS', UA.facebookIos, 'facebook', 'iOS'],
+        ['Instagram on iOS', UA.instagramIos, 'instagram', 'iOS'],
+        ['Instagram on Android', UA.instagramAndroid, 'instagram', 'Android']
+    ])('names the in-app browser for %s', (_, userAgent, app, os) => {
+        expect(parseUserAgent(userAgent)).toMatchObject({
+            os,
+            device_type: 'mobile',
+            in_app_browser: app,
+            is_bot: false
+        });
+    });
+
+    test('flags the Facebook link-preview crawler as a bot', () => {
+        expect(parseUserAgent(UA.facebookCrawler)).toMatchObject({
+            device_type: 'bot',
+            in_app_browser: null,
+            is_bot: true,
+            bot_name: 'facebook'
+        });
+    });
+
+    test.each([
+        ['model name', UA.cubot],
+        ['build suffix', UA.cubotKingKong]
+    ])('does not take a Cubot phone (%s) for a bot', (_, userAgent) => {
+        expect(parseUserAgent(userAgent)).toMatchObject({
+            browser: 'Chrome',
+            os: 'Android',
+            device_type: 'mobile',
+            is_bot: false,
+            bot_name: null
+        });
+    });
+
+    test.each([
+        ['empty', ''],
+        ['whitespace', '   '],
+        ['missing', undefined],
+        ['null', null]
+    ])('treats an %s user agent as a bot', (_, userAgent) => {
+        expect(parseUserAgent(userAgent)).toEqual({
+            browser: null,
+            browser_version: null,
+            os: null,
+            os_version: null,
+            device_type: 'bot',
+            in_app_browser: null,
+            is_bot: true,
+            bot_name: 'empty'
+        });
+    });
+});
+
+describe('detectBot', () => {
+    test.each([
+        [UA.facebookCrawler, 'facebook'],
+        [UA.googlebot, 'google'],
+        [UA.headless, 'headless'],
+        [UA.curl, 'http_client'],
+        ['Mozilla/5.0 (compatible; ExampleCrawler/1.0)', 'other']
+    ])('names %s', (userAgent, name) => {
+        expect(detectBot(userAgent)).toBe(name);
+    });
+
+    test('returns null for browsers', () => {
+        expect(detectBot(UA.edge)).toBeNull();
+        expect(detectBot(UA.instagramIos)).toBeNull();
+    });
+});
+
+describe('detectInAppBrowser', () => {
+    test('returns null outside a social app', () => {
+        expect(detectInAppBrowser(UA.edge)).toBeNull();
+        expect(detectInAppBrowser(undefined)).toBeNull();
+    });
+});